@@ -0,0 +1,85 @@
+const POLICY_KEYS = ['allowedProviders', 'deniedProviders', 'localOnly', 'routing'];
+
+/**
+ * Validate and compile the `clientPolicies` block from config.yaml
+ * @param {Object} [policies] - Raw policies, keyed by client ID
+ * @param {Object} [providers] - The `providers` config block, to check
+ *   provider names against
+ * @returns {Object} Compiled policies, keyed by client ID
+ * @throws {Error} Naming the offending client and what is wrong with its policy
+ */
+function parseClientPolicies(policies, providers = {}) {
+  if (policies === undefined || policies === null) return {};
+  if (typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('Invalid config.yaml: clientPolicies must be a mapping of client IDs to policies');
+  }
+
+  return Object.fromEntries(Object.entries(policies).map(([clientId, policy]) => {
+    try {
+      return [clientId, compilePolicy(clientId, policy, providers)];
+    } catch (error) {
+      throw new Error(`Invalid config.yaml: clientPolicies.${clientId}: ${error.message}`);
+    }
+  }));
+}
+
+/**
+ * Compile one client's policy
+ * @private
+ */
+function compilePolicy(clientId, policy, providers) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('must be a mapping');
+  }
+  const unknownKeys = Object.keys(policy).filter(key => !POLICY_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`unknown key "${unknownKeys[0]}". Supported: ${POLICY_KEYS.join(', ')}`);
+  }
+  if (policy.localOnly !== undefined && typeof policy.localOnly !== 'boolean') {
+    throw new Error('localOnly must be true or false');
+  }
+
+  const allowedProviders = policy.allowedProviders === undefined
+    ? null
+    : providerList(policy.allowedProviders, 'allowedProviders', providers);
+  const deniedProviders = policy.deniedProviders === undefined
+    ? []
+    : providerList(policy.deniedProviders, 'deniedProviders', providers);
+  const both = (allowedProviders || []).filter(name => deniedProviders.includes(name));
+  if (both.length > 0) {
+    throw new Error(`provider "${both[0]}" is both allowed and denied`);
+  }
+
+  const overrides = policy.routing ?? {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('routing must be a mapping of document types to provider lists');
+  }
+  const routing = Object.fromEntries(Object.entries(overrides).map(([documentType, list]) =>
+    [documentType, providerList(list, `routing.${documentType}`, providers)]));
+
+  return {
+    clientId,
+    allowedProviders,
+    deniedProviders,
+    localOnly: policy.localOnly === true,
+    routing
+  };
+}
+
+/**
+ * Accept one provider name or a non-empty list of known provider names
+ * @private
+ */
+function providerList(value, where, providers) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || !item)) {
+    throw new Error(`${where} must be a provider name or a non-empty list of provider names`);
+  }
+  const unknown = list.filter(name => !providers[name]);
+  if (unknown.length > 0) {
+    throw new Error(`unknown provider "${unknown[0]}" in ${where}`);
+  }
+  return list;
+}
+
+module.exports = { parseClientPolicies };
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
+const { parseRoutingRules } = require('./routingRules');
+const { parseClientPolicies } = require('./clientPolicies');
 
 /**
  * Configuration Manager
@@ -9,7 +11,10 @@ const yaml = require('yaml');
 class Config {
   constructor() {
     this.config = null;
+    this.routingRules = [];
+    this.clientPolicies = {};
     this.loadConfig();
+    this.validate();
   }
 
   loadConfig() {
@@ -23,6 +28,20 @@ class Config {
     }
   }
 
+  /**
+   * Check settings that must be valid before the gateway starts, and
+   * compile routing rules and client policies once for every request
+   * Call again after changing `config` in place; nothing is replaced when
+   * a setting is invalid.
+   * @throws {Error} Naming the offending setting
+   */
+  validate() {
+    const routingRules = parseRoutingRules(this.config.routingRules, this.config.providers || {});
+    const clientPolicies = parseClientPolicies(this.config.clientPolicies, this.config.providers || {});
+    this.routingRules = routingRules;
+    this.clientPolicies = clientPolicies;
+  }
+
   getDefaultConfig() {
     return {
       app: {
@@ -33,7 +52,9 @@ class Config {
       providers: {
         langextract: { enabled: true, pricePerPage: 0.001 },
         aws: { enabled: true, pricePerPage: 0.015 },
-        azure: { enabled: true, pricePerPage: 0.005 }
+        azure: { enabled: true, pricePerPage: 0.005 },
+        pdftext: { enabled: true, pricePerPage: 0, minCharsPerPage: 20 },
+        docx: { enabled: true, pricePerPage: 0 }
       },
       routing: {
         invoice: ['azure', 'aws'],
@@ -74,6 +95,42 @@ class Config {
     return this.config.routing?.[documentType] || this.config.routing?.generic || [];
   }
 
+  /**
+   * Routing rules (`routingRules`), as compiled by `validate()`
+   * @returns {Array<Object>} Rules in evaluation order
+   */
+  getRoutingRules() {
+    return this.routingRules;
+  }
+
+  /**
+   * Per-client routing policies (`clientPolicies`), as compiled by `validate()`
+   * @returns {Object} Compiled policies, keyed by client ID
+   */
+  getClientPolicies() {
+    return this.clientPolicies;
+  }
+
+  /**
+   * Routing policy of a client
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} `{ clientId, allowedProviders, deniedProviders,
+   *   localOnly, routing }`, or null when the client has no policy
+   */
+  getClientPolicy(clientId) {
+    return Object.hasOwn(this.clientPolicies, clientId) ? this.clientPolicies[clientId] : null;
+  }
+
+  /**
+   * Minimum overall confidence (0-1) accepted for a document type
+   * @param {string} documentType - Document type
+   * @returns {number}
+   */
+  getMinConfidence(documentType) {
+    const minimums = this.config.minConfidence || {};
+    return minimums[documentType] ?? minimums.default ?? 0;
+  }
+
   getVolumeDiscount(pageCount) {
     const tiers = this.config.volumeDiscounts || [];
     for (const tier of tiers) {
@@ -88,7 +145,8 @@ class Config {
     return Object.entries(this.config.providers || {}).map(([name, config]) => ({
       name,
       enabled: config.enabled,
-      pricePerPage: config.pricePerPage
+      pricePerPage: config.pricePerPage,
+      description: config.description
     }));
   }
 }
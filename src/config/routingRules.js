@@ -0,0 +1,263 @@
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Condition compilers, keyed by the name used under a rule's `when`
+ * Each returns a test taking the request context and answering true,
+ * false, or null when the context lacks the value.
+ * @private
+ */
+const CONDITIONS = {
+  mimeType: value => {
+    const types = stringList(value, 'mimeType');
+    return ({ mimeType }) => {
+      if (!mimeType) return null;
+      return types.some(type => (type.endsWith('/*')
+        ? mimeType.startsWith(type.slice(0, -1))
+        : mimeType === type));
+    };
+  },
+  fileSize: value => range(value, 'fileSize', parseSize, ({ fileSize }) => fileSize),
+  pageCount: value => range(value, 'pageCount', parseCount, ({ pageCount }) => pageCount),
+  clientId: value => {
+    const clients = stringList(value, 'clientId');
+    return ({ clientId }) => (clientId ? clients.includes(clientId) : null);
+  },
+  documentType: value => {
+    const types = stringList(value, 'documentType');
+    return ({ documentType }) => (documentType ? types.includes(documentType) : null);
+  },
+  time: value => timeWindow(value)
+};
+
+/**
+ * Validate and compile the `routingRules` list from config.yaml
+ * @param {Array<Object>} [rules] - Raw rules
+ * @param {Object} [providers] - The `providers` config block, to check
+ *   provider names against
+ * @returns {Array<Object>} Compiled rules, in evaluation order
+ * @throws {Error} Naming the offending rule and what is wrong with it
+ */
+function parseRoutingRules(rules, providers = {}) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid config.yaml: routingRules must be a list');
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule?.name ? String(rule.name) : `#${index + 1}`;
+    try {
+      return compileRule(rule, name, index, providers);
+    } catch (error) {
+      throw new Error(`Invalid config.yaml: routingRules[${index}] (${name}): ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Evaluate one compiled rule against a request
+ * @param {Object} rule - Compiled rule
+ * @param {Object} context - `{ mimeType, fileSize, pageCount, clientId, documentType, now }`
+ * @returns {Object} `{ matched, conditions }`, where each condition is
+ *   true, false or null (value unknown); unknown values never match
+ */
+function evaluateRule(rule, context) {
+  const conditions = Object.fromEntries(rule.conditions.map(({ name, test }) => [name, test(context)]));
+  return {
+    matched: Object.values(conditions).every(result => result === true),
+    conditions
+  };
+}
+
+/**
+ * Compile one rule
+ * @private
+ */
+function compileRule(rule, name, index, providers) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('must be a mapping');
+  }
+  const unknownKeys = Object.keys(rule).filter(key => !['name', 'when', 'providers', 'model', 'reject'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`unknown key "${unknownKeys[0]}". Supported: name, when, providers, model, reject`);
+  }
+
+  const when = rule.when ?? {};
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    throw new Error('when must be a mapping of conditions');
+  }
+  const conditions = Object.entries(when).map(([condition, value]) => {
+    if (!CONDITIONS[condition]) {
+      throw new Error(`unknown condition "${condition}". Supported: ${Object.keys(CONDITIONS).join(', ')}`);
+    }
+    return { name: condition, test: CONDITIONS[condition](value) };
+  });
+
+  const hasProviders = rule.providers !== undefined;
+  const hasReject = rule.reject !== undefined && rule.reject !== false;
+  if (hasProviders === hasReject) {
+    throw new Error('needs exactly one action: providers or reject');
+  }
+  if (rule.model !== undefined && !hasProviders) {
+    throw new Error('model needs a providers list');
+  }
+
+  if (hasReject) {
+    if (rule.reject !== true && typeof rule.reject !== 'string') {
+      throw new Error('reject must be true or a message');
+    }
+    return {
+      name,
+      index,
+      conditions,
+      action: 'reject',
+      message: typeof rule.reject === 'string' ? rule.reject : `Rejected by routing rule ${name}`
+    };
+  }
+
+  const list = stringList(rule.providers, 'providers');
+  const unknown = list.filter(provider => !providers[provider]);
+  if (unknown.length > 0) {
+    throw new Error(`unknown provider "${unknown[0]}" in providers`);
+  }
+  if (rule.model !== undefined && (typeof rule.model !== 'string' || !rule.model)) {
+    throw new Error('model must be a model ID');
+  }
+  return {
+    name,
+    index,
+    conditions,
+    action: 'route',
+    providers: list,
+    ...(rule.model && { model: rule.model })
+  };
+}
+
+/**
+ * Accept one string or a non-empty list of strings
+ * @private
+ */
+function stringList(value, condition) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || !item)) {
+    throw new Error(`${condition} must be a string or a non-empty list of strings`);
+  }
+  return list;
+}
+
+/**
+ * Compile a `{ min, max }` range condition
+ * @private
+ */
+function range(value, condition, parse, read) {
+  if (!value || typeof value !== 'object' || (value.min === undefined && value.max === undefined)) {
+    throw new Error(`${condition} must be a range with min and/or max`);
+  }
+  const min = value.min === undefined ? -Infinity : parse(value.min, `${condition}.min`);
+  const max = value.max === undefined ? Infinity : parse(value.max, `${condition}.max`);
+  if (min > max) {
+    throw new Error(`${condition}.min is greater than ${condition}.max`);
+  }
+  return context => {
+    const actual = read(context);
+    if (actual === undefined || actual === null) return null;
+    return actual >= min && actual <= max;
+  };
+}
+
+/**
+ * Parse a size in bytes, or with a KB/MB/GB unit (e.g. `10MB`)
+ * @private
+ */
+function parseSize(value, where) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`${where} must be a size such as 5242880 or "5MB"`);
+  }
+  return Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+}
+
+/**
+ * Parse a non-negative integer
+ * @private
+ */
+function parseCount(value, where) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${where} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Compile a time window: `{ days, from, to, timezone }`
+ * A window whose `from` is after its `to` spans midnight.
+ * @private
+ */
+function timeWindow(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('time must be a mapping with days, from/to and timezone');
+  }
+  const { days, from, to, timezone = 'UTC' } = value;
+  if (days === undefined && from === undefined && to === undefined) {
+    throw new Error('time needs days or from/to');
+  }
+  if ((from === undefined) !== (to === undefined)) {
+    throw new Error('time needs both from and to');
+  }
+
+  const dayList = days === undefined ? DAYS : stringList(days, 'time.days').map(parseDay);
+  const start = from === undefined ? 0 : parseClock(from, 'time.from');
+  const end = to === undefined ? 24 * 60 : parseClock(to, 'time.to');
+
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch (error) {
+    throw new Error(`time.timezone: unknown timezone "${timezone}"`);
+  }
+
+  return ({ now = new Date() }) => {
+    const parts = Object.fromEntries(format.formatToParts(now).map(part => [part.type, part.value]));
+    const day = parts.weekday.toLowerCase();
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+    if (start <= end) {
+      return dayList.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight window: the early hours belong to the previous day's window
+    const previous = DAYS[(DAYS.indexOf(day) + 6) % 7];
+    return (minutes >= start && dayList.includes(day)) || (minutes < end && dayList.includes(previous));
+  };
+}
+
+/**
+ * Parse a day name (`mon` or `monday`) into its short form
+ * @private
+ */
+function parseDay(value) {
+  const day = value.toLowerCase().slice(0, 3);
+  const names = { tue: 'tuesday', wed: 'wednesday', thu: 'thursday', sat: 'saturday' };
+  if (!DAYS.includes(day) || ![day, names[day] || `${day}day`].includes(value.toLowerCase())) {
+    throw new Error(`time.days: unknown day "${value}"`);
+  }
+  return day;
+}
+
+/**
+ * Parse `HH:MM` into minutes after midnight
+ * @private
+ */
+function parseClock(value, where) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  if (!match) {
+    throw new Error(`${where} must be a time as HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+module.exports = { parseRoutingRules, evaluateRule };
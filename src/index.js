@@ -1,6 +1,7 @@
 const express = require('express');
 const config = require('./config');
 const apiRoutes = require('./routes/api');
+const providerFactory = require('./providers');
 
 const app = express();
 
@@ -33,9 +34,12 @@ app.get('/', (req, res) => {
       pricing: 'GET /api/pricing - Get pricing information',
       health: 'GET /api/health - Health check',
       usage: 'GET /api/usage/:clientId - Get client usage stats',
-      routing: 'GET /api/routing/:documentType - Get routing info'
+      routing: 'GET /api/routing/:documentType - Get routing info',
+      explain: 'POST /api/routing/explain - Dry-run routing for a request',
+      shadow: 'GET /api/shadow - Get shadow traffic comparisons',
+      schema: 'GET /api/schema/:version - Get the extraction result JSON Schema'
     },
-    providers: ['langextract', 'aws', 'azure']
+    providers: providerFactory.getProviderNames()
   });
 });
 
@@ -1,4 +1,20 @@
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { v4: uuidv4 } = require('uuid');
 const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+const TextractBlockParser = require('./TextractBlockParser');
+
+const RETRYABLE_AWS_ERRORS = [
+  'ThrottlingException',
+  'ProvisionedThroughputExceededException',
+  'InternalServerError',
+  'ServiceUnavailableException',
+  'LimitExceededException'
+];
+
+// Multi-page jobs routinely outlast a single request
+const DEFAULT_MAX_WAIT_MS = 10 * 60 * 1000;
 
 /**
  * AWS Textract Provider Adapter
@@ -11,7 +27,46 @@ class AWSProvider extends ProviderInterface {
     super('aws', config);
     this.region = config.region || 'us-east-1';
     this.timeout = config.timeout || 60000;
+    this.endpoint = config.endpoint;
+    this.s3 = {
+      prefix: 'docuextract/',
+      forcePathStyle: false,
+      ...config.s3
+    };
+    // `timeout` bounds each request; polling has its own, longer budget
+    this.polling = {
+      initialDelayMs: 1000,
+      maxDelayMs: 10000,
+      maxWaitMs: DEFAULT_MAX_WAIT_MS,
+      ...config.polling
+    };
     this.client = null;
+    this.s3Client = null;
+  }
+
+  /**
+   * Deadline for a whole extraction
+   * Covers the polling budget of a multi-page job on top of the request
+   * timeout; each SDK request is still bounded by `timeout` on its own.
+   * @returns {number} Timeout in ms
+   */
+  getTimeout() {
+    return this.timeout + this.polling.maxWaitMs;
+  }
+
+  /**
+   * Client options shared by the Textract and S3 clients
+   * @private
+   */
+  getClientOptions(overrides = {}) {
+    const options = { region: overrides.region || this.region };
+    if (overrides.endpoint) {
+      options.endpoint = overrides.endpoint;
+    }
+    if (this.config.credentials) {
+      options.credentials = this.config.credentials;
+    }
+    return options;
   }
 
   /**
@@ -22,7 +77,7 @@ class AWSProvider extends ProviderInterface {
     if (!this.client) {
       try {
         const { TextractClient } = require('@aws-sdk/client-textract');
-        this.client = new TextractClient({ region: this.region });
+        this.client = new TextractClient(this.getClientOptions({ endpoint: this.endpoint }));
       } catch (error) {
         console.warn('AWS SDK not available, using mock mode');
         this.client = null;
@@ -31,36 +86,227 @@ class AWSProvider extends ProviderInterface {
     return this.client;
   }
 
+  /**
+   * Initialize the S3 client used to stage multi-page documents
+   * Any S3-compatible store works when `s3.endpoint` is set.
+   * @private
+   */
+  initializeS3Client() {
+    if (!this.s3Client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      this.s3Client = new S3Client({
+        ...this.getClientOptions(this.s3),
+        forcePathStyle: this.s3.forcePathStyle,
+        // S3-compatible stores do not all accept the SDK's default checksums
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+      });
+    }
+    return this.s3Client;
+  }
+
   /**
    * Extract text from document using AWS Textract
    * @param {Buffer} documentBuffer - Document file buffer
    * @param {string} fileName - Original file name
    * @param {string} mimeType - MIME type
+   * @param {Object} [options] - Extraction hints
+   * @param {boolean} [options.includeGeometry] - Attach layout geometry
+   * @param {AbortSignal} [options.signal] - Cancels pending SDK calls and job polling
    * @returns {Promise<Object>} Extracted content
    */
-  async extract(documentBuffer, fileName, mimeType) {
+  async extract(documentBuffer, fileName, mimeType, options = {}) {
     try {
-      const client = await this.initializeClient();
+      // Replayed responses need no SDK or credentials
+      const client = this.isReplaying() ? null : await this.initializeClient();
       
-      if (!client) {
+      if (!client && !this.isReplaying()) {
         // Mock mode - simulate AWS Textract response
         return this.mockExtract(documentBuffer, fileName, mimeType);
       }
 
-      const { AnalyzeDocumentCommand } = require('@aws-sdk/client-textract');
-      
-      const command = new AnalyzeDocumentCommand({
-        Document: { Bytes: documentBuffer },
+      const response = await this.captureResponse(documentBuffer, async () => {
+        const pageCount = mimeType === 'application/pdf'
+          ? await this.countPdfPages(documentBuffer)
+          : 1;
+
+        // AnalyzeDocument only accepts single-page documents as raw bytes
+        return pageCount > 1
+          ? this.analyzeDocumentAsync(client, documentBuffer, fileName, mimeType, options.signal)
+          : this.analyzeDocumentSync(client, documentBuffer, options.signal);
+      });
+
+      return this.normalizeTextractResponse(response, options);
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+  }
+
+  /**
+   * Analyze a single-page document synchronously
+   * @private
+   */
+  async analyzeDocumentSync(client, documentBuffer, signal) {
+    const { AnalyzeDocumentCommand } = require('@aws-sdk/client-textract');
+
+    const command = new AnalyzeDocumentCommand({
+      Document: { Bytes: documentBuffer },
+      FeatureTypes: ['TABLES', 'FORMS']
+    });
+
+    return this.send(client, command, signal);
+  }
+
+  /**
+   * Analyze a multi-page document with the asynchronous job API
+   * The document is staged in S3, analyzed, and removed afterwards.
+   * @private
+   */
+  async analyzeDocumentAsync(client, documentBuffer, fileName, mimeType, signal) {
+    if (!this.s3.bucket) {
+      throw new ProviderError('Multi-page documents require providers.aws.s3.bucket', {
+        provider: this.name,
+        code: 'CONFIGURATION',
+        retryable: false
+      });
+    }
+
+    const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { StartDocumentAnalysisCommand } = require('@aws-sdk/client-textract');
+    const s3 = this.initializeS3Client();
+    const key = `${this.s3.prefix}${uuidv4()}${path.extname(fileName) || '.pdf'}`;
+
+    await this.send(s3, new PutObjectCommand({
+      Bucket: this.s3.bucket,
+      Key: key,
+      Body: documentBuffer,
+      ContentType: mimeType
+    }), signal);
+
+    try {
+      const { JobId } = await this.send(client, new StartDocumentAnalysisCommand({
+        DocumentLocation: { S3Object: { Bucket: this.s3.bucket, Name: key } },
         FeatureTypes: ['TABLES', 'FORMS']
+      }), signal);
+      return await this.waitForAnalysis(client, JobId, signal);
+    } finally {
+      await this.send(s3, new DeleteObjectCommand({ Bucket: this.s3.bucket, Key: key }))
+        .catch(error => console.warn(`Failed to delete staged object ${key}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Poll an analysis job with exponential backoff, then page through
+   * all result sets and stitch their blocks together
+   * @private
+   */
+  async waitForAnalysis(client, jobId, signal) {
+    const { GetDocumentAnalysisCommand } = require('@aws-sdk/client-textract');
+    const deadline = Date.now() + this.polling.maxWaitMs;
+    let delay = this.polling.initialDelayMs;
+    let response;
+
+    for (;;) {
+      response = await this.send(client, new GetDocumentAnalysisCommand({ JobId: jobId }), signal);
+      if (response.JobStatus !== 'IN_PROGRESS') break;
+
+      if (Date.now() + delay > deadline) {
+        throw new ProviderError(`Textract job ${jobId} did not finish within ${this.polling.maxWaitMs}ms`, {
+          provider: this.name,
+          code: 'TIMEOUT',
+          retryable: true
+        });
+      }
+      await this.wait(delay, signal);
+      delay = Math.min(delay * 2, this.polling.maxDelayMs);
+    }
+
+    if (response.JobStatus === 'FAILED') {
+      throw new ProviderError(`Textract job ${jobId} failed: ${response.StatusMessage || 'unknown reason'}`, {
+        provider: this.name,
+        code: 'JOB_FAILED',
+        retryable: false
       });
-      
-      const response = await client.send(command);
-      return this.normalizeTextractResponse(response);
+    }
+
+    const blocks = [...(response.Blocks || [])];
+    const warnings = [...(response.Warnings || [])];
+    let nextToken = response.NextToken;
+    while (nextToken) {
+      const next = await this.send(
+        client,
+        new GetDocumentAnalysisCommand({ JobId: jobId, NextToken: nextToken }),
+        signal
+      );
+      blocks.push(...(next.Blocks || []));
+      warnings.push(...(next.Warnings || []));
+      nextToken = next.NextToken;
+    }
+
+    return {
+      Blocks: blocks,
+      DocumentMetadata: response.DocumentMetadata,
+      JobStatus: response.JobStatus,
+      Warnings: warnings
+    };
+  }
+
+  /**
+   * Send an SDK command, bounded by the request `timeout` as well as the
+   * caller's signal
+   * @private
+   * @throws The signal's abort reason, or a TIMEOUT error
+   */
+  async send(client, command, signal) {
+    const timeout = AbortSignal.timeout(this.timeout);
+    try {
+      return await client.send(command, { abortSignal: signal ? AbortSignal.any([timeout, signal]) : timeout });
     } catch (error) {
-      throw new Error(`AWS Textract extraction failed: ${error.message}`);
+      signal?.throwIfAborted();
+      if (timeout.aborted) {
+        throw ProviderError.fromTransportError(this.name, error, this.timeout);
+      }
+      throw error;
     }
   }
 
+  /**
+   * Count PDF pages, treating unreadable files as single-page
+   * @private
+   */
+  async countPdfPages(documentBuffer) {
+    try {
+      const { PDFDocument } = require('pdf-lib');
+      const doc = await PDFDocument.load(documentBuffer, { ignoreEncryption: true, updateMetadata: false });
+      return doc.getPageCount();
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * Map AWS SDK errors to ProviderError
+   * @private
+   */
+  toProviderError(error) {
+    if (error instanceof ProviderError) {
+      error.message = `AWS Textract extraction failed: ${error.message}`;
+      return error;
+    }
+    const statusCode = error.$metadata?.httpStatusCode;
+    const retryable = Boolean(error.$retryable) ||
+      RETRYABLE_AWS_ERRORS.includes(error.name) ||
+      (statusCode !== undefined && statusCode >= 500);
+
+    return new ProviderError(`AWS Textract extraction failed: ${error.message}`, {
+      provider: this.name,
+      statusCode,
+      code: error.name || 'AWS_ERROR',
+      retryable,
+      cause: error
+    });
+  }
+
   /**
    * Mock AWS Textract extraction for demo
    * @private
@@ -108,7 +354,7 @@ class AWSProvider extends ProviderInterface {
       pages = this.generateMockPages(text, 1);
     }
 
-    return {
+    return this.normalizeResponse({
       text,
       pages,
       tables,
@@ -121,7 +367,7 @@ class AWSProvider extends ProviderInterface {
         mimeType,
         service: 'AWS Textract'
       }
-    };
+    });
   }
 
   /**
@@ -192,68 +438,25 @@ Key Features:
    * Normalize AWS Textract response to standard format
    * @private
    */
-  normalizeTextractResponse(response) {
-    const blocks = response.Blocks || [];
-    
-    // Extract text
-    const textBlocks = blocks.filter(b => b.BlockType === 'LINE');
-    const text = textBlocks.map(b => b.Text).join('\n');
-    
-    // Extract pages
-    const pages = [];
-    const pageBlocks = blocks.filter(b => b.BlockType === 'PAGE');
-    for (const page of pageBlocks) {
-      const pageLines = blocks.filter(b => 
-        b.BlockType === 'LINE' && b.Page === page.PageNumber
-      );
-      pages.push({
-        pageNumber: page.PageNumber,
-        text: pageLines.map(l => l.Text).join('\n'),
-        lines: pageLines.length,
-        words: pageLines.reduce((sum, l) => sum + (l.Text?.split(/\s+/).length || 0), 0)
-      });
-    }
-    
-    // Extract tables
-    const tables = [];
-    const tableBlocks = blocks.filter(b => b.BlockType === 'TABLE');
-    for (const table of tableBlocks) {
-      tables.push({
-        rowCount: table.RowIndex,
-        columnCount: table.ColumnIndex
-      });
-    }
-    
-    // Extract forms (key-value pairs)
-    const forms = {};
-    const keyValueBlocks = blocks.filter(b => b.BlockType === 'KEY_VALUE_SET');
-    for (const kv of keyValueBlocks) {
-      if (kv.EntityTypes?.includes('KEY')) {
-        const key = kv.Text || 'Unknown Key';
-        const valueBlock = blocks.find(b => 
-          b.BlockType === 'KEY_VALUE_SET' && 
-          b.Relationships?.some(r => 
-            r.Type === 'VALUE' && r.Ids.includes(kv.Id)
-          )
-        );
-        if (valueBlock) {
-          forms[key] = valueBlock.Text || '';
-        }
-      }
-    }
+  normalizeTextractResponse(response, options = {}) {
+    const { text, pages, tables, formFields } = new TextractBlockParser(response.Blocks, options).parse();
 
-    return {
+    return this.normalizeResponse({
       text,
       pages,
       tables,
-      forms,
+      forms: formFields,
       metadata: {
         provider: 'aws',
         extractionTime: Date.now(),
         pageCount: pages.length,
-        service: 'AWS Textract'
+        service: 'AWS Textract',
+        ...(response.JobStatus && {
+          jobStatus: response.JobStatus,
+          warnings: response.Warnings || []
+        })
       }
-    };
+    });
   }
 
   /**
@@ -281,6 +484,20 @@ Key Features:
     return pages;
   }
 
+  /**
+   * Wait between job polls, stopping as soon as the signal aborts
+   * @private
+   * @throws The signal's abort reason
+   */
+  async wait(ms, signal) {
+    try {
+      await sleep(ms, undefined, { signal });
+    } catch (error) {
+      signal?.throwIfAborted();
+      throw error;
+    }
+  }
+
   /**
    * Simulate processing delay
    * @private
@@ -1,4 +1,19 @@
 const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+const { fromPolygon } = require('./geometry');
+
+/**
+ * Default prebuilt model per document type
+ * Overridable (including custom model IDs) via `providers.azure.models`
+ */
+const DEFAULT_MODELS = {
+  invoice: 'prebuilt-invoice',
+  receipt: 'prebuilt-receipt',
+  id_document: 'prebuilt-idDocument',
+  contract: 'prebuilt-contract',
+  form: 'prebuilt-document',
+  generic: 'prebuilt-document'
+};
 
 /**
  * Azure Document Intelligence Provider Adapter
@@ -12,9 +27,19 @@ class AzureProvider extends ProviderInterface {
     this.endpoint = config.endpoint || 'https://your-resource.cognitiveservices.azure.com';
     this.timeout = config.timeout || 60000;
     this.apiKey = config.apiKey;
+    this.models = { ...DEFAULT_MODELS, ...config.models };
     this.client = null;
   }
 
+  /**
+   * Resolve the model ID for a document type
+   * @param {string} [documentType] - Document type from routing
+   * @returns {string} Model ID
+   */
+  getModelId(documentType) {
+    return this.models[documentType] || this.models.generic || 'prebuilt-document';
+  }
+
   /**
    * Initialize Azure Document Intelligence client
    * @private
@@ -22,8 +47,11 @@ class AzureProvider extends ProviderInterface {
   async initializeClient() {
     if (!this.client) {
       try {
-        const { DocumentAnalysisClient } = require('@azure/ai-form-recognizer');
-        this.client = new DocumentAnalysisClient(this.endpoint, this.apiKey);
+        const { DocumentAnalysisClient, AzureKeyCredential } = require('@azure/ai-form-recognizer');
+        // Plain-HTTP endpoints are only used with local stand-ins such as the simulator
+        this.client = new DocumentAnalysisClient(this.endpoint, new AzureKeyCredential(this.apiKey), {
+          allowInsecureConnection: this.endpoint.startsWith('http:')
+        });
       } catch (error) {
         console.warn('Azure SDK not available, using mock mode');
         this.client = null;
@@ -37,32 +65,64 @@ class AzureProvider extends ProviderInterface {
    * @param {Buffer} documentBuffer - Document file buffer
    * @param {string} fileName - Original file name
    * @param {string} mimeType - MIME type
+   * @param {Object} [options] - Extraction hints
+   * @param {string} [options.documentType] - Selects the model to use
+   * @param {string} [options.model] - Model ID overriding the document type's
+   * @param {boolean} [options.includeGeometry] - Attach layout geometry
+   * @param {AbortSignal} [options.signal] - Cancels the analyze request and polling
    * @returns {Promise<Object>} Extracted content
    */
-  async extract(documentBuffer, fileName, mimeType) {
+  async extract(documentBuffer, fileName, mimeType, options = {}) {
     try {
-      const client = await this.initializeClient();
+      // Replayed responses need no SDK or credentials
+      const client = this.isReplaying() ? null : await this.initializeClient();
       
-      if (!client) {
+      if (!client && !this.isReplaying()) {
         // Mock mode - simulate Azure response
-        return this.mockExtract(documentBuffer, fileName, mimeType);
+        return this.mockExtract(documentBuffer, fileName, mimeType, options);
       }
 
-      // Use prebuilt-document model for general extraction
-      const poller = await client.beginAnalyzeDocument('prebuilt-document', documentBuffer);
-      const result = await poller.pollUntilDone();
+      const modelId = options.model || this.getModelId(options.documentType);
+      const result = await this.captureResponse(documentBuffer, async () => {
+        const poller = await client.beginAnalyzeDocument(modelId, documentBuffer, { abortSignal: options.signal });
+        return poller.pollUntilDone({ abortSignal: options.signal });
+      }, modelId);
       
-      return this.normalizeAzureResponse(result);
+      return this.normalizeAzureResponse(result, modelId, options);
     } catch (error) {
-      throw new Error(`Azure Document Intelligence extraction failed: ${error.message}`);
+      throw this.toProviderError(error);
     }
   }
 
+  /**
+   * Map Azure SDK errors to ProviderError
+   * Throttling, timeouts, server errors and failed sends are retryable.
+   * @private
+   */
+  toProviderError(error) {
+    if (error instanceof ProviderError) {
+      error.message = `Azure Document Intelligence extraction failed: ${error.message}`;
+      return error;
+    }
+    const { statusCode } = error;
+    const retryable = statusCode === undefined
+      ? error.code === 'REQUEST_SEND_ERROR'
+      : statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+    return new ProviderError(`Azure Document Intelligence extraction failed: ${error.message}`, {
+      provider: this.name,
+      statusCode,
+      code: error.code || 'AZURE_ERROR',
+      retryable,
+      cause: error
+    });
+  }
+
   /**
    * Mock Azure Document Intelligence extraction for demo
    * @private
    */
-  async mockExtract(documentBuffer, fileName, mimeType) {
+  async mockExtract(documentBuffer, fileName, mimeType, options = {}) {
     // Simulate processing delay typical for Azure
     await this.simulateProcessing(500);
     
@@ -113,20 +173,22 @@ class AzureProvider extends ProviderInterface {
       pages = this.generateMockPages(text, 1);
     }
 
-    return {
+    return this.normalizeResponse({
       text,
       pages,
       tables,
       forms,
+      fields: {},
       metadata: {
         provider: 'azure',
         extractionTime: Date.now(),
         pageCount: pages.length,
         fileName,
         mimeType,
-        service: 'Azure Document Intelligence'
+        service: 'Azure Document Intelligence',
+        model: options.model || this.getModelId(options.documentType)
       }
-    };
+    });
   }
 
   /**
@@ -212,35 +274,95 @@ The service offers:
    * Normalize Azure Document Intelligence response to standard format
    * @private
    */
-  normalizeAzureResponse(response) {
+  normalizeAzureResponse(response, modelId = response.modelId, options = {}) {
     // Azure returns documents with pages, tables, and key-value pairs
     const pages = [];
     const tables = [];
-    const forms = {};
+    const forms = [];
+    const includeGeometry = Boolean(options.includeGeometry);
+    const pageSizes = {};
     
     // Extract pages
     if (response.pages) {
       for (const page of response.pages) {
+        pageSizes[page.pageNumber] = page;
         let pageText = '';
         if (page.lines) {
           pageText = page.lines.map(l => l.content).join('\n');
         }
-        pages.push({
+        const entry = {
           pageNumber: page.pageNumber,
           text: pageText,
           lines: page.lines?.length || 0,
-          words: page.words?.length || 0
-        });
+          words: page.words?.length || 0,
+          confidence: this.summarizeConfidence(
+            (page.words || []).map(w => ({ confidence: w.confidence }))
+          ).overall
+        };
+        if (includeGeometry) {
+          entry.geometry = {
+            width: page.width ?? null,
+            height: page.height ?? null,
+            unit: page.unit ?? null,
+            rotation: page.angle ?? 0,
+            lines: (page.lines || []).map(l => ({
+              text: l.content,
+              confidence: null,
+              ...fromPolygon(l.polygon, page.width, page.height)
+            })),
+            words: (page.words || []).map(w => ({
+              text: w.content,
+              confidence: w.confidence ?? null,
+              ...fromPolygon(w.polygon, page.width, page.height)
+            }))
+          };
+        }
+        pages.push(entry);
       }
     }
     
-    // Extract tables
+    const regionGeometry = regions => {
+      const region = regions?.[0];
+      const page = region && pageSizes[region.pageNumber];
+      return page ? fromPolygon(region.polygon, page.width, page.height) : null;
+    };
+    
+    // Extract tables into full cell grids
     if (response.tables) {
       for (const table of response.tables) {
+        const grid = fill => Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(fill));
+        const cells = grid('');
+        const cellGeometry = grid(null);
+        const merged = [];
+        const headerRows = new Set();
+
+        for (const cell of table.cells || []) {
+          const rowSpan = cell.rowSpan || 1;
+          const columnSpan = cell.columnSpan || 1;
+          cells[cell.rowIndex][cell.columnIndex] = cell.content || '';
+          cellGeometry[cell.rowIndex][cell.columnIndex] = regionGeometry(cell.boundingRegions);
+          if (rowSpan > 1 || columnSpan > 1) {
+            merged.push({ row: cell.rowIndex, column: cell.columnIndex, rowSpan, columnSpan });
+          }
+          if (cell.kind === 'columnHeader') {
+            headerRows.add(cell.rowIndex);
+          }
+        }
+
         tables.push({
-          rowCount: table.rowCount,
-          columnCount: table.columnCount,
-          cells: table.cells?.map(c => c.content) || []
+          rows: table.rowCount,
+          columns: table.columnCount,
+          cells,
+          merged,
+          headerRows: [...headerRows].sort((a, b) => a - b),
+          // Azure scores neither tables nor cells
+          cellConfidence: null,
+          confidence: null,
+          pageNumber: table.boundingRegions?.[0]?.pageNumber ?? null,
+          ...(includeGeometry && {
+            geometry: regionGeometry(table.boundingRegions),
+            cellGeometry
+          })
         });
       }
     }
@@ -248,24 +370,102 @@ The service offers:
     // Extract key-value pairs (forms)
     if (response.keyValuePairs) {
       for (const kv of response.keyValuePairs) {
-        forms[kv.key?.content || 'Unknown'] = kv.value?.content || '';
+        const field = {
+          key: kv.key?.content || 'Unknown',
+          value: kv.value?.content || '',
+          confidence: kv.confidence ?? null,
+          pageNumber: kv.key?.boundingRegions?.[0]?.pageNumber || 1
+        };
+        if (includeGeometry) {
+          field.keyGeometry = regionGeometry(kv.key?.boundingRegions);
+          field.valueGeometry = regionGeometry(kv.value?.boundingRegions);
+        }
+        forms.push(field);
       }
     }
     
     // Combine all text
     const text = pages.map(p => p.text).join('\n\n');
 
-    return {
+    return this.normalizeResponse({
       text,
       pages,
       tables,
       forms,
+      fields: this.normalizeDocumentFields(response.documents),
       metadata: {
         provider: 'azure',
         extractionTime: Date.now(),
         pageCount: pages.length,
-        service: 'Azure Document Intelligence'
+        service: 'Azure Document Intelligence',
+        model: modelId
       }
+    });
+  }
+
+  /**
+   * Flatten typed fields from the analyzed documents
+   * Fields of the first document are keyed by name; further documents
+   * (e.g. several receipts in one file) are listed in `additionalDocuments`.
+   * @private
+   */
+  normalizeDocumentFields(documents = []) {
+    const [first, ...rest] = documents.map(doc => ({
+      documentType: doc.docType,
+      confidence: doc.confidence ?? null,
+      values: Object.fromEntries(
+        Object.entries(doc.fields || {}).map(([name, field]) => [name, this.normalizeField(field)])
+      )
+    }));
+
+    if (!first) return {};
+    return rest.length ? { ...first, additionalDocuments: rest } : first;
+  }
+
+  /**
+   * Convert a DocumentField into a plain typed value
+   * @private
+   */
+  normalizeField(field) {
+    if (!field) return null;
+
+    let value;
+    switch (field.kind) {
+      case 'array':
+        value = (field.values || []).map(item => this.normalizeField(item));
+        break;
+      case 'object':
+        value = Object.fromEntries(
+          Object.entries(field.properties || {}).map(([name, item]) => [name, this.normalizeField(item)])
+        );
+        break;
+      case 'date':
+        // Dates come back as strings from recorded responses
+        value = field.value instanceof Date
+          ? field.value.toISOString().slice(0, 10)
+          : typeof field.value === 'string' ? field.value.slice(0, 10) : null;
+        break;
+      case 'currency':
+        value = field.value
+          ? {
+            amount: field.value.amount,
+            currencyCode: field.value.currencyCode || null,
+            currencySymbol: field.value.currencySymbol || null
+          }
+          : null;
+        break;
+      case 'address':
+        value = field.value ? { ...field.value } : null;
+        break;
+      default:
+        value = field.value ?? field.content ?? null;
+    }
+
+    return {
+      type: field.kind || 'string',
+      value,
+      content: field.content ?? null,
+      confidence: field.confidence ?? null
     };
   }
 
@@ -0,0 +1,556 @@
+const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+const { readZipDirectory } = require('./zipDirectory');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOC_MIME_TYPE = 'application/msword';
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Word Document Provider Adapter
+ * Reads DOCX files natively (and legacy DOC files as plain paragraphs)
+ * Best for: Word documents, contracts, letters
+ * Price: $0/page (runs locally)
+ */
+class DocxProvider extends ProviderInterface {
+  constructor(config) {
+    super('docx', config);
+    // Limits on the unpacked package, so a small zip bomb cannot exhaust memory
+    this.maxEntries = config.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.maxUncompressedBytes = config.maxUncompressedBytes ?? DEFAULT_MAX_UNCOMPRESSED_BYTES;
+  }
+
+  /**
+   * MIME types handled by this provider
+   * @returns {Array<string>}
+   */
+  static get mimeTypes() {
+    return [DOCX_MIME_TYPE, DOC_MIME_TYPE];
+  }
+
+  /**
+   * Extract paragraphs, headings, tables and properties from a Word file
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @returns {Promise<Object>} Extracted content
+   */
+  async extract(documentBuffer, fileName, mimeType) {
+    if (!DocxProvider.mimeTypes.includes(mimeType)) {
+      throw new ProviderError(`Word extraction failed: unsupported type ${mimeType}`, {
+        provider: this.name,
+        code: 'UNSUPPORTED_TYPE',
+        retryable: false
+      });
+    }
+
+    try {
+      const parsed = mimeType === DOCX_MIME_TYPE
+        ? await this.parseDocx(documentBuffer)
+        : await this.parseDoc(documentBuffer);
+
+      return this.normalizeResponse({
+        text: parsed.pages.map(p => p.text).join('\n\n'),
+        pages: parsed.pages,
+        tables: parsed.tables,
+        forms: parsed.forms,
+        metadata: {
+          extractionTime: Date.now(),
+          pageCount: parsed.pages.length,
+          fileName,
+          mimeType,
+          headings: parsed.headings,
+          properties: parsed.properties
+        }
+      });
+    } catch (error) {
+      throw new ProviderError(`Word extraction failed: ${error.message}`, {
+        provider: this.name,
+        code: 'INVALID_DOCUMENT',
+        retryable: false,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Parse an OOXML (DOCX) package
+   * Pages are split on explicit page breaks only, since DOCX files carry
+   * no layout information of their own.
+   * @private
+   */
+  async parseDocx(documentBuffer) {
+    const JSZip = require('jszip');
+    const sizes = this.checkPackageSize(documentBuffer);
+    const zip = await JSZip.loadAsync(documentBuffer);
+
+    const documentXml = await this.readXml(zip, 'word/document.xml', sizes);
+    if (!documentXml) {
+      throw new Error('word/document.xml not found');
+    }
+
+    const styles = this.parseStyles(await this.readXml(zip, 'word/styles.xml', sizes));
+    const body = this.findChild(documentXml.documentElement, 'body');
+
+    const state = {
+      styles,
+      pages: [[]],
+      tables: [],
+      forms: {},
+      headings: []
+    };
+    this.walkBlocks(body, state);
+
+    const pages = state.pages.map((paragraphs, i) => {
+      const text = paragraphs.map(p => p.text).join('\n');
+      return {
+        pageNumber: i + 1,
+        text,
+        lines: paragraphs.length,
+        words: text.split(/\s+/).filter(Boolean).length,
+        confidence: 1,
+        paragraphs
+      };
+    });
+
+    return {
+      pages,
+      tables: state.tables,
+      forms: state.forms,
+      headings: state.headings,
+      properties: await this.parseProperties(zip, sizes)
+    };
+  }
+
+  /**
+   * Parse a legacy binary (DOC) file
+   * Only the body text is available, so every line becomes a paragraph.
+   * @private
+   */
+  async parseDoc(documentBuffer) {
+    const WordExtractor = require('word-extractor');
+    const doc = await new WordExtractor().extract(documentBuffer);
+    const paragraphs = doc.getBody()
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(text => ({ type: 'paragraph', text }));
+    const text = paragraphs.map(p => p.text).join('\n');
+
+    return {
+      pages: [{
+        pageNumber: 1,
+        text,
+        lines: paragraphs.length,
+        words: text.split(/\s+/).filter(Boolean).length,
+        confidence: 1,
+        paragraphs
+      }],
+      tables: [],
+      forms: {},
+      headings: [],
+      properties: {}
+    };
+  }
+
+  /**
+   * Walk block-level content (paragraphs, tables, content controls)
+   * @private
+   */
+  walkBlocks(parent, state) {
+    for (const node of this.elementChildren(parent)) {
+      switch (node.localName) {
+        case 'p':
+          this.addParagraph(node, state);
+          break;
+        case 'tbl':
+          this.addTable(node, state);
+          break;
+        case 'sdt':
+          this.addContentControl(node, state);
+          break;
+        case 'customXml':
+        case 'smartTag':
+          this.walkBlocks(node, state);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Append a paragraph to the current page, starting new pages on breaks
+   * @private
+   */
+  addParagraph(node, state) {
+    const pPr = this.findChild(node, 'pPr');
+    if (this.findChild(pPr, 'pageBreakBefore')) {
+      this.newPage(state);
+    }
+
+    const { text, pageBreaks } = this.readRuns(node);
+    const paragraph = this.describeParagraph(pPr, text, state.styles);
+
+    if (paragraph.text) {
+      state.pages[state.pages.length - 1].push(paragraph);
+      if (paragraph.type === 'heading' || paragraph.type === 'title') {
+        state.headings.push({
+          level: paragraph.level,
+          text: paragraph.text,
+          pageNumber: state.pages.length
+        });
+      }
+    }
+
+    for (let i = 0; i < pageBreaks; i++) {
+      this.newPage(state);
+    }
+  }
+
+  /**
+   * Start a new page unless the current one is still empty
+   * @private
+   */
+  newPage(state) {
+    if (state.pages[state.pages.length - 1].length > 0) {
+      state.pages.push([]);
+    }
+  }
+
+  /**
+   * Classify a paragraph as title, heading, list item or plain paragraph
+   * @private
+   */
+  describeParagraph(pPr, text, styles) {
+    const styleId = this.attr(this.findChild(pPr, 'pStyle'), 'val');
+    const style = styles[styleId] || {};
+    const outline = this.attr(this.findChild(pPr, 'outlineLvl'), 'val') ?? style.outlineLevel;
+    const numPr = this.findChild(pPr, 'numPr');
+    const paragraph = { type: 'paragraph', text };
+
+    if (styleId) paragraph.style = style.name || styleId;
+
+    if (/^title$/i.test(style.name || styleId || '')) {
+      paragraph.type = 'title';
+      paragraph.level = 0;
+    } else if (outline !== undefined && outline !== null && Number(outline) < 9) {
+      paragraph.type = 'heading';
+      paragraph.level = Number(outline) + 1;
+    } else if (numPr) {
+      paragraph.type = 'listItem';
+      paragraph.level = Number(this.attr(this.findChild(numPr, 'ilvl'), 'val') || 0);
+    }
+
+    return paragraph;
+  }
+
+  /**
+   * Collect run text from a paragraph, counting explicit page breaks
+   * @private
+   */
+  readRuns(node) {
+    let text = '';
+    let pageBreaks = 0;
+
+    const visit = el => {
+      for (const child of this.elementChildren(el)) {
+        switch (child.localName) {
+          case 't':
+            text += child.textContent;
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'br':
+          case 'cr':
+            if (this.attr(child, 'type') === 'page') {
+              pageBreaks++;
+            } else {
+              text += '\n';
+            }
+            break;
+          case 'pPr':
+          case 'rPr':
+          case 'delText':
+            break;
+          default:
+            visit(child);
+        }
+      }
+    };
+    visit(node);
+
+    return { text: text.trim(), pageBreaks };
+  }
+
+  /**
+   * Rebuild a table as a full cell grid
+   * Horizontally and vertically merged cells keep their text in the
+   * top-left cell; covered positions are empty and listed in `merged`.
+   * Rows marked to repeat on every page (`tblHeader`) are header rows.
+   * @private
+   */
+  addTable(node, state) {
+    const grid = [];
+    const merged = [];
+    const headerRows = [];
+    const openVertical = {}; // column -> merge record still accepting rows
+
+    const rows = this.elementChildren(node).filter(n => n.localName === 'tr');
+    rows.forEach((tr, rowIndex) => {
+      const row = [];
+      const tblHeader = this.findChild(this.findChild(tr, 'trPr'), 'tblHeader');
+      if (tblHeader && !['0', 'false'].includes(this.attr(tblHeader, 'val'))) {
+        headerRows.push(rowIndex);
+      }
+      for (const tc of this.elementChildren(tr).filter(n => n.localName === 'tc')) {
+        const tcPr = this.findChild(tc, 'tcPr');
+        const span = Number(this.attr(this.findChild(tcPr, 'gridSpan'), 'val') || 1);
+        const vMerge = this.findChild(tcPr, 'vMerge');
+        const column = row.length;
+
+        if (vMerge && this.attr(vMerge, 'val') !== 'restart' && openVertical[column]) {
+          openVertical[column].rowSpan++;
+          for (let i = 0; i < span; i++) row.push('');
+          continue;
+        }
+
+        const cellText = this.readCellText(tc);
+        row.push(cellText);
+        for (let i = 1; i < span; i++) row.push('');
+
+        const record = { row: rowIndex, column, rowSpan: 1, columnSpan: span };
+        delete openVertical[column];
+        if (vMerge) {
+          openVertical[column] = record;
+        }
+        if (span > 1 || vMerge) {
+          merged.push(record);
+        }
+      }
+      grid.push(row);
+    });
+
+    const columns = grid.reduce((max, row) => Math.max(max, row.length), 0);
+    for (const row of grid) {
+      while (row.length < columns) row.push('');
+    }
+
+    state.tables.push({
+      rows: grid.length,
+      columns,
+      cells: grid,
+      merged: merged.filter(m => m.rowSpan > 1 || m.columnSpan > 1),
+      headerRows,
+      pageNumber: state.pages.length
+    });
+
+    // Keep table text in the page flow so full-text search still works
+    const tableText = grid.map(r => r.filter(Boolean).join('\t')).filter(Boolean).join('\n');
+    if (tableText) {
+      state.pages[state.pages.length - 1].push({ type: 'table', text: tableText });
+    }
+  }
+
+  /**
+   * Read the text of a table cell, including nested paragraphs
+   * @private
+   */
+  readCellText(tc) {
+    const parts = [];
+    const visit = el => {
+      for (const child of this.elementChildren(el)) {
+        if (child.localName === 'p') {
+          const { text } = this.readRuns(child);
+          if (text) parts.push(text);
+        } else if (child.localName !== 'tcPr') {
+          visit(child);
+        }
+      }
+    };
+    visit(tc);
+    return parts.join('\n');
+  }
+
+  /**
+   * Content controls become form fields keyed by their alias or tag
+   * @private
+   */
+  addContentControl(node, state) {
+    const sdtPr = this.findChild(node, 'sdtPr');
+    const content = this.findChild(node, 'sdtContent');
+    const label = this.attr(this.findChild(sdtPr, 'alias'), 'val') ||
+      this.attr(this.findChild(sdtPr, 'tag'), 'val');
+
+    if (label && content) {
+      state.forms[label] = this.readCellText(content);
+    }
+    if (content) {
+      this.walkBlocks(content, state);
+    }
+  }
+
+  /**
+   * Read style names and outline levels from styles.xml
+   * @private
+   */
+  parseStyles(stylesXml) {
+    const styles = {};
+    if (!stylesXml) return styles;
+
+    for (const style of this.elementChildren(stylesXml.documentElement)) {
+      if (style.localName !== 'style') continue;
+      const id = this.attr(style, 'styleId');
+      const name = this.attr(this.findChild(style, 'name'), 'val');
+      const pPr = this.findChild(style, 'pPr');
+      let outlineLevel = this.attr(this.findChild(pPr, 'outlineLvl'), 'val');
+
+      const heading = /^heading\s*(\d)$/i.exec(name || '');
+      if (outlineLevel === null && heading) {
+        outlineLevel = String(Number(heading[1]) - 1);
+      }
+      styles[id] = { name, outlineLevel };
+    }
+    return styles;
+  }
+
+  /**
+   * Read core and extended document properties
+   * @private
+   */
+  async parseProperties(zip, sizes) {
+    const properties = {};
+    const core = await this.readXml(zip, 'docProps/core.xml', sizes);
+    const app = await this.readXml(zip, 'docProps/app.xml', sizes);
+
+    const coreFields = {
+      title: 'title',
+      subject: 'subject',
+      creator: 'author',
+      keywords: 'keywords',
+      description: 'description',
+      lastModifiedBy: 'lastModifiedBy',
+      revision: 'revision',
+      created: 'created',
+      modified: 'modified'
+    };
+    for (const node of core ? this.elementChildren(core.documentElement) : []) {
+      const key = coreFields[node.localName];
+      if (key && node.textContent) properties[key] = node.textContent;
+    }
+
+    const appFields = { Application: 'application', Pages: 'pages', Words: 'words', Company: 'company' };
+    for (const node of app ? this.elementChildren(app.documentElement) : []) {
+      const key = appFields[node.localName];
+      if (key && node.textContent) {
+        properties[key] = /^\d+$/.test(node.textContent) ? Number(node.textContent) : node.textContent;
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Reject packages with too many entries or too much uncompressed data
+   * Sizes are read from the zip's central directory before anything is
+   * inflated; `readPart` holds each part to its declared size.
+   * @private
+   * @returns {Map<string, number>} Declared uncompressed size by part name
+   */
+  checkPackageSize(documentBuffer) {
+    const sizes = readZipDirectory(documentBuffer);
+    if (sizes.size > this.maxEntries) {
+      throw new Error(`package has ${sizes.size} entries, more than the limit of ${this.maxEntries}`);
+    }
+    let uncompressed = 0;
+    for (const size of sizes.values()) uncompressed += size;
+    if (uncompressed > this.maxUncompressedBytes) {
+      throw new Error(`package unpacks to ${uncompressed} bytes, more than the limit of ${this.maxUncompressedBytes}`);
+    }
+    return sizes;
+  }
+
+  /**
+   * Read and parse an XML part from the package
+   * @private
+   */
+  async readXml(zip, partName, sizes) {
+    const file = zip.file(partName);
+    if (!file) return null;
+    const { DOMParser } = require('@xmldom/xmldom');
+    const content = await this.readPart(file, sizes.get(file.name) ?? 0);
+    return new DOMParser().parseFromString(content.toString('utf8'), 'text/xml');
+  }
+
+  /**
+   * Inflate a part, stopping as soon as it grows past its declared size
+   * A forged central directory could otherwise understate a bomb's size;
+   * a part missing from the directory may not grow at all.
+   * @private
+   * @returns {Promise<Buffer>}
+   */
+  readPart(file, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = file.internalStream('nodebuffer');
+      stream
+        .on('data', chunk => {
+          if (size > limit) return;
+          size += chunk.length;
+          if (size > limit) {
+            stream.pause();
+            reject(new Error(`${file.name} unpacks to more than its declared ${limit} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .resume();
+    });
+  }
+
+  /**
+   * @private
+   */
+  elementChildren(node) {
+    if (!node) return [];
+    return Array.from(node.childNodes).filter(n => n.nodeType === 1);
+  }
+
+  /**
+   * @private
+   */
+  findChild(node, localName) {
+    return this.elementChildren(node).find(n => n.localName === localName) || null;
+  }
+
+  /**
+   * Read an attribute by local name, ignoring its namespace prefix
+   * @private
+   */
+  attr(node, localName) {
+    if (!node) return null;
+    const attribute = Array.from(node.attributes).find(a => a.localName === localName);
+    return attribute ? attribute.value : null;
+  }
+
+  /**
+   * Health check for the Word parser
+   * @returns {Promise<boolean>}
+   */
+  async healthCheck() {
+    try {
+      require('jszip');
+      require('@xmldom/xmldom');
+      return this.isEnabled();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = DocxProvider;
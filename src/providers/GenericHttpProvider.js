@@ -0,0 +1,261 @@
+const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+const httpClient = require('./httpClient');
+
+// The document travels in the request body, which GET and HEAD cannot carry
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Generic HTTP Provider Adapter
+ * Calls an extraction microservice described entirely in config.yaml
+ * (`type: http`). The request shape and the mapping of the JSON response
+ * into the normalized format come from the provider's config block.
+ */
+class GenericHttpProvider extends ProviderInterface {
+  constructor(name, config) {
+    super(name, config);
+    if (!config.endpoint) {
+      throw new Error(`Provider ${name}: "endpoint" is required for type: http`);
+    }
+
+    this.endpoint = config.endpoint;
+    this.method = (config.method || 'POST').toUpperCase();
+    this.timeout = config.timeout || 30000;
+    this.upload = {
+      mode: 'multipart',
+      field: 'file',
+      fileNameField: 'fileName',
+      mimeTypeField: 'mimeType',
+      extraFields: {},
+      ...config.upload
+    };
+    this.headers = config.headers || {};
+    this.healthCheckConfig = config.healthCheck || null;
+    this.responseMapping = config.response || {};
+
+    if (!BODY_METHODS.includes(this.method)) {
+      throw new Error(`Provider ${name}: method must be POST, PUT or PATCH to send the document, got ${this.method}`);
+    }
+    if (!['multipart', 'base64'].includes(this.upload.mode)) {
+      throw new Error(`Provider ${name}: upload.mode must be "multipart" or "base64"`);
+    }
+  }
+
+  /**
+   * Extract content by calling the configured endpoint
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @param {Object} [options] - Extraction options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Extracted content
+   */
+  async extract(documentBuffer, fileName, mimeType, options = {}) {
+    try {
+      const body = await this.captureResponse(documentBuffer, async () => {
+        const response = await httpClient.request(
+          this.name,
+          this.endpoint,
+          {
+            method: this.method,
+            headers: {
+              ...(this.upload.mode === 'base64' && { 'Content-Type': 'application/json' }),
+              ...this.buildHeaders()
+            },
+            body: this.buildBody(documentBuffer, fileName, mimeType),
+            signal: options.signal
+          },
+          this.timeout
+        );
+        return httpClient.readJson(this.name, response);
+      });
+      return this.normalizeResponse(this.mapResponse(body, fileName, mimeType));
+    } catch (error) {
+      if (error instanceof ProviderError) {
+        error.message = `${this.name} extraction failed: ${error.message}`;
+        throw error;
+      }
+      throw new ProviderError(`${this.name} extraction failed: ${error.message}`, {
+        provider: this.name,
+        retryable: false,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Resolve configured headers, expanding ${ENV_VAR} references
+   * @private
+   */
+  buildHeaders() {
+    const headers = {};
+    for (const [key, value] of Object.entries(this.headers)) {
+      headers[key] = String(value).replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+    }
+    return headers;
+  }
+
+  /**
+   * Build the request body for the configured upload mode
+   * @private
+   */
+  buildBody(documentBuffer, fileName, mimeType) {
+    const { mode, field, fileNameField, mimeTypeField, extraFields } = this.upload;
+
+    if (mode === 'base64') {
+      return JSON.stringify({
+        ...extraFields,
+        [field]: documentBuffer.toString('base64'),
+        [fileNameField]: fileName,
+        [mimeTypeField]: mimeType
+      });
+    }
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(extraFields)) {
+      form.append(key, String(value));
+    }
+    form.append(field, new Blob([documentBuffer], { type: mimeType }), fileName);
+    return form;
+  }
+
+  /**
+   * Map the service response into the normalized shape
+   * Each mapping entry is either a path string or an object with a
+   * `path` plus paths for the fields inside each matched item.
+   * @private
+   */
+  mapResponse(body, fileName, mimeType) {
+    const mapping = this.responseMapping;
+
+    const pages = this.mapItems(body, mapping.pages, (item, i, spec) => {
+      const text = typeof item === 'string' ? item : String(resolvePath(item, spec.text || 'text') ?? '');
+      return {
+        pageNumber: mapPageNumber(item, spec, i + 1),
+        text,
+        lines: text ? text.split('\n').length : 0,
+        words: text.split(/\s+/).filter(Boolean).length
+      };
+    });
+
+    const tables = this.mapItems(body, mapping.tables, (item, i, spec) => {
+      // A grid or a list of positioned cells; both are completed by normalizeResponse
+      const cells = Array.isArray(item) ? item : resolvePath(item, spec.cells || 'cells') || [];
+      return { cells, pageNumber: mapPageNumber(item, spec, null) };
+    });
+
+    // Keys come from the response, so none of them may reach a prototype
+    let forms = Object.create(null);
+    const formSpec = toSpec(mapping.forms);
+    if (formSpec) {
+      const value = resolvePath(body, formSpec.path);
+      if (Array.isArray(value)) {
+        for (const item of value) {
+          const key = resolvePath(item, formSpec.key || 'key');
+          if (key !== undefined) forms[key] = resolvePath(item, formSpec.value || 'value') ?? '';
+        }
+      } else if (value && typeof value === 'object') {
+        forms = value;
+      }
+    }
+
+    const mappedText = mapping.text ? resolvePath(body, mapping.text) : undefined;
+    const text = Array.isArray(mappedText) ? mappedText.join('\n') : mappedText;
+
+    return {
+      text: text ?? pages.map(p => p.text).join('\n\n'),
+      pages,
+      tables,
+      forms,
+      metadata: {
+        extractionTime: Date.now(),
+        pageCount: pages.length,
+        fileName,
+        mimeType,
+        service: this.config.description || this.name
+      }
+    };
+  }
+
+  /**
+   * Resolve a list mapping and transform each matched item
+   * @private
+   */
+  mapItems(body, mapping, transform) {
+    const spec = toSpec(mapping);
+    if (!spec) return [];
+    const value = resolvePath(body, spec.path);
+    const items = Array.isArray(value) ? value : value === undefined ? [] : [value];
+    return items.map((item, i) => transform(item, i, spec));
+  }
+
+  /**
+   * Health check, using `healthCheck.url` when configured
+   * @returns {Promise<boolean>}
+   */
+  async healthCheck() {
+    if (!this.isEnabled()) return false;
+    if (!this.healthCheckConfig?.url) return true;
+
+    try {
+      await httpClient.request(
+        this.name,
+        this.healthCheckConfig.url,
+        { method: this.healthCheckConfig.method || 'GET', headers: this.buildHeaders() },
+        this.timeout
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Normalize a mapping entry to `{ path, ... }`
+ * @private
+ */
+function toSpec(mapping) {
+  if (!mapping) return null;
+  return typeof mapping === 'string' ? { path: mapping } : mapping;
+}
+
+/**
+ * Page number of a mapped item, or `fallback` when the item has no
+ * usable number at `spec.pageNumber`
+ * @private
+ */
+function mapPageNumber(item, spec, fallback) {
+  if (!spec.pageNumber || !item || typeof item !== 'object') return fallback;
+  const pageNumber = Number(resolvePath(item, spec.pageNumber));
+  return Number.isInteger(pageNumber) && pageNumber > 0 ? pageNumber : fallback;
+}
+
+/**
+ * Resolve a simple JSON path such as `$.data.pages[*].text` or `items[0].value`
+ * A `[*]` segment maps the rest of the path over every array element.
+ * @private
+ */
+function resolvePath(value, path) {
+  const segments = String(path)
+    .replace(/^\$\.?/, '')
+    .split(/\.|(?=\[)/)
+    .filter(Boolean);
+
+  const walk = (current, index) => {
+    if (index === segments.length || current === undefined || current === null) {
+      return current;
+    }
+    const segment = segments[index];
+    if (segment === '[*]') {
+      return Array.isArray(current) ? current.map(item => walk(item, index + 1)) : undefined;
+    }
+    const arrayIndex = /^\[(\d+)\]$/.exec(segment);
+    const next = arrayIndex ? current[Number(arrayIndex[1])] : current[segment];
+    return walk(next, index + 1);
+  };
+
+  return walk(value, 0);
+}
+
+module.exports = GenericHttpProvider;
@@ -1,4 +1,6 @@
 const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+const httpClient = require('./httpClient');
 
 /**
  * LangExtract Provider Adapter
@@ -9,8 +11,10 @@ const ProviderInterface = require('./ProviderInterface');
 class LangExtractProvider extends ProviderInterface {
   constructor(config) {
     super('langextract', config);
-    this.baseUrl = config.baseUrl || 'http://localhost:8000';
+    this.baseUrl = (config.baseUrl || 'http://localhost:8000').replace(/\/+$/, '');
     this.timeout = config.timeout || 30000;
+    this.extractPath = config.extractPath || '/extract';
+    this.healthPath = config.healthPath || '/health';
   }
 
   /**
@@ -18,54 +22,53 @@ class LangExtractProvider extends ProviderInterface {
    * @param {Buffer} documentBuffer - Document file buffer
    * @param {string} fileName - Original file name
    * @param {string} mimeType - MIME type
+   * @param {Object} [options] - Extraction options
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Object>} Extracted content
    */
-  async extract(documentBuffer, fileName, mimeType) {
+  async extract(documentBuffer, fileName, mimeType, options = {}) {
     try {
-      // In production, this would make an HTTP request to the LangExtract service
-      // For now, we'll simulate the extraction with a mock response
-      const response = await this.callLangExtract(documentBuffer, fileName, mimeType);
+      const response = await this.callLangExtract(documentBuffer, fileName, mimeType, options.signal);
       return this.normalizeResponse(response);
     } catch (error) {
-      throw new Error(`LangExtract extraction failed: ${error.message}`);
+      if (error instanceof ProviderError) {
+        error.message = `LangExtract extraction failed: ${error.message}`;
+        throw error;
+      }
+      throw new ProviderError(`LangExtract extraction failed: ${error.message}`, {
+        provider: this.name,
+        retryable: false,
+        cause: error
+      });
     }
   }
 
   /**
    * Call LangExtract service API
+   * Sends the document as multipart/form-data in a `document` field
    * @private
    */
-  async callLangExtract(documentBuffer, fileName, mimeType) {
-    // Simulated extraction - in production, this would call the actual service
-    // For demo purposes, we'll create a realistic mock response
-    
-    const isPDF = mimeType === 'application/pdf';
-    const isImage = mimeType.startsWith('image/');
-    
-    // Simulate processing delay
-    await this.simulateProcessing(200);
-    
-    // Generate mock extracted text based on file type
-    let text = '';
-    let pages = [];
-    
-    if (isPDF) {
-      text = this.generateMockPDFText(fileName);
-      pages = this.generateMockPages(text, 3);
-    } else if (isImage) {
-      text = this.generateMockImageText(fileName);
-      pages = this.generateMockPages(text, 1);
-    } else {
-      text = this.generateMockText(fileName);
-      pages = this.generateMockPages(text, 1);
-    }
+  async callLangExtract(documentBuffer, fileName, mimeType, signal) {
+    const form = new FormData();
+    form.append('document', new Blob([documentBuffer], { type: mimeType }), fileName);
+
+    const body = await this.captureResponse(documentBuffer, async () => {
+      const response = await this.request(this.extractPath, {
+        method: 'POST',
+        body: form,
+        signal
+      });
+      return httpClient.readJson(this.name, response);
+    });
 
+    const pages = body.pages || [];
     return {
-      text,
+      text: body.text || pages.map(p => p.text).join('\n\n'),
       pages,
-      tables: [],
-      forms: [],
+      tables: body.tables || [],
+      forms: body.forms || [],
       metadata: {
+        ...body.metadata,
         extractionTime: Date.now(),
         pageCount: pages.length,
         fileName,
@@ -75,122 +78,11 @@ class LangExtractProvider extends ProviderInterface {
   }
 
   /**
-   * Generate mock text for PDF documents
-   * @private
-   */
-  generateMockPDFText(fileName) {
-    return `Document: ${fileName}
-
-This is a sample extracted text from a PDF document processed by LangExtract.
-
-Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor 
-incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis 
-nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.
-
-Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore 
-eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident, sunt 
-in culpa qui officia deserunt mollit anim id est laborum.
-
-Section 1: Introduction
-The quick brown fox jumps over the lazy dog. This pangram contains every letter 
-of the alphabet and is commonly used for testing typewriters and keyboards.
-
-Section 2: Technical Details
-• Point 1: Document processing capabilities
-• Point 2: Text extraction accuracy
-• Point 3: Multi-format support
-
-Section 3: Conclusion
-In conclusion, LangExtract provides efficient and cost-effective document 
-extraction services for various file formats.`;
-  }
-
-  /**
-   * Generate mock text for image documents
-   * @private
-   */
-  generateMockImageText(fileName) {
-    return `Image Document: ${fileName}
-
-Extracted text from scanned image:
-
-INVOICE
-Invoice #: INV-2024-001
-Date: January 15, 2024
-
-Bill To:
-John Doe
-123 Main Street
-Anytown, ST 12345
-
-Items:
-1. Professional Services - $500.00
-2. Software License - $250.00
-3. Support Package - $150.00
-
-Subtotal: $900.00
-Tax (10%): $90.00
-Total: $990.00
-
-Payment Due: February 15, 2024
-
-Thank you for your business!`;
-  }
-
-  /**
-   * Generate mock text for generic documents
-   * @private
-   */
-  generateMockText(fileName) {
-    return `Document: ${fileName}
-
-Content extracted from document.
-
-This is a placeholder for extracted text content. In a production environment, 
-this would contain the actual text extracted from the provided document using 
-the LangExtract service API.
-
-The extraction process handles various document formats including:
-- PDF files
-- Images (JPEG, PNG, TIFF)
-- Microsoft Office documents
-- Plain text files
-
-LangExtract provides high-accuracy text extraction with competitive pricing 
-at just $0.001 per page.`;
-  }
-
-  /**
-   * Generate mock pages from text
-   * @private
-   */
-  generateMockPages(text, pageCount) {
-    const pages = [];
-    const lines = text.split('\n');
-    const linesPerPage = Math.ceil(lines.length / pageCount);
-    
-    for (let i = 0; i < pageCount; i++) {
-      const startLine = i * linesPerPage;
-      const endLine = Math.min(startLine + linesPerPage, lines.length);
-      const pageLines = lines.slice(startLine, endLine);
-      
-      pages.push({
-        pageNumber: i + 1,
-        text: pageLines.join('\n'),
-        lines: pageLines.length,
-        words: pageLines.join(' ').split(/\s+/).length
-      });
-    }
-    
-    return pages;
-  }
-
-  /**
-   * Simulate processing delay
+   * Perform an HTTP request against the LangExtract service
    * @private
    */
-  simulateProcessing(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  request(path, options = {}) {
+    return httpClient.request(this.name, `${this.baseUrl}${path}`, options, this.timeout);
   }
 
   /**
@@ -198,10 +90,10 @@ at just $0.001 per page.`;
    * @returns {Promise<boolean>}
    */
   async healthCheck() {
+    if (!this.isEnabled()) return false;
     try {
-      // In production, would ping the actual service
-      // For demo, always return true if enabled
-      return this.isEnabled();
+      await this.request(this.healthPath, { method: 'GET' });
+      return true;
     } catch (error) {
       return false;
     }
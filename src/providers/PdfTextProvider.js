@@ -0,0 +1,183 @@
+const ProviderInterface = require('./ProviderInterface');
+const ProviderError = require('./ProviderError');
+
+/**
+ * PDF Text Layer Provider Adapter
+ * Reads the embedded text layer of born-digital PDFs without OCR
+ * Best for: digital PDFs exported from office tools or generated reports
+ * Price: $0/page (runs locally)
+ */
+class PdfTextProvider extends ProviderInterface {
+  constructor(config) {
+    super('pdftext', config);
+    this.minCharsPerPage = config.minCharsPerPage ?? 20;
+    this.pdfjs = null;
+  }
+
+  /**
+   * Lazily load pdf.js (legacy build works in Node without a worker)
+   * @private
+   */
+  loadPdfJs() {
+    if (!this.pdfjs) {
+      this.pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    }
+    return this.pdfjs;
+  }
+
+  /**
+   * Extract text from the PDF text layer
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @returns {Promise<Object>} Extracted content
+   */
+  async extract(documentBuffer, fileName, mimeType) {
+    if (mimeType !== 'application/pdf') {
+      throw new ProviderError(`PDF text layer extraction failed: unsupported type ${mimeType}`, {
+        provider: this.name,
+        code: 'UNSUPPORTED_TYPE',
+        retryable: false
+      });
+    }
+
+    try {
+      const analysis = await this.analyze(documentBuffer);
+      return this.normalizeResponse({
+        text: analysis.pages.map(p => p.text).join('\n\n'),
+        pages: analysis.pages,
+        tables: [],
+        forms: [],
+        metadata: {
+          extractionTime: Date.now(),
+          pageCount: analysis.pages.length,
+          fileName,
+          mimeType,
+          textLayer: analysis.textLayer,
+          scannedPages: analysis.scannedPages,
+          properties: analysis.properties
+        }
+      });
+    } catch (error) {
+      throw new ProviderError(`PDF text layer extraction failed: ${error.message}`, {
+        provider: this.name,
+        code: 'INVALID_DOCUMENT',
+        retryable: false,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Parse the text layer of every page
+   * @param {Buffer} documentBuffer - PDF file buffer
+   * @returns {Promise<Object>} Pages, scanned page numbers and a summary
+   *   of the text layer coverage (`full`, `partial` or `none`)
+   */
+  async analyze(documentBuffer) {
+    const pdfjs = this.loadPdfJs();
+    const doc = await pdfjs.getDocument({
+      data: new Uint8Array(documentBuffer),
+      verbosity: 0,
+      isEvalSupported: false,
+      useSystemFonts: false
+    }).promise;
+
+    try {
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const text = this.buildPageText(content.items);
+        const lines = text ? text.split('\n') : [];
+
+        const hasTextLayer = text.replace(/\s+/g, '').length >= this.minCharsPerPage;
+        pages.push({
+          pageNumber,
+          text,
+          lines: lines.length,
+          words: text ? text.split(/\s+/).filter(Boolean).length : 0,
+          hasTextLayer,
+          // Embedded text is exact; pages without it have nothing usable
+          confidence: hasTextLayer ? 1 : 0
+        });
+        page.cleanup();
+      }
+
+      const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+      const scannedPages = pages.filter(p => !p.hasTextLayer).map(p => p.pageNumber);
+
+      let textLayer = 'partial';
+      if (scannedPages.length === 0) textLayer = 'full';
+      if (scannedPages.length === pages.length) textLayer = 'none';
+
+      return {
+        pages,
+        scannedPages,
+        textLayer,
+        properties: {
+          title: info?.Title || null,
+          author: info?.Author || null,
+          creator: info?.Creator || null,
+          producer: info?.Producer || null
+        }
+      };
+    } finally {
+      await doc.destroy();
+    }
+  }
+
+  /**
+   * Build a subset PDF holding only the given pages
+   * Used to send scanned pages alone to an OCR provider
+   * @param {Buffer} documentBuffer - Source PDF buffer
+   * @param {Array<number>} pageNumbers - 1-based page numbers to keep
+   * @returns {Promise<Buffer>}
+   */
+  async extractPages(documentBuffer, pageNumbers) {
+    const { PDFDocument } = require('pdf-lib');
+    const source = await PDFDocument.load(documentBuffer, { ignoreEncryption: true });
+    const subset = await PDFDocument.create();
+    const copied = await subset.copyPages(source, pageNumbers.map(n => n - 1));
+    copied.forEach(page => subset.addPage(page));
+    return Buffer.from(await subset.save());
+  }
+
+  /**
+   * Join pdf.js text items into lines
+   * A new line starts on an explicit EOL or when the baseline moves
+   * @private
+   */
+  buildPageText(items) {
+    let text = '';
+    let lastY = null;
+
+    for (const item of items) {
+      if (typeof item.str !== 'string') continue;
+      const y = item.transform[5];
+      if (lastY !== null && Math.abs(y - lastY) > 1 && !text.endsWith('\n')) {
+        text += '\n';
+      }
+      text += item.str;
+      if (item.hasEOL) text += '\n';
+      lastY = y;
+    }
+
+    return text.split('\n').map(l => l.trimEnd()).join('\n').trim();
+  }
+
+  /**
+   * Health check for the text layer parser
+   * @returns {Promise<boolean>}
+   */
+  async healthCheck() {
+    try {
+      this.loadPdfJs();
+      return this.isEnabled();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = PdfTextProvider;
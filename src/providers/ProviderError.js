@@ -0,0 +1,73 @@
+/**
+ * Provider Error
+ * Raised by provider adapters when an extraction or health call fails.
+ * Carries enough context for the routing engine to decide whether to
+ * fall back to the next provider.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Provider name
+   * @param {number} [options.statusCode] - Upstream HTTP status, if any
+   * @param {string} [options.code] - Machine readable error code
+   * @param {boolean} [options.retryable] - Whether a retry may succeed
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = options.provider;
+    this.statusCode = options.statusCode;
+    this.code = options.code || 'PROVIDER_ERROR';
+    this.retryable = options.retryable !== undefined ? options.retryable : true;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  /**
+   * Build a ProviderError from a non-2xx HTTP response
+   * @param {string} provider - Provider name
+   * @param {number} statusCode - HTTP status code
+   * @param {string} [detail] - Response body or message
+   * @returns {ProviderError}
+   */
+  static fromHttpStatus(provider, statusCode, detail) {
+    const retryable = statusCode === 408 || statusCode === 429 || statusCode >= 500;
+    const suffix = detail ? `: ${detail}` : '';
+    return new ProviderError(`HTTP ${statusCode}${suffix}`, {
+      provider,
+      statusCode,
+      code: 'HTTP_ERROR',
+      retryable
+    });
+  }
+
+  /**
+   * Build a ProviderError from a transport failure (DNS, refused, timeout)
+   * @param {string} provider - Provider name
+   * @param {Error} error - Underlying error
+   * @param {number} [timeout] - Configured timeout in ms
+   * @returns {ProviderError}
+   */
+  static fromTransportError(provider, error, timeout) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return new ProviderError(`Request timed out after ${timeout}ms`, {
+        provider,
+        code: 'TIMEOUT',
+        retryable: true,
+        cause: error
+      });
+    }
+    const code = error.cause?.code || error.code || 'TRANSPORT_ERROR';
+    return new ProviderError(`Transport error (${code}): ${error.cause?.message || error.message}`, {
+      provider,
+      code,
+      retryable: true,
+      cause: error
+    });
+  }
+}
+
+module.exports = ProviderError;
@@ -1,3 +1,6 @@
+const { completeTable } = require('./tables');
+const responseRecorder = require('./ResponseRecorder');
+
 /**
  * Provider Adapter Interface
  * Defines the contract that all document extraction providers must implement
@@ -13,9 +16,14 @@ class ProviderInterface {
    * @param {Buffer} documentBuffer - The document file buffer
    * @param {string} fileName - Original file name
    * @param {string} mimeType - MIME type of the document
+   * @param {Object} [options] - Extraction hints
+   * @param {string} [options.documentType] - Document type chosen by routing
+   * @param {string} [options.model] - Model forced by a routing rule, for
+   *   providers that offer several
+   * @param {AbortSignal} [options.signal] - Aborted when the call's deadline passes
    * @returns {Promise<Object>} Extracted content with normalized format
    */
-  async extract(documentBuffer, fileName, mimeType) {
+  async extract(documentBuffer, fileName, mimeType, options = {}) {
     throw new Error('Method not implemented: extract()');
   }
 
@@ -43,6 +51,14 @@ class ProviderInterface {
     return this.config?.pricePerPage || 0;
   }
 
+  /**
+   * Get the deadline for one extract call
+   * @returns {number} Timeout in ms
+   */
+  getTimeout() {
+    return this.timeout || this.config?.timeout || 60000;
+  }
+
   /**
    * Check if provider is enabled
    * @returns {boolean}
@@ -52,22 +68,139 @@ class ProviderInterface {
   }
 
   /**
-   * Normalize response to standard format
+   * Get the capabilities declared under `capabilities` in config.yaml
+   * @returns {Object|null} `{ features, languages }`, or null when undeclared
+   */
+  getCapabilities() {
+    const declared = this.config?.capabilities;
+    if (!declared) return null;
+    return {
+      features: declared.features || [],
+      languages: declared.languages || []
+    };
+  }
+
+  /**
+   * List the requirements this provider does not meet
+   * A language list containing `*` accepts any language. Providers that
+   * declare no capabilities meet no requirements.
+   * @param {Object} requirements - `{ features, languages }` needed by the request
+   * @returns {Array<string>} Missing capabilities (e.g. `tables`, `language:de`)
+   */
+  missingCapabilities({ features = [], languages = [] }) {
+    const capabilities = this.getCapabilities();
+    if (!capabilities) return ['capabilities'];
+
+    const anyLanguage = capabilities.languages.includes('*');
+    return [
+      ...features.filter(f => !capabilities.features.includes(f)),
+      ...languages
+        .filter(l => !anyLanguage && !capabilities.languages.includes(l))
+        .map(l => `language:${l}`)
+    ];
+  }
+
+  /**
+   * Fetch a raw provider response through the record/replay layer
+   * Adapters call this around the upstream request and normalize the
+   * result, so replayed responses go through the same normalization.
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {Function} fetchRaw - Calls the provider and resolves to its raw response
+   * @param {string} [variant] - Distinguishes responses for the same document (e.g. model)
+   * @returns {Promise<Object>} Raw provider response
+   */
+  captureResponse(documentBuffer, fetchRaw, variant) {
+    return responseRecorder.capture(this.name, documentBuffer, variant, fetchRaw);
+  }
+
+  /**
+   * Check whether raw responses are replayed from fixtures
+   * @returns {boolean}
+   */
+  isReplaying() {
+    return responseRecorder.isReplaying();
+  }
+
+  /**
+   * Normalize response to the canonical extraction schema
+   * (see the JSON Schemas in src/schema)
    * @param {Object} rawResponse - Provider-specific response
    * @returns {Object} Normalized response
    */
   normalizeResponse(rawResponse) {
+    const pages = (rawResponse.pages || []).map(page => ({
+      ...page,
+      confidence: page.confidence ?? null
+    }));
+    const forms = this.normalizeForms(rawResponse.forms);
     return {
       text: rawResponse.text || '',
-      pages: rawResponse.pages || [],
-      tables: rawResponse.tables || [],
-      forms: rawResponse.forms || [],
+      pages,
+      tables: (rawResponse.tables || []).map(table => this.normalizeTable(table)),
+      forms,
+      fields: rawResponse.fields || {},
+      confidence: rawResponse.confidence || this.summarizeConfidence(pages, forms),
       metadata: {
         provider: this.name,
         ...rawResponse.metadata
       }
     };
   }
+
+  /**
+   * Normalize forms to a list of `{ key, value, confidence, pageNumber }`
+   * Accepts either a field list or a plain key-value map.
+   * @param {Array<Object>|Object} [forms] - Provider forms
+   * @returns {Array<Object>}
+   */
+  normalizeForms(forms) {
+    if (!forms) return [];
+    const fields = Array.isArray(forms)
+      ? forms
+      : Object.entries(forms).map(([key, value]) => ({ key, value }));
+
+    return fields.map(field => ({
+      ...field,
+      key: String(field.key ?? ''),
+      value: field.value === undefined || field.value === null ? '' : String(field.value),
+      confidence: field.confidence ?? null,
+      pageNumber: field.pageNumber ?? null
+    }));
+  }
+
+  /**
+   * Complete a table into the canonical table model
+   * @param {Object} table - Table with a `cells` grid or a positioned cell list
+   * @returns {Object}
+   */
+  normalizeTable(table) {
+    return completeTable(table);
+  }
+
+  /**
+   * Summarize confidence scores (0-1) for a result
+   * Overall confidence is the mean page confidence, or the mean form
+   * field confidence when pages carry none; null when nothing is scored.
+   * @param {Array<Object>} pages - Normalized pages
+   * @param {Array<Object>} [forms] - Normalized form fields
+   * @returns {Object} `{ overall, pages, fields }`
+   */
+  summarizeConfidence(pages, forms = []) {
+    const mean = values => {
+      const scores = values.filter(v => typeof v === 'number');
+      if (scores.length === 0) return null;
+      return Math.round((scores.reduce((sum, v) => sum + v, 0) / scores.length) * 10000) / 10000;
+    };
+
+    const pageScore = mean(pages.map(p => p.confidence));
+    const fieldScore = mean((forms || []).map(f => f.confidence));
+
+    return {
+      overall: pageScore ?? fieldScore,
+      pages: pageScore,
+      fields: fieldScore
+    };
+  }
 }
 
 module.exports = ProviderInterface;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const ProviderError = require('./ProviderError');
+
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * Response Recorder
+ * Saves raw provider responses to fixture files and serves them back, so
+ * the whole pipeline, including each adapter's normalization, runs
+ * deterministically and offline. Fixtures are keyed by the SHA-256 of the
+ * document, the provider name and an optional variant such as the model.
+ */
+class ResponseRecorder {
+  constructor() {
+    const settings = config.get('recording') || {};
+    this.configure({
+      mode: process.env.RECORDING_MODE || settings.mode,
+      directory: process.env.RECORDING_DIR || settings.directory
+    });
+  }
+
+  /**
+   * Set the recording mode and fixture directory
+   * @param {Object} [options]
+   * @param {string} [options.mode] - `off`, `record` or `replay`
+   * @param {string} [options.directory] - Fixture directory, relative to the project root
+   */
+  configure({ mode = 'off', directory = './fixtures/recordings' } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`recording.mode must be one of ${MODES.join(', ')}; got "${mode}"`);
+    }
+    this.mode = mode;
+    this.directory = path.resolve(__dirname, '../..', directory);
+  }
+
+  /**
+   * Whether responses are served from fixtures instead of providers
+   * @returns {boolean}
+   */
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Fixture file for a document, provider and variant
+   * @param {string} providerName - Provider name
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} [variant] - Distinguishes responses for the same document
+   * @returns {string} Absolute file path
+   */
+  fixturePath(providerName, documentBuffer, variant) {
+    const hash = crypto.createHash('sha256').update(documentBuffer).digest('hex');
+    const suffix = variant ? `.${String(variant).replace(/[^\w.-]/g, '_')}` : '';
+    return path.join(this.directory, providerName, `${hash}${suffix}.json`);
+  }
+
+  /**
+   * Fetch a raw provider response, recording or replaying it per the mode
+   * Only successful responses are recorded.
+   * @param {string} providerName - Provider name
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string|undefined} variant - Distinguishes responses for the same document
+   * @param {Function} fetchRaw - Calls the provider and resolves to its raw response
+   * @returns {Promise<Object>} Raw provider response
+   * @throws {ProviderError} FIXTURE_MISSING in replay mode without a fixture
+   */
+  async capture(providerName, documentBuffer, variant, fetchRaw) {
+    if (this.mode === 'off') {
+      return fetchRaw();
+    }
+
+    const file = this.fixturePath(providerName, documentBuffer, variant);
+
+    if (this.mode === 'replay') {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        throw new ProviderError(`No recorded ${providerName} response at ${path.relative(process.cwd(), file)}`, {
+          provider: providerName,
+          code: 'FIXTURE_MISSING',
+          retryable: false
+        });
+      }
+      return JSON.parse(contents).response;
+    }
+
+    const response = await fetchRaw();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+      provider: providerName,
+      variant: variant || null,
+      documentHash: path.basename(file).split('.')[0],
+      recordedAt: new Date().toISOString(),
+      response
+    }, null, 2));
+    return response;
+  }
+}
+
+module.exports = new ResponseRecorder();
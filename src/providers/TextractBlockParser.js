@@ -0,0 +1,253 @@
+const { fromTextractGeometry, rotationOf } = require('./geometry');
+
+/**
+ * Textract Block Parser
+ * Walks the Textract block graph (PAGE, LINE, WORD, TABLE, CELL,
+ * MERGED_CELL, KEY_VALUE_SET, SELECTION_ELEMENT) by following CHILD and
+ * VALUE relationships, and rebuilds pages, table grids and key-value pairs.
+ */
+class TextractBlockParser {
+  /**
+   * @param {Array<Object>} blocks - Blocks from AnalyzeDocument or GetDocumentAnalysis
+   * @param {Object} [options]
+   * @param {boolean} [options.includeGeometry] - Attach normalized geometry
+   */
+  constructor(blocks, options = {}) {
+    this.blocks = blocks || [];
+    this.includeGeometry = Boolean(options.includeGeometry);
+    this.byId = new Map(this.blocks.map(b => [b.Id, b]));
+  }
+
+  /**
+   * Parse all blocks
+   * @returns {Object} Pages, tables, form fields and full text
+   */
+  parse() {
+    const pages = this.parsePages();
+    return {
+      text: pages.map(p => p.text).join('\n'),
+      pages,
+      tables: this.parseTables(),
+      formFields: this.parseFormFields()
+    };
+  }
+
+  /**
+   * Build per-page text from LINE blocks
+   * @private
+   */
+  parsePages() {
+    // Group LINE and WORD blocks by page in one pass
+    const content = new Map();
+    for (const block of this.blocks) {
+      if (block.BlockType !== 'LINE' && block.BlockType !== 'WORD') continue;
+      const pageNumber = block.Page || 1;
+      if (!content.has(pageNumber)) content.set(pageNumber, { LINE: [], WORD: [] });
+      content.get(pageNumber)[block.BlockType].push(block);
+    }
+
+    const pages = this.blocks
+      .filter(b => b.BlockType === 'PAGE')
+      .map(page => {
+        const pageNumber = page.Page || 1;
+        const { LINE: lines, WORD: words } = content.get(pageNumber) || { LINE: [], WORD: [] };
+        const result = {
+          pageNumber,
+          text: lines.map(l => l.Text).join('\n'),
+          lines: lines.length,
+          words: words.length || lines.reduce((sum, l) => sum + (l.Text?.split(/\s+/).length || 0), 0),
+          confidence: average(lines.map(l => toScore(l.Confidence)))
+        };
+
+        if (this.includeGeometry) {
+          const lineItems = lines.map(l => this.layoutItem(l));
+          result.geometry = {
+            // Textract coordinates are already relative; it reports no page size
+            width: null,
+            height: null,
+            unit: null,
+            rotation: page.Geometry?.RotationAngle ?? rotationOf(lineItems[0]?.polygon),
+            lines: lineItems,
+            words: words.map(w => this.layoutItem(w))
+          };
+        }
+        return result;
+      });
+
+    return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+  }
+
+  /**
+   * Rebuild every TABLE as a full cell grid
+   * Merged cells keep their combined text in the top-left position;
+   * covered positions are empty and listed in `merged`.
+   * @private
+   */
+  parseTables() {
+    return this.blocks
+      .filter(b => b.BlockType === 'TABLE')
+      .map(table => {
+        const cells = this.related(table, 'CHILD').filter(b => b.BlockType === 'CELL');
+        const rows = Math.max(0, ...cells.map(c => c.RowIndex + (c.RowSpan || 1) - 1));
+        const columns = Math.max(0, ...cells.map(c => c.ColumnIndex + (c.ColumnSpan || 1) - 1));
+
+        const grid = Array.from({ length: rows }, () => Array(columns).fill(''));
+        const confidence = Array.from({ length: rows }, () => Array(columns).fill(null));
+        const geometry = Array.from({ length: rows }, () => Array(columns).fill(null));
+        const headerRows = new Set();
+
+        for (const cell of cells) {
+          const row = cell.RowIndex - 1;
+          const column = cell.ColumnIndex - 1;
+          grid[row][column] = this.textOf(cell);
+          confidence[row][column] = toScore(cell.Confidence);
+          geometry[row][column] = fromTextractGeometry(cell.Geometry);
+          if (cell.EntityTypes?.includes('COLUMN_HEADER')) {
+            headerRows.add(row);
+          }
+        }
+
+        const merged = [];
+        for (const mergedCell of this.related(table, 'MERGED_CELL')) {
+          const row = mergedCell.RowIndex - 1;
+          const column = mergedCell.ColumnIndex - 1;
+          const rowSpan = mergedCell.RowSpan || 1;
+          const columnSpan = mergedCell.ColumnSpan || 1;
+          const parts = this.related(mergedCell, 'CHILD')
+            .sort((a, b) => a.RowIndex - b.RowIndex || a.ColumnIndex - b.ColumnIndex)
+            .map(c => this.textOf(c))
+            .filter(Boolean);
+
+          for (let r = row; r < row + rowSpan; r++) {
+            for (let c = column; c < column + columnSpan; c++) {
+              grid[r][c] = '';
+            }
+          }
+          grid[row][column] = parts.join(' ');
+          confidence[row][column] = toScore(mergedCell.Confidence) ?? confidence[row][column];
+          geometry[row][column] = fromTextractGeometry(mergedCell.Geometry) || geometry[row][column];
+          for (let r = row; r < row + rowSpan; r++) {
+            for (let c = column; c < column + columnSpan; c++) {
+              if (r !== row || c !== column) geometry[r][c] = null;
+            }
+          }
+          merged.push({ row, column, rowSpan, columnSpan });
+        }
+
+        return {
+          rows,
+          columns,
+          cells: grid,
+          merged,
+          headerRows: [...headerRows].sort((a, b) => a - b),
+          cellConfidence: confidence,
+          ...(this.includeGeometry && {
+            geometry: fromTextractGeometry(table.Geometry),
+            cellGeometry: geometry
+          }),
+          confidence: toScore(table.Confidence),
+          pageNumber: table.Page || 1
+        };
+      });
+  }
+
+  /**
+   * Resolve KEY blocks to their VALUE blocks and read both texts
+   * @private
+   */
+  parseFormFields() {
+    return this.blocks
+      .filter(b => b.BlockType === 'KEY_VALUE_SET' && b.EntityTypes?.includes('KEY'))
+      .map(keyBlock => {
+        const valueBlock = this.related(keyBlock, 'VALUE')[0];
+        const selection = valueBlock && this.related(valueBlock, 'CHILD')
+          .find(b => b.BlockType === 'SELECTION_ELEMENT');
+
+        const field = {
+          key: this.textOf(keyBlock).replace(/:\s*$/, ''),
+          value: valueBlock ? this.textOf(valueBlock) : '',
+          keyConfidence: toScore(keyBlock.Confidence),
+          valueConfidence: toScore(valueBlock?.Confidence),
+          pageNumber: keyBlock.Page || 1
+        };
+        field.confidence = minScore(field.keyConfidence, field.valueConfidence);
+        if (this.includeGeometry) {
+          field.keyGeometry = fromTextractGeometry(keyBlock.Geometry);
+          field.valueGeometry = fromTextractGeometry(valueBlock?.Geometry);
+        }
+        if (selection) {
+          field.selected = selection.SelectionStatus === 'SELECTED';
+          field.value = field.value || selection.SelectionStatus;
+        }
+        return field;
+      })
+      .filter(field => field.key);
+  }
+
+  /**
+   * Text, confidence and geometry of a LINE or WORD block
+   * @private
+   */
+  layoutItem(block) {
+    return {
+      text: block.Text || '',
+      confidence: toScore(block.Confidence),
+      ...fromTextractGeometry(block.Geometry)
+    };
+  }
+
+  /**
+   * Text of a block from its WORD children
+   * Selection elements contribute nothing to the text.
+   * @private
+   */
+  textOf(block) {
+    if (!block) return '';
+    if (block.BlockType === 'WORD' || block.BlockType === 'LINE') return block.Text || '';
+    return this.related(block, 'CHILD')
+      .filter(b => b.BlockType === 'WORD')
+      .map(b => b.Text)
+      .join(' ');
+  }
+
+  /**
+   * Blocks referenced by a relationship type
+   * @private
+   */
+  related(block, type) {
+    return (block.Relationships || [])
+      .filter(r => r.Type === type)
+      .flatMap(r => r.Ids)
+      .map(id => this.byId.get(id))
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Convert a Textract confidence (0-100) to a 0-1 score
+ * @private
+ */
+function toScore(confidence) {
+  return typeof confidence === 'number' ? Math.round(confidence * 100) / 10000 : null;
+}
+
+/**
+ * Lowest of the defined scores, or null
+ * @private
+ */
+function minScore(...scores) {
+  const defined = scores.filter(v => typeof v === 'number');
+  return defined.length ? Math.min(...defined) : null;
+}
+
+/**
+ * Average of the defined numbers, or null
+ * @private
+ */
+function average(values) {
+  const defined = values.filter(v => typeof v === 'number');
+  if (defined.length === 0) return null;
+  return Math.round((defined.reduce((sum, v) => sum + v, 0) / defined.length) * 10000) / 10000;
+}
+
+module.exports = TextractBlockParser;
@@ -0,0 +1,89 @@
+/**
+ * Geometry helpers
+ * Convert provider-specific coordinates into the normalized layout shape:
+ * `{ boundingBox: { left, top, width, height }, polygon: [{ x, y }] }`
+ * with every coordinate relative to the page (0-1).
+ */
+
+const PRECISION = 10000;
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * PRECISION) / PRECISION;
+}
+
+/**
+ * Bounding box around a normalized polygon
+ * @private
+ */
+function boundingBoxOf(polygon) {
+  const xs = polygon.map(p => p.x);
+  const ys = polygon.map(p => p.y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return {
+    left: round(left),
+    top: round(top),
+    width: round(Math.max(...xs) - left),
+    height: round(Math.max(...ys) - top)
+  };
+}
+
+/**
+ * Normalize a Textract Geometry object (already relative to the page)
+ * @param {Object} geometry - Textract `Geometry`
+ * @returns {Object|null}
+ */
+function fromTextractGeometry(geometry) {
+  if (!geometry) return null;
+  const polygon = (geometry.Polygon || []).map(p => ({ x: round(p.X), y: round(p.Y) }));
+  const box = geometry.BoundingBox;
+  return {
+    boundingBox: box
+      ? { left: round(box.Left), top: round(box.Top), width: round(box.Width), height: round(box.Height) }
+      : boundingBoxOf(polygon),
+    polygon
+  };
+}
+
+/**
+ * Normalize an absolute polygon against the page size
+ * Accepts `[{ x, y }]` points or a flat `[x1, y1, x2, y2, ...]` array.
+ * @param {Array} points - Polygon in page units
+ * @param {number} pageWidth - Page width in the same unit
+ * @param {number} pageHeight - Page height in the same unit
+ * @returns {Object|null}
+ */
+function fromPolygon(points, pageWidth, pageHeight) {
+  if (!points || points.length === 0 || !pageWidth || !pageHeight) return null;
+
+  let pairs = points;
+  if (typeof points[0] === 'number') {
+    pairs = [];
+    for (let i = 0; i + 1 < points.length; i += 2) {
+      pairs.push({ x: points[i], y: points[i + 1] });
+    }
+  }
+
+  const polygon = pairs.map(p => ({ x: round(p.x / pageWidth), y: round(p.y / pageHeight) }));
+  return { boundingBox: boundingBoxOf(polygon), polygon };
+}
+
+/**
+ * Text rotation in degrees derived from the top edge of a polygon
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {number}
+ */
+function rotationOf(polygon) {
+  if (!polygon || polygon.length < 2) return 0;
+  const [a, b] = polygon;
+  return Math.round((Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI);
+}
+
+module.exports = {
+  fromTextractGeometry,
+  fromPolygon,
+  rotationOf
+};
@@ -0,0 +1,55 @@
+const ProviderError = require('./ProviderError');
+
+/**
+ * Perform an HTTP request on behalf of a provider
+ * Enforces the timeout and maps transport failures and non-2xx
+ * responses to ProviderError. A `signal` in options also cancels the
+ * request, e.g. when the routing engine's deadline passes.
+ * @param {string} providerName - Provider name for error reporting
+ * @param {string} url - Absolute URL
+ * @param {Object} options - fetch options
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Response>}
+ */
+async function request(providerName, url, options, timeout) {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: options.signal
+        ? AbortSignal.any([AbortSignal.timeout(timeout), options.signal])
+        : AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    throw ProviderError.fromTransportError(providerName, error, timeout);
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw ProviderError.fromHttpStatus(providerName, response.status, detail.slice(0, 200));
+  }
+
+  return response;
+}
+
+/**
+ * Parse a JSON response body
+ * @param {string} providerName - Provider name for error reporting
+ * @param {Response} response - fetch response
+ * @returns {Promise<Object>}
+ */
+async function readJson(providerName, response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ProviderError(`Invalid JSON in ${providerName} response`, {
+      provider: providerName,
+      statusCode: response.status,
+      code: 'INVALID_RESPONSE',
+      retryable: false,
+      cause: error
+    });
+  }
+}
+
+module.exports = { request, readJson };
@@ -1,7 +1,13 @@
+const fs = require('fs');
+const path = require('path');
 const config = require('../config');
+const ProviderInterface = require('./ProviderInterface');
 const LangExtractProvider = require('./LangExtractProvider');
 const AWSProvider = require('./AWSProvider');
 const AzureProvider = require('./AzureProvider');
+const PdfTextProvider = require('./PdfTextProvider');
+const DocxProvider = require('./DocxProvider');
+const GenericHttpProvider = require('./GenericHttpProvider');
 
 /**
  * Provider Factory
@@ -35,9 +41,100 @@ class ProviderFactory {
       this.providers.azure = new AzureProvider(providerConfigs.azure);
     }
     
+    // Initialize local PDF text layer parser
+    if (providerConfigs.pdftext) {
+      this.providers.pdftext = new PdfTextProvider(providerConfigs.pdftext);
+    }
+    
+    // Initialize local Word document parser
+    if (providerConfigs.docx) {
+      this.providers.docx = new DocxProvider(providerConfigs.docx);
+    }
+    
+    // Initialize generic HTTP providers declared in config.yaml
+    for (const [name, providerConfig] of Object.entries(providerConfigs)) {
+      if (providerConfig?.type === 'http') {
+        this.providers[name] = new GenericHttpProvider(name, providerConfig);
+      }
+    }
+    
+    // Load plugin providers from a directory and/or npm packages
+    const plugins = config.get('plugins') || {};
+    if (plugins.directory) {
+      this.loadPluginDirectory(path.resolve(__dirname, '../..', plugins.directory));
+    }
+    for (const packageName of plugins.packages || []) {
+      this.loadPlugin(packageName, packageName);
+    }
+    
     console.log(`Initialized ${Object.keys(this.providers).length} providers`);
   }
 
+  /**
+   * Load every plugin module found in a directory
+   * Files ending in .js and sub-directories (with an index.js or
+   * package.json) are treated as plugin modules.
+   * @param {string} directory - Absolute plugin directory path
+   */
+  loadPluginDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      console.warn(`Plugin directory not found: ${directory}`);
+      return;
+    }
+
+    const entries = fs.readdirSync(directory, { withFileTypes: true })
+      .filter(e => (e.isFile() && e.name.endsWith('.js')) || e.isDirectory())
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      this.loadPlugin(path.join(directory, entry.name), entry.name);
+    }
+  }
+
+  /**
+   * Load, validate and register a single plugin provider
+   * The module must export a class extending ProviderInterface, either
+   * directly or as `Provider`, with a static `providerName`. The instance
+   * is created with the matching `providers.<name>` block from config.yaml.
+   * @param {string} modulePath - Path or package name passed to require()
+   * @param {string} source - Label used in error messages
+   * @returns {ProviderInterface}
+   */
+  loadPlugin(modulePath, source) {
+    let exported;
+    try {
+      exported = require(modulePath);
+    } catch (error) {
+      throw new Error(`Plugin ${source}: failed to load (${error.message})`);
+    }
+
+    const PluginClass = exported?.Provider || exported?.default || exported;
+    if (typeof PluginClass !== 'function' || !(PluginClass.prototype instanceof ProviderInterface)) {
+      throw new Error(`Plugin ${source}: must export a class extending ProviderInterface`);
+    }
+    for (const method of ['extract', 'healthCheck']) {
+      if (PluginClass.prototype[method] === ProviderInterface.prototype[method]) {
+        throw new Error(`Plugin ${source}: must implement ${method}()`);
+      }
+    }
+
+    const name = PluginClass.providerName;
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Plugin ${source}: missing static providerName`);
+    }
+    if (this.providers[name]) {
+      throw new Error(`Plugin ${source}: provider "${name}" is already registered`);
+    }
+
+    const provider = new PluginClass(config.getProviderConfig(name) || {});
+    if (provider.getName() !== name) {
+      throw new Error(`Plugin ${source}: instance name "${provider.getName()}" does not match providerName "${name}"`);
+    }
+
+    this.providers[name] = provider;
+    return provider;
+  }
+
   /**
    * Get provider by name
    * @param {string} name - Provider name
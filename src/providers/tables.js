@@ -0,0 +1,164 @@
+/**
+ * Table model helpers
+ * Providers report tables either as a text grid (mocks, DOCX, Textract,
+ * Azure) or as a list of positioned cells (extraction services). Both are
+ * completed into the canonical table: a text grid, merged ranges, header
+ * rows, per-cell confidence and a `cellDetails` list with spans.
+ */
+
+const NUMERIC = /^[-+(]?\s*[$€£¥]?\s*[-+]?\d[\d,.\s]*%?\)?$/;
+
+/**
+ * Whether a cell value reads as a number, amount or percentage
+ * @private
+ */
+function isNumeric(value) {
+  return NUMERIC.test(value.trim());
+}
+
+/**
+ * Whether `cells` is a list of positioned cell objects rather than a grid
+ * @private
+ */
+function isCellList(cells) {
+  return Array.isArray(cells) && cells.length > 0 && !Array.isArray(cells[0]) && typeof cells[0] === 'object';
+}
+
+/**
+ * Build a grid from positioned cells
+ * Positions are 0-based; `rowIndex`/`columnIndex`, `colSpan` and `content`
+ * are accepted as aliases, and `header: true` or `kind: 'columnHeader'`
+ * marks a header cell.
+ * @private
+ */
+function fromCellList(table) {
+  const list = table.cells.map(cell => ({
+    row: cell.row ?? cell.rowIndex ?? 0,
+    column: cell.column ?? cell.columnIndex ?? 0,
+    rowSpan: cell.rowSpan || 1,
+    columnSpan: cell.columnSpan || cell.colSpan || 1,
+    text: cell.text ?? cell.content ?? '',
+    confidence: cell.confidence ?? null,
+    header: cell.header === true || cell.kind === 'columnHeader'
+  }));
+
+  const rows = Math.max(table.rows ?? 0, ...list.map(c => c.row + c.rowSpan));
+  const columns = Math.max(table.columns ?? 0, ...list.map(c => c.column + c.columnSpan));
+  const cells = Array.from({ length: rows }, () => Array(columns).fill(''));
+  const cellConfidence = Array.from({ length: rows }, () => Array(columns).fill(null));
+  const merged = [];
+  const headerRows = new Set(table.headerRows || []);
+
+  for (const cell of list) {
+    cells[cell.row][cell.column] = String(cell.text);
+    cellConfidence[cell.row][cell.column] = cell.confidence;
+    if (cell.rowSpan > 1 || cell.columnSpan > 1) {
+      merged.push({ row: cell.row, column: cell.column, rowSpan: cell.rowSpan, columnSpan: cell.columnSpan });
+    }
+    if (cell.header) {
+      headerRows.add(cell.row);
+    }
+  }
+
+  return {
+    ...table,
+    rows,
+    columns,
+    cells,
+    merged,
+    headerRows: [...headerRows].sort((a, b) => a - b),
+    cellConfidence: list.some(c => c.confidence !== null) ? cellConfidence : null
+  };
+}
+
+/**
+ * Guess header rows for tables whose provider marks none
+ * The first row is a header when it holds only text and labels at least
+ * one column whose body values are mostly numeric.
+ * @param {Array<Array<string>>} cells - Text grid
+ * @returns {Array<number>} Header row indexes (empty or `[0]`)
+ */
+function detectHeaderRows(cells) {
+  if (cells.length < 2) return [];
+  const [first, ...body] = cells;
+  const labels = first.filter(v => v.trim());
+  if (labels.length === 0 || labels.some(isNumeric)) return [];
+
+  const labelsNumericColumn = first.some((label, column) => {
+    if (!label.trim()) return false;
+    const values = body.map(row => row[column] || '').filter(v => v.trim());
+    return values.length > 0 && values.filter(isNumeric).length / values.length >= 0.5;
+  });
+  return labelsNumericColumn ? [0] : [];
+}
+
+/**
+ * Complete a provider table into the canonical table model
+ * @param {Object} table - Table with a `cells` grid or a positioned cell list
+ * @returns {Object} Canonical table
+ */
+function completeTable(table) {
+  const source = isCellList(table.cells) ? fromCellList(table) : table;
+  const grid = (source.cells || []).map(row => row.map(v => (v === undefined || v === null ? '' : String(v))));
+  const columns = source.columns ?? grid.reduce((max, row) => Math.max(max, row.length), 0);
+  for (const row of grid) {
+    while (row.length < columns) row.push('');
+  }
+  const merged = source.merged || [];
+  const cellConfidence = source.cellConfidence || null;
+
+  let headerRows = source.headerRows || [];
+  let headerSource = headerRows.length ? 'provider' : 'none';
+  if (headerRows.length === 0) {
+    headerRows = detectHeaderRows(grid);
+    if (headerRows.length) headerSource = 'detected';
+  }
+
+  // Positions covered by a merged cell have no entry of their own
+  const covered = new Set();
+  const spans = {};
+  for (const m of merged) {
+    spans[`${m.row}:${m.column}`] = m;
+    for (let r = m.row; r < m.row + m.rowSpan; r++) {
+      for (let c = m.column; c < m.column + m.columnSpan; c++) {
+        if (r !== m.row || c !== m.column) covered.add(`${r}:${c}`);
+      }
+    }
+  }
+
+  const cellDetails = [];
+  grid.forEach((row, r) => {
+    row.forEach((text, c) => {
+      if (covered.has(`${r}:${c}`)) return;
+      const span = spans[`${r}:${c}`];
+      cellDetails.push({
+        row: r,
+        column: c,
+        rowSpan: span?.rowSpan || 1,
+        columnSpan: span?.columnSpan || 1,
+        text,
+        confidence: cellConfidence?.[r]?.[c] ?? null,
+        header: headerRows.includes(r)
+      });
+    });
+  });
+
+  return {
+    ...source,
+    rows: source.rows ?? grid.length,
+    columns,
+    cells: grid,
+    merged,
+    headerRows,
+    headerSource,
+    cellConfidence,
+    cellDetails,
+    confidence: source.confidence ?? null,
+    pageNumber: source.pageNumber ?? null
+  };
+}
+
+module.exports = {
+  completeTable,
+  detectHeaderRows
+};
@@ -0,0 +1,124 @@
+/**
+ * Zip central directory reader
+ * Lists the entries of a zip archive with their uncompressed sizes, as
+ * the archive declares them, without inflating anything. Used to check
+ * uploaded packages against size limits before they are unpacked.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ENTRY_SIGNATURE = 0x02014b50;
+const ENTRY_SIZE = 46;
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_COMMENT = 0xffff;
+
+/**
+ * Read a little-endian 64-bit size
+ * @private
+ */
+function readSize64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('zip declares a size too large to handle');
+  }
+  return Number(value);
+}
+
+/**
+ * Locate the central directory from the end of central directory record
+ * (or its zip64 variant)
+ * @private
+ * @returns {{ count: number, offset: number, size: number }}
+ */
+function findDirectory(buffer) {
+  const last = buffer.length - EOCD_SIZE;
+  let eocd = -1;
+  for (let at = last; at >= Math.max(0, last - MAX_COMMENT); at--) {
+    if (buffer.readUInt32LE(at) === EOCD_SIGNATURE) {
+      eocd = at;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('not a zip archive (no end of central directory record)');
+  }
+
+  const directory = {
+    count: buffer.readUInt16LE(eocd + 10),
+    size: buffer.readUInt32LE(eocd + 12),
+    offset: buffer.readUInt32LE(eocd + 16)
+  };
+  const zip64 = directory.count === 0xffff || directory.size === 0xffffffff || directory.offset === 0xffffffff;
+  if (zip64) {
+    const locator = eocd - 20;
+    if (locator < 0 || buffer.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('zip64 archive without its end of central directory locator');
+    }
+    const record = readSize64(buffer, locator + 8);
+    if (record + 56 > buffer.length || buffer.readUInt32LE(record) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('zip64 end of central directory record not found');
+    }
+    directory.count = readSize64(buffer, record + 32);
+    directory.size = readSize64(buffer, record + 40);
+    directory.offset = readSize64(buffer, record + 48);
+  }
+
+  if (directory.offset + directory.size > buffer.length) {
+    throw new Error('zip central directory lies outside the file');
+  }
+  return directory;
+}
+
+/**
+ * Uncompressed size of an entry, from its zip64 extra field when the
+ * 32-bit field is saturated
+ * @private
+ */
+function entrySize(buffer, at, name) {
+  const size = buffer.readUInt32LE(at + 24);
+  if (size !== 0xffffffff) return size;
+
+  const nameLength = buffer.readUInt16LE(at + 28);
+  const extraEnd = at + ENTRY_SIZE + nameLength + buffer.readUInt16LE(at + 30);
+  for (let field = at + ENTRY_SIZE + nameLength; field + 4 <= extraEnd;) {
+    const id = buffer.readUInt16LE(field);
+    const length = buffer.readUInt16LE(field + 2);
+    if (id === ZIP64_EXTRA_ID && length >= 8) {
+      return readSize64(buffer, field + 4);
+    }
+    field += 4 + length;
+  }
+  throw new Error(`zip entry ${name} has no zip64 size`);
+}
+
+/**
+ * List the entries of a zip archive from its central directory
+ * @param {Buffer} buffer - The whole archive
+ * @returns {Map<string, number>} Uncompressed size by entry name
+ * @throws {Error} When the archive's directory cannot be read
+ */
+function readZipDirectory(buffer) {
+  const { count, offset, size } = findDirectory(buffer);
+  const entries = new Map();
+  const end = offset + size;
+
+  let at = offset;
+  for (let i = 0; i < count; i++) {
+    if (at + ENTRY_SIZE > end || buffer.readUInt32LE(at) !== ENTRY_SIGNATURE) {
+      throw new Error(`zip central directory is truncated after ${i} of ${count} entries`);
+    }
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const next = at + ENTRY_SIZE + nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+    if (next > end) {
+      throw new Error(`zip central directory is truncated after ${i} of ${count} entries`);
+    }
+    const name = buffer.toString('utf8', at + ENTRY_SIZE, at + ENTRY_SIZE + nameLength);
+    entries.set(name, (entries.get(name) || 0) + entrySize(buffer, at, name));
+    at = next;
+  }
+  return entries;
+}
+
+module.exports = { readZipDirectory };
@@ -5,7 +5,10 @@ const { v4: uuidv4 } = require('uuid');
 
 const routingEngine = require('../services/RoutingEngine');
 const pricingEngine = require('../services/PricingEngine');
+const shadowComparator = require('../services/ShadowComparator');
+const tableExporter = require('../services/TableExporter');
 const providerFactory = require('../providers');
+const extractionSchema = require('../schema');
 const config = require('../config');
 
 const router = express.Router();
@@ -54,17 +57,46 @@ router.post('/extract', upload.single('document'), async (req, res) => {
       clientId = 'default',
       forceProvider 
     } = req.body;
+    const extractOptions = {
+      includeGeometry: parseBoolean(req.body.includeGeometry ?? req.query.includeGeometry),
+      clientId
+    };
+
+    const routing = parseRoutingOptions(req, forceProvider);
+    if (routing.error) {
+      return res.status(400).json({
+        success: false,
+        error: routing.error
+      });
+    }
+    Object.assign(extractOptions, routing.options);
+
+    // Clients may pin an older result schema while they migrate
+    const requestedVersion = req.body.schemaVersion ?? req.query.schemaVersion;
+    const schemaVersion = extractionSchema.resolveVersion(requestedVersion);
+    if (!schemaVersion) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported schemaVersion: ${requestedVersion}. Supported: ${extractionSchema.getVersions().join(', ')}`
+      });
+    }
+
+    // Optionally download tables instead of the JSON response
+    const tableFormat = req.body.tableFormat ?? req.query.tableFormat;
+    const tableIndex = req.body.table ?? req.query.table;
+    if (tableFormat && !tableExporter.isSupported(tableFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported tableFormat: ${tableFormat}. Supported: csv, xlsx`
+      });
+    }
 
     // Get file info
     const fileName = req.file.originalname;
     const mimeType = req.file.mimetype;
     const documentBuffer = req.file.buffer;
 
-    // Detect or use provided document type
-    const documentType = requestedType || 
-      routingEngine.detectDocumentType(fileName, mimeType);
-
-    // Select provider (force if specified)
+    // Check a forced provider before anything is spent on the document
     let provider;
     if (forceProvider) {
       provider = providerFactory.getProvider(forceProvider);
@@ -80,54 +112,97 @@ router.post('/extract', upload.single('document'), async (req, res) => {
           error: `Provider ${forceProvider} is disabled`
         });
       }
+      const violation = routingEngine.getPolicyViolation(clientId, forceProvider);
+      if (violation) {
+        return res.status(403).json({
+          success: false,
+          error: `Provider ${forceProvider} is not allowed: ${violation}`,
+          clientId
+        });
+      }
     }
 
+    // Classify the document by content unless the type was given or the
+    // provider forced; reject rules run first, as the first pass may be billed
+    let classification = null;
+    if (!requestedType && !forceProvider) {
+      await routingEngine.rejectBeforeClassification(documentBuffer, mimeType, { clientId });
+      classification = await routingEngine.classifyDocument(documentBuffer, fileName, mimeType, { clientId });
+    }
+    const documentType = requestedType || classification?.type || routingEngine.detectDocumentType(fileName, mimeType);
+
+    const ensemble = !forceProvider && routingEngine.getEnsembleSettings(documentType, extractOptions.ensemble || {}).enabled;
+
     // Extract with routing
     const startTime = Date.now();
     let result;
     
     if (provider) {
       // Use specified provider directly
-      result = await provider.extract(documentBuffer, fileName, mimeType);
-      result._routing = {
-        provider: provider.getName(),
-        reason: 'forced',
-        fallbackUsed: false
-      };
+      result = await routingEngine.extractWithProvider(
+        provider,
+        documentBuffer,
+        fileName,
+        mimeType,
+        documentType,
+        extractOptions
+      );
+    } else if (ensemble) {
+      // Run several providers and merge their results
+      result = await routingEngine.extractWithEnsemble(
+        documentBuffer,
+        fileName,
+        mimeType,
+        documentType,
+        extractOptions
+      );
     } else {
       // Use routing engine with fallback
       result = await routingEngine.extractWithFallback(
         documentBuffer, 
         fileName, 
         mimeType, 
-        documentType
+        documentType,
+        extractOptions
       );
     }
 
     const processingTime = Date.now() - startTime;
     const pageCount = result.pages?.length || 1;
 
-    // Calculate cost
-    const cost = pricingEngine.calculateCost(
-      pageCount,
-      result._routing.provider,
-      clientId
-    );
+    // Calculate cost (split when text layer and OCR pages were mixed,
+    // combined over every provider of an ensemble, and including the pages
+    // a provider read to classify the document)
+    let pagesByProvider = result._routing.pagesByProvider;
+    if (classification?.firstPass) {
+      const { provider: firstPassProvider, pages } = classification.firstPass;
+      pagesByProvider = { ...(pagesByProvider || { [result._routing.provider]: pageCount }) };
+      pagesByProvider[firstPassProvider] = (pagesByProvider[firstPassProvider] || 0) + pages;
+    }
+    const cost = pagesByProvider
+      ? pricingEngine.calculateSplitCost(pagesByProvider, clientId)
+      : pricingEngine.calculateCost(pageCount, result._routing.provider, clientId);
 
-    // Record usage
-    pricingEngine.recordUsage(clientId, pageCount);
+    // Record the pages billed, so volume tiers count what the client paid
+    // for; the extraction is done and billable even if this fails
+    const billedPages = cost.pageCount;
+    try {
+      pricingEngine.recordUsage(clientId, billedPages, cost.finalCost);
+    } catch (error) {
+      console.error(`Failed to record usage for client ${clientId} (${billedPages} pages, ${cost.finalCost} USD):`, error.message);
+    }
+
+    if (tableFormat) {
+      return sendTables(res, result.tables, tableFormat, tableIndex, fileName);
+    }
 
     // Build response
     const response = {
       success: true,
       requestId: uuidv4(),
       documentType,
-      extraction: {
-        text: result.text,
-        pages: result.pages,
-        tables: result.tables,
-        forms: result.forms
-      },
+      schemaVersion,
+      extraction: extractionSchema.format(result, schemaVersion),
       routing: result._routing,
       cost: {
         pageCount,
@@ -135,12 +210,15 @@ router.post('/extract', upload.single('document'), async (req, res) => {
         discountPercent: cost.discountPercent,
         discount: cost.discount,
         finalCost: cost.finalCost,
+        ...(cost.breakdown && { breakdown: cost.breakdown }),
         currency: 'USD'
       },
       performance: {
         processingTimeMs: processingTime,
         provider: result._routing.provider
       },
+      ...(result._ensemble && { ensemble: result._ensemble }),
+      ...(classification && { classification }),
       metadata: {
         fileName,
         mimeType,
@@ -151,6 +229,27 @@ router.post('/extract', upload.single('document'), async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error('Extraction error:', error);
+    if (error.code === 'NO_CAPABLE_PROVIDER') {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        excluded: error.excluded
+      });
+    }
+    if (error.code === 'ROUTING_REJECTED') {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        rule: error.rule
+      });
+    }
+    if (error.code === 'CLIENT_POLICY') {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        clientId: error.clientId
+      });
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -158,23 +257,53 @@ router.post('/extract', upload.single('document'), async (req, res) => {
   }
 });
 
+/**
+ * Send extracted tables as a CSV or XLSX download
+ * CSV carries one table (the first unless `table` selects another);
+ * XLSX carries the selected table or every table, one sheet each.
+ * @private
+ */
+async function sendTables(res, tables, format, tableIndex, fileName) {
+  let selected = tables;
+  if (tableIndex !== undefined && tableIndex !== '') {
+    const index = Number(tableIndex);
+    selected = Number.isInteger(index) && tables[index] ? [tables[index]] : [];
+  }
+  if (selected.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: tableIndex !== undefined && tableIndex !== ''
+        ? `Table ${tableIndex} not found; the extraction has ${tables.length} table(s)`
+        : 'The extraction has no tables'
+    });
+  }
+
+  const { body, contentType, extension } = await tableExporter.export(selected, format);
+  const baseName = path.parse(fileName).name || 'document';
+  const suffix = selected.length === 1 ? `table-${tables.indexOf(selected[0]) + 1}` : 'tables';
+  res.attachment(`${baseName}-${suffix}.${extension}`);
+  res.type(contentType).send(body);
+}
+
 /**
  * GET /providers
  * List available providers
  */
 router.get('/providers', (req, res) => {
   try {
-    const providers = config.getAllProviders();
+    const providers = providerFactory.getProviderNames().map(name => providerFactory.getProvider(name));
     const routing = config.get('routing') || {};
     
     res.json({
       success: true,
       providers: providers.map(p => ({
-        name: p.name,
-        enabled: p.enabled,
-        pricePerPage: p.pricePerPage,
+        name: p.getName(),
+        enabled: p.isEnabled(),
+        pricePerPage: p.getPricePerPage(),
+        capabilities: p.getCapabilities(),
+        circuit: routingEngine.getCircuitState(p.getName()),
         routingPriority: Object.entries(routing)
-          .filter(([_, providers]) => providers.includes(p.name))
+          .filter(([_, providers]) => providers.includes(p.getName()))
           .map(([docType]) => docType)
       }))
     });
@@ -186,6 +315,33 @@ router.get('/providers', (req, res) => {
   }
 });
 
+/**
+ * GET /schema
+ * List extraction schema versions
+ */
+router.get('/schema', (req, res) => {
+  res.json({
+    success: true,
+    currentVersion: extractionSchema.currentVersion,
+    versions: extractionSchema.getVersions()
+  });
+});
+
+/**
+ * GET /schema/:version
+ * Get the JSON Schema for an extraction result version
+ */
+router.get('/schema/:version', (req, res) => {
+  const schema = extractionSchema.getSchema(req.params.version);
+  if (!schema) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown schema version: ${req.params.version}`
+    });
+  }
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
 /**
  * GET /pricing
  * Get pricing information
@@ -200,7 +356,7 @@ router.get('/pricing', (req, res) => {
       providers: providers.map(p => ({
         name: p.name,
         pricePerPage: p.pricePerPage,
-        description: getProviderDescription(p.name)
+        description: p.description || getProviderDescription(p.name)
       })),
       volumeDiscounts: tiers,
       currency: 'USD'
@@ -221,8 +377,12 @@ router.get('/health', async (req, res) => {
   try {
     const health = await providerFactory.getHealthStatus();
     const usage = pricingEngine.getAllUsage();
+    for (const [name, status] of Object.entries(health)) {
+      status.circuit = routingEngine.getCircuitState(name);
+    }
     
-    const allHealthy = Object.values(health).every(h => h.healthy);
+    const allHealthy = Object.values(health)
+      .every(h => h.healthy && (!h.enabled || h.circuit.state === 'closed'));
     
     res.json({
       success: true,
@@ -264,20 +424,130 @@ router.get('/usage/:clientId', (req, res) => {
   }
 });
 
+/**
+ * POST /routing/explain
+ * Dry run: how a request with the same inputs as /extract would be routed,
+ * without calling any provider. Takes the document, or its metadata
+ * (fileName, mimeType, fileSize, pageCount), plus documentType, clientId,
+ * forceProvider, routingMode, requires, languages, ensemble and at.
+ */
+router.post('/routing/explain', upload.single('document'), async (req, res) => {
+  try {
+    const { documentType, clientId = 'default', forceProvider } = req.body;
+    const routing = parseRoutingOptions(req, forceProvider);
+    if (routing.error) {
+      return res.status(400).json({
+        success: false,
+        error: routing.error
+      });
+    }
+    if (forceProvider && !providerFactory.getProvider(forceProvider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown provider: ${forceProvider}`
+      });
+    }
+    const at = req.body.at ?? req.query.at;
+    const now = at ? new Date(at) : new Date();
+    if (Number.isNaN(now.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid at: ${at}. Use an ISO 8601 date-time`
+      });
+    }
+
+    // An uploaded file is measured; otherwise its metadata is taken as given
+    const file = req.file
+      ? {
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        fileSize: req.file.size,
+        pageCount: await routingEngine.countPages(req.file.buffer, req.file.mimetype)
+      }
+      : {
+        fileName: req.body.fileName ?? req.query.fileName,
+        mimeType: req.body.mimeType ?? req.query.mimeType,
+        fileSize: parseNumber(req.body.fileSize ?? req.query.fileSize),
+        pageCount: parseNumber(req.body.pageCount ?? req.query.pageCount)
+      };
+
+    const explanation = routingEngine.explainRouting({
+      ...file,
+      documentType,
+      clientId,
+      forceProvider,
+      now,
+      options: routing.options
+    });
+
+    res.json({
+      success: true,
+      dryRun: true,
+      ...explanation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /routing/:documentType
- * Get routing info for a document type
+ * Get routing info for a document type, evaluating the routing rules
+ * against the request described by the query (mimeType, fileSize,
+ * pageCount, clientId, at)
  */
 router.get('/routing/:documentType', (req, res) => {
   try {
     const { documentType } = req.params;
-    const providers = config.getRoutingProviders(documentType);
+    const { mimeType, clientId, at } = req.query;
+    const now = at ? new Date(at) : new Date();
+    if (Number.isNaN(now.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid at: ${at}. Use an ISO 8601 date-time`
+      });
+    }
+
+    const routing = routingEngine.getRoutingInfo(documentType, {
+      mimeType,
+      fileSize: parseNumber(req.query.fileSize),
+      pageCount: parseNumber(req.query.pageCount),
+      clientId,
+      now
+    });
     
     res.json({
       success: true,
       documentType,
-      providers,
-      routing: routingEngine.getRoutingInfo(documentType)
+      providers: routing.providers,
+      routing
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /shadow
+ * Aggregated shadow comparisons per document type and candidate
+ * (`?documentType=` narrows to one type)
+ */
+router.get('/shadow', (req, res) => {
+  try {
+    const { documentType } = req.query;
+    const settings = shadowComparator.getSettings();
+    
+    res.json({
+      success: true,
+      routes: documentType ? { [documentType]: shadowComparator.getRoute(documentType) } : settings.routes,
+      inFlight: routingEngine.shadowRuns.size,
+      results: shadowComparator.getResults(documentType)
     });
   } catch (error) {
     res.status(500).json({
@@ -287,6 +557,99 @@ router.get('/routing/:documentType', (req, res) => {
   }
 });
 
+/**
+ * DELETE /shadow
+ * Discard recorded shadow comparisons, e.g. after changing a candidate
+ */
+router.delete('/shadow', (req, res) => {
+  shadowComparator.reset();
+  res.json({ success: true });
+});
+
+/**
+ * Helper function to parse boolean form/query values
+ */
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Helper function to parse an optional numeric form/query value
+ */
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Helper function to parse comma-separated or repeated form/query values
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Helper function to parse the ensemble form/query value: a boolean, or
+ * a provider list that enables the ensemble with those providers
+ */
+function parseEnsemble(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (['true', '1', 'false', '0', true, false].includes(value)) {
+    return { enabled: parseBoolean(value) };
+  }
+  return { enabled: true, providers: parseList(value) };
+}
+
+/**
+ * Helper function to parse the routing inputs /extract and /routing/explain
+ * share: routingMode, requires, languages and ensemble
+ * @returns {Object} `{ options }`, or `{ error }` for an invalid value
+ */
+function parseRoutingOptions(req, forceProvider) {
+  const options = {};
+
+  // Declared requirements (or routingMode=cost) route to the cheapest capable
+  // provider; routingMode=adaptive reorders by observed latency and reliability
+  const requires = parseList(req.body.requires ?? req.query.requires);
+  const languages = parseList(req.body.languages ?? req.query.languages);
+  const routingMode = req.body.routingMode ?? req.query.routingMode;
+  if (routingMode && !['priority', 'cost', 'adaptive'].includes(routingMode)) {
+    return { error: `Unsupported routingMode: ${routingMode}. Supported: priority, cost, adaptive` };
+  }
+  if (routingMode) {
+    options.routingMode = routingMode;
+  }
+  const unknownFeatures = requires.filter(f => !routingEngine.features.includes(f));
+  if (unknownFeatures.length > 0) {
+    return { error: `Unknown requirement: ${unknownFeatures.join(', ')}. Supported: ${routingEngine.features.join(', ')}` };
+  }
+  if (routingMode === 'cost' || (routingMode !== 'priority' && (requires.length > 0 || languages.length > 0))) {
+    options.requirements = {
+      features: requires.length > 0 ? requires : ['text'],
+      languages: languages.map(l => l.toLowerCase())
+    };
+  }
+
+  // Ensemble: `true`/`false` overrides the document type's setting, a
+  // provider list runs exactly those providers
+  const ensembleOverride = parseEnsemble(req.body.ensemble ?? req.query.ensemble);
+  const unknownEnsemble = (ensembleOverride?.providers || []).filter(name => !providerFactory.getProvider(name));
+  if (unknownEnsemble.length > 0) {
+    return { error: `Unknown provider: ${unknownEnsemble.join(', ')}` };
+  }
+  if (forceProvider && ensembleOverride?.enabled) {
+    return { error: 'ensemble cannot be combined with forceProvider' };
+  }
+  if (ensembleOverride) {
+    options.ensemble = ensembleOverride;
+  }
+  return { options };
+}
+
 /**
  * Helper function to get provider descriptions
  */
@@ -294,7 +657,9 @@ function getProviderDescription(name) {
   const descriptions = {
     langextract: 'Custom/local extraction service. Best for: text-heavy documents, contracts, plain PDFs. Cheapest option.',
     aws: 'Amazon Textract. Best for: receipts, invoices, fast processing. Strong table/form extraction.',
-    azure: 'Azure Document Intelligence. Best for: invoices, forms, complex layouts. Excellent key-value extraction.'
+    azure: 'Azure Document Intelligence. Best for: invoices, forms, complex layouts. Excellent key-value extraction.',
+    pdftext: 'Local PDF text layer parser. Best for: born-digital PDFs. No OCR, no per-page cost.',
+    docx: 'Local Word document parser. Best for: DOCX/DOC files. Returns paragraphs, headings and table grids.'
   };
   return descriptions[name] || 'Document extraction provider';
 }
@@ -0,0 +1,158 @@
+const Ajv = require('ajv');
+const ProviderError = require('../providers/ProviderError');
+
+const CURRENT_VERSION = '2.1';
+
+/**
+ * Extraction Schema
+ * Publishes the versioned JSON Schemas for extraction results, validates
+ * provider output against the current version and converts results to
+ * older versions for clients that have not migrated yet.
+ */
+class ExtractionSchema {
+  constructor() {
+    this.currentVersion = CURRENT_VERSION;
+    this.schemas = {
+      '1.0': require('./extraction-1.0.json'),
+      '2.0': require('./extraction-2.0.json'),
+      '2.1': require('./extraction-2.1.json')
+    };
+    this.ajv = new Ajv({ allErrors: true, strictTypes: false });
+    this.validators = {};
+  }
+
+  /**
+   * List supported schema versions, oldest first
+   * @returns {Array<string>}
+   */
+  getVersions() {
+    return Object.keys(this.schemas);
+  }
+
+  /**
+   * Get the JSON Schema for a version
+   * @param {string} [version] - Schema version, defaults to the current one
+   * @returns {Object|null}
+   */
+  getSchema(version = CURRENT_VERSION) {
+    const resolved = this.resolveVersion(version);
+    return resolved ? this.schemas[resolved] : null;
+  }
+
+  /**
+   * Resolve a requested version (`2`, `v2`, `2.0`) to a supported one
+   * A major version alone resolves to its latest minor version.
+   * @param {string} [requested] - Requested version; empty means current
+   * @returns {string|null} Supported version, or null when unknown
+   */
+  resolveVersion(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+      return CURRENT_VERSION;
+    }
+    const version = String(requested).trim().replace(/^v/i, '');
+    if (!version.includes('.')) {
+      const minors = this.getVersions().filter(v => v.split('.')[0] === version);
+      return minors.length ? minors[minors.length - 1] : null;
+    }
+    return this.schemas[version] ? version : null;
+  }
+
+  /**
+   * Validate a result against a schema version
+   * @param {Object} result - Extraction result
+   * @param {string} [version] - Schema version, defaults to the current one
+   * @returns {Object} `{ valid, errors }`
+   */
+  validate(result, version = CURRENT_VERSION) {
+    if (!this.validators[version]) {
+      this.validators[version] = this.ajv.compile(this.schemas[version]);
+    }
+    const validator = this.validators[version];
+    const valid = validator(result);
+    return {
+      valid,
+      errors: valid ? [] : validator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    };
+  }
+
+  /**
+   * Validate provider output, or a result merged from several providers,
+   * against the current schema
+   * @param {Object} result - Extraction result
+   * @param {string|Array<string>} providerName - Provider that produced the
+   *   result, or the providers whose results were merged
+   * @returns {Object} The result, unchanged
+   * @throws {ProviderError} SCHEMA_VIOLATION when the result does not conform
+   */
+  assertValid(result, providerName) {
+    const { valid, errors } = this.validate(result);
+    if (!valid) {
+      const source = Array.isArray(providerName)
+        ? `Merged result of ${providerName.join(', ')}`
+        : `Provider ${providerName} returned a result that`;
+      throw new ProviderError(
+        `${source} does not match schema ${CURRENT_VERSION}: ${errors.slice(0, 5).join('; ')}`,
+        {
+          provider: Array.isArray(providerName) ? providerName.join('+') : providerName,
+          code: 'SCHEMA_VIOLATION',
+          retryable: false
+        }
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Build the `extraction` section of an API response in a schema version
+   * @param {Object} result - Validated extraction result
+   * @param {string} [version] - Target schema version
+   * @returns {Object}
+   */
+  format(result, version = CURRENT_VERSION) {
+    const extraction = {
+      text: result.text,
+      pages: result.pages,
+      tables: result.tables,
+      forms: result.forms,
+      fields: result.fields,
+      confidence: result.confidence,
+      metadata: result.metadata
+    };
+    switch (version) {
+      case '1.0':
+        return this.toLegacy(extraction);
+      case '2.0':
+        return {
+          ...extraction,
+          tables: extraction.tables.map(({ headerSource, cellDetails, ...table }) => table)
+        };
+      default:
+        return extraction;
+    }
+  }
+
+  /**
+   * Convert to the 1.0 shape: forms as a key-value map, with the full
+   * field list kept in `formFields`; 1.0 has no `metadata`
+   * @private
+   */
+  toLegacy({ metadata, ...extraction }) {
+    const forms = {};
+    for (const field of extraction.forms) {
+      let key = field.key;
+      for (let n = 2; key in forms; n++) {
+        key = `${field.key} (${n})`;
+      }
+      forms[key] = field.value;
+    }
+
+    return {
+      ...extraction,
+      tables: extraction.tables.map(({ rows, columns, cells }) => ({ rows, columns, cells })),
+      forms,
+      formFields: extraction.forms
+    };
+  }
+}
+
+module.exports = new ExtractionSchema();
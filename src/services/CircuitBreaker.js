@@ -0,0 +1,159 @@
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  failureThreshold: 5,
+  errorRateThreshold: 0.5,
+  minimumRequests: 10,
+  windowSize: 20,
+  cooldownMs: 30000,
+  halfOpenProbes: 1
+};
+
+/**
+ * Circuit Breaker
+ * Tracks one provider's recent outcomes. The circuit opens after
+ * `failureThreshold` consecutive failures, or when the error rate over the
+ * last `windowSize` calls reaches `errorRateThreshold` (once at least
+ * `minimumRequests` were seen). An open circuit rejects calls for
+ * `cooldownMs`, then turns half-open and lets `halfOpenProbes` probe
+ * requests through: if they all succeed the circuit closes, and any
+ * failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} [settings] - Thresholds, see DEFAULT_SETTINGS
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.reset();
+  }
+
+  /**
+   * Close the circuit and forget recorded outcomes
+   */
+  reset() {
+    this.state = 'closed';
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+  }
+
+  /**
+   * Check whether a call may go to the provider
+   * Moves an open circuit to half-open once the cooldown has passed, and
+   * counts the call as a probe while half-open.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (!this.settings.enabled || this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (Date.now() < this.openedAt + this.settings.cooldownMs) return false;
+      this.transition('half-open');
+    }
+
+    if (this.probesInFlight + this.probeSuccesses >= this.settings.halfOpenProbes) return false;
+    this.probesInFlight++;
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      if (++this.probeSuccesses >= this.settings.halfOpenProbes) {
+        this.transition('closed');
+      }
+      return;
+    }
+    this.consecutiveFailures = 0;
+    this.pushOutcome(true);
+  }
+
+  /**
+   * Record a failed call
+   */
+  recordFailure() {
+    if (this.state === 'half-open') {
+      this.transition('open');
+      return;
+    }
+    this.consecutiveFailures++;
+    this.pushOutcome(false);
+
+    const { failureThreshold, errorRateThreshold, minimumRequests } = this.settings;
+    const tripped = this.consecutiveFailures >= failureThreshold ||
+      (this.outcomes.length >= minimumRequests && this.getErrorRate() >= errorRateThreshold);
+    if (this.settings.enabled && tripped) {
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Error rate (0-1) over the recorded window
+   * @returns {number|null} null before any call was recorded
+   */
+  getErrorRate() {
+    if (this.outcomes.length === 0) return null;
+    const failures = this.outcomes.filter(ok => !ok).length;
+    return Math.round((failures / this.outcomes.length) * 10000) / 10000;
+  }
+
+  /**
+   * Describe the breaker for health and provider listings
+   * @returns {Object}
+   */
+  getState() {
+    // An expired cooldown reads as half-open even before the next call
+    const state = this.state === 'open' && Date.now() >= this.openedAt + this.settings.cooldownMs
+      ? 'half-open'
+      : this.state;
+    return {
+      state,
+      enabled: this.settings.enabled,
+      consecutiveFailures: this.consecutiveFailures,
+      errorRate: this.getErrorRate(),
+      recentCalls: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.settings.cooldownMs).toISOString() : null
+    };
+  }
+
+  /**
+   * Change state, resetting the counters the new state starts from
+   * @private
+   */
+  transition(state) {
+    if (state !== this.state) {
+      console.warn(`Circuit for provider ${this.name} is now ${state}`);
+    }
+    if (state === 'closed') {
+      this.reset();
+      return;
+    }
+    this.state = state;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+    if (state === 'open') {
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Add an outcome to the sliding window
+   * @private
+   */
+  pushOutcome(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > this.settings.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
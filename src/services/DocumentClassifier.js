@@ -0,0 +1,209 @@
+const config = require('../config');
+
+const DEFAULT_SETTINGS = {
+  minConfidence: 0.3,
+  fullConfidenceScore: 6,
+  maxChars: 20000,
+  firstPass: { provider: 'none', maxPages: 2 }
+};
+
+/**
+ * Built-in rules, used for any type not configured under
+ * `classification.types`. Keyword patterns are case-insensitive regular
+ * expressions matched on word boundaries; file name rules match whole
+ * tokens of the file name.
+ */
+const DEFAULT_TYPES = {
+  invoice: {
+    fileName: { invoice: 3, inv: 3, bill: 2 },
+    keywords: {
+      invoice: 3,
+      'invoice (number|no\\.?|#|date)': 3,
+      'bill to': 2,
+      'amount due': 2,
+      'due date': 1,
+      'payment terms': 2,
+      subtotal: 1
+    },
+    layout: { tables: 1, amounts: 1 }
+  },
+  receipt: {
+    fileName: { receipt: 3, txn: 2 },
+    keywords: {
+      receipt: 3,
+      cashier: 2,
+      'change due': 2,
+      'thank you for (shopping|your purchase|visiting)': 2,
+      '(visa|mastercard|amex|cash) tendered': 2,
+      'total': 1
+    },
+    layout: { amounts: 1, singlePage: 1 }
+  },
+  form: {
+    fileName: { form: 3, application: 3 },
+    keywords: {
+      'application form': 3,
+      'please (print|complete|fill)': 2,
+      'signature': 1,
+      'check (one|all that apply)': 2,
+      'for office use only': 2
+    },
+    layout: { forms: 2 }
+  },
+  contract: {
+    fileName: { contract: 3, agreement: 3, terms: 2 },
+    keywords: {
+      agreement: 2,
+      'this agreement': 2,
+      whereas: 2,
+      hereinafter: 3,
+      'governing law': 2,
+      'in witness whereof': 3,
+      'the parties': 1
+    },
+    layout: { multiPage: 1 }
+  },
+  id_document: {
+    fileName: { id: 3, passport: 3, license: 3, licence: 3, driver: 2 },
+    keywords: {
+      passport: 3,
+      "driver'?s licen[cs]e": 3,
+      'identity card': 3,
+      'date of birth': 2,
+      nationality: 2,
+      '(date of )?expir(y|ation)( date)?': 1
+    },
+    layout: { singlePage: 1 }
+  }
+};
+
+/**
+ * Layout signals: what each one checks in a first-pass result
+ * @private
+ */
+const LAYOUT_SIGNALS = {
+  tables: doc => doc.tables.length > 0,
+  forms: doc => doc.forms.length >= 3,
+  amounts: doc => (doc.text.match(/[$€£]\s?\d[\d,]*\.\d{2}\b|\b\d[\d,]*\.\d{2}\s?(USD|EUR|GBP)\b/g) || []).length >= 3,
+  singlePage: doc => doc.pageCount === 1,
+  multiPage: doc => doc.pageCount >= 3
+};
+
+/**
+ * Document Classifier
+ * Scores each document type with weighted keyword, file name and layout
+ * rules (`classification` in config.yaml) and picks the best one.
+ * Confidence combines the strength of the evidence (score relative to
+ * `fullConfidenceScore`) with the margin over the runner-up; below
+ * `minConfidence` the document is classified as `generic`.
+ */
+class DocumentClassifier {
+  constructor() {
+    this.configure(config.get('classification') || {});
+  }
+
+  /**
+   * Load settings and compile the rules
+   * @param {Object} [settings] - The `classification` config block
+   * @throws {Error} When a rule has an invalid pattern, weight or signal
+   */
+  configure(settings = {}) {
+    this.settings = {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      firstPass: { ...DEFAULT_SETTINGS.firstPass, ...settings.firstPass }
+    };
+    const types = { ...DEFAULT_TYPES, ...settings.types };
+    this.rules = Object.entries(types).map(([type, rules]) => this.compileRules(type, rules || {}));
+  }
+
+  /**
+   * Compile one type's rules
+   * @private
+   */
+  compileRules(type, { fileName = {}, keywords = {}, layout = {} }) {
+    const where = `classification.types.${type}`;
+    const weight = (section, key, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${where}.${section}: weight for "${key}" must be a number`);
+      }
+      return value;
+    };
+
+    return {
+      type,
+      fileName: Object.entries(fileName).map(([token, w]) => ({
+        token: token.toLowerCase(),
+        weight: weight('fileName', token, w)
+      })),
+      keywords: Object.entries(keywords).map(([pattern, w]) => {
+        let regex;
+        try {
+          regex = new RegExp(`\\b(?:${pattern})\\b`, 'i');
+        } catch (error) {
+          throw new Error(`${where}.keywords: invalid pattern "${pattern}": ${error.message}`);
+        }
+        return { pattern, regex, weight: weight('keywords', pattern, w) };
+      }),
+      layout: Object.entries(layout).map(([signal, w]) => {
+        if (!LAYOUT_SIGNALS[signal]) {
+          throw new Error(`${where}.layout: unknown signal "${signal}". Supported: ${Object.keys(LAYOUT_SIGNALS).join(', ')}`);
+        }
+        return { signal, weight: weight('layout', signal, w) };
+      })
+    };
+  }
+
+  /**
+   * Classify a document
+   * Works with whatever is known: the file name alone, or a first-pass
+   * extraction's text, tables, forms and page count as well.
+   * @param {Object} document
+   * @param {string} [document.fileName] - Original file name
+   * @param {string} [document.text] - Extracted text
+   * @param {Array<Object>} [document.tables] - Extracted tables
+   * @param {Array<Object>} [document.forms] - Extracted form fields
+   * @param {number} [document.pageCount] - Page count
+   * @returns {Object} `{ type, confidence, signals, scores }`
+   */
+  classify({ fileName = '', text = '', tables = [], forms = [], pageCount = null } = {}) {
+    const tokens = new Set(String(fileName).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+    const content = String(text || '').slice(0, this.settings.maxChars);
+    const hasContent = content.trim().length > 0;
+    const doc = { text: content, tables: tables || [], forms: forms || [], pageCount };
+
+    const scored = this.rules.map(rules => {
+      const signals = [
+        ...rules.fileName
+          .filter(rule => tokens.has(rule.token))
+          .map(rule => ({ rule: 'fileName', signal: rule.token, weight: rule.weight })),
+        ...(hasContent ? rules.keywords : [])
+          .filter(rule => rule.regex.test(content))
+          .map(rule => ({ rule: 'keyword', signal: rule.pattern, weight: rule.weight })),
+        ...(hasContent ? rules.layout : [])
+          .filter(rule => LAYOUT_SIGNALS[rule.signal](doc))
+          .map(rule => ({ rule: 'layout', signal: rule.signal, weight: rule.weight }))
+      ];
+      return { type: rules.type, signals, score: signals.reduce((sum, s) => sum + s.weight, 0) };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scored;
+    const scores = Object.fromEntries(scored.filter(s => s.score > 0).map(s => [s.type, s.score]));
+    if (!best || best.score <= 0) {
+      return { type: 'generic', confidence: 0, signals: [], scores };
+    }
+
+    const strength = Math.min(1, best.score / this.settings.fullConfidenceScore);
+    const margin = best.score / (best.score + Math.max(0, runnerUp?.score || 0));
+    const confidence = Math.round(strength * margin * 10000) / 10000;
+
+    return {
+      type: confidence >= this.settings.minConfidence ? best.type : 'generic',
+      confidence,
+      signals: best.signals,
+      scores
+    };
+  }
+}
+
+module.exports = new DocumentClassifier();
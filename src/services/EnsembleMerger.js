@@ -0,0 +1,137 @@
+const { normalizeKey, normalizeValue } = require('./formFields');
+
+/**
+ * Ensemble Merger
+ * Combines the results several providers returned for one document.
+ * Form fields are matched by normalized key and voted on by normalized
+ * value: the value most providers agree on wins, ties go to the most
+ * confident value, and fields with conflicting values are reported as
+ * disagreements. Text, pages, tables and typed fields come from the most
+ * confident result (the base).
+ */
+class EnsembleMerger {
+  /**
+   * Merge provider results
+   * @param {Array<Object>} runs - `{ provider, result }` per successful
+   *   provider, in routing order (used to break confidence ties)
+   * @returns {Object} `{ result, base, provenance, disagreements }`
+   */
+  merge(runs) {
+    if (runs.length === 0) {
+      throw new Error('Nothing to merge: no provider returned a result');
+    }
+
+    const base = runs.reduce((best, run) =>
+      (overallConfidence(run.result) > overallConfidence(best.result) ? run : best));
+    const ordered = [base, ...runs.filter(run => run !== base)];
+    const names = runs.map(run => run.provider.getName());
+
+    const forms = [];
+    const provenance = [];
+    const disagreements = [];
+    for (const candidates of this.groupFields(ordered).values()) {
+      const { field, entry, disagreement } = this.vote(candidates, names);
+      forms.push(field);
+      provenance.push(entry);
+      if (disagreement) disagreements.push(disagreement);
+    }
+
+    return {
+      result: {
+        ...base.result,
+        forms,
+        confidence: base.provider.summarizeConfidence(base.result.pages, forms)
+      },
+      base: base.provider.getName(),
+      provenance,
+      disagreements
+    };
+  }
+
+  /**
+   * Collect each provider's value per normalized field key, keeping a
+   * provider's most confident field when it repeats a key
+   * @private
+   * @returns {Map<string, Array<Object>>} Candidates per key, in first-seen order
+   */
+  groupFields(runs) {
+    const groups = new Map();
+    for (const { provider, result } of runs) {
+      for (const field of result.forms) {
+        const key = normalizeKey(field.key);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+
+        const candidates = groups.get(key);
+        const existing = candidates.find(c => c.provider === provider.getName());
+        if (existing && (existing.field.confidence ?? 0) >= (field.confidence ?? 0)) continue;
+        if (existing) candidates.splice(candidates.indexOf(existing), 1);
+        candidates.push({ provider: provider.getName(), field, value: normalizeValue(field.value) });
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Pick one field's value from its candidates
+   * @private
+   */
+  vote(candidates, providerNames) {
+    const groups = new Map();
+    for (const candidate of candidates) {
+      if (!groups.has(candidate.value)) groups.set(candidate.value, []);
+      groups.get(candidate.value).push(candidate);
+    }
+
+    const ranked = [...groups.values()]
+      .map(group => ({
+        group,
+        best: group.reduce((a, b) => ((b.field.confidence ?? 0) > (a.field.confidence ?? 0) ? b : a))
+      }))
+      .sort((a, b) => b.group.length - a.group.length ||
+        (b.best.field.confidence ?? 0) - (a.best.field.confidence ?? 0));
+    const [winner, runnerUp] = ranked;
+
+    let method = 'single';
+    if (candidates.length > 1) {
+      if (ranked.length === 1) method = 'unanimous';
+      else method = winner.group.length > runnerUp.group.length ? 'majority' : 'confidence';
+    }
+
+    const responded = candidates.map(c => c.provider);
+    const missingFrom = providerNames.filter(name => !responded.includes(name));
+    const field = winner.best.field;
+    const entry = {
+      key: field.key,
+      value: field.value,
+      provider: winner.best.provider,
+      method,
+      agreement: Math.round((winner.group.length / candidates.length) * 10000) / 10000,
+      providers: winner.group.map(c => c.provider),
+      ...(missingFrom.length > 0 && { missingFrom })
+    };
+
+    const disagreement = ranked.length > 1 && {
+      key: field.key,
+      value: field.value,
+      provider: winner.best.provider,
+      candidates: candidates.map(c => ({
+        provider: c.provider,
+        value: c.field.value,
+        confidence: c.field.confidence
+      }))
+    };
+
+    return { field, entry, disagreement };
+  }
+}
+
+/**
+ * Overall confidence of a result, unscored results counting as 0
+ * @private
+ */
+function overallConfidence(result) {
+  return result.confidence?.overall ?? 0;
+}
+
+module.exports = new EnsembleMerger();
@@ -1,12 +1,16 @@
 const config = require('../config');
+const { createUsageStore } = require('../usage');
 
 /**
  * Pricing Engine
  * Manages volume discounts and cost calculations
+ * Client usage lives in the usage store configured under `usage` in
+ * config.yaml, so discounts survive restarts and are shared by every
+ * gateway instance using the same store.
  */
 class PricingEngine {
   constructor() {
-    this.usage = {}; // Track usage per client
+    this.store = createUsageStore(config.get('usage'));
   }
 
   /**
@@ -45,26 +49,53 @@ class PricingEngine {
     };
   }
 
+  /**
+   * Calculate cost for an extraction split across several providers
+   * The volume discount is based on the total page count of the request
+   * @param {Object<string, number>} pagesByProvider - Pages handled per provider
+   * @param {string} clientId - Client identifier
+   * @returns {Object} Cost breakdown with a per-provider `breakdown` list
+   */
+  calculateSplitCost(pagesByProvider, clientId = 'default') {
+    const pageCount = Object.values(pagesByProvider).reduce((sum, n) => sum + n, 0);
+    const projectedUsage = this.getUsage(clientId) + pageCount;
+    const discountPercent = config.getVolumeDiscount(projectedUsage);
+
+    const breakdown = Object.entries(pagesByProvider).map(([providerName, pages]) => {
+      const basePrice = config.getProviderConfig(providerName)?.pricePerPage || 0;
+      return {
+        provider: providerName,
+        pageCount: pages,
+        basePricePerPage: basePrice,
+        baseCost: basePrice * pages
+      };
+    });
+
+    const baseCost = breakdown.reduce((sum, b) => sum + b.baseCost, 0);
+    const discount = baseCost * (discountPercent / 100);
+
+    return {
+      pageCount,
+      provider: breakdown.map(b => b.provider).join('+'),
+      baseCost,
+      discountPercent,
+      discount,
+      finalCost: baseCost - discount,
+      projectedUsage,
+      discountTier: this.getDiscountTier(projectedUsage),
+      breakdown
+    };
+  }
+
   /**
    * Record usage for a client
    * @param {string} clientId - Client identifier
    * @param {number} pageCount - Pages to add
+   * @param {number} [cost] - Final cost of the request
    * @returns {number} Updated usage count
    */
-  recordUsage(clientId, pageCount) {
-    if (!this.usage[clientId]) {
-      this.usage[clientId] = {
-        pages: 0,
-        totalCost: 0,
-        requests: 0,
-        lastReset: new Date().toISOString()
-      };
-    }
-    
-    this.usage[clientId].pages += pageCount;
-    this.usage[clientId].requests += 1;
-    
-    return this.usage[clientId].pages;
+  recordUsage(clientId, pageCount, cost = 0) {
+    return this.store.add(clientId, pageCount, cost).pages;
   }
 
   /**
@@ -73,7 +104,7 @@ class PricingEngine {
    * @returns {number} Current page count
    */
   getUsage(clientId = 'default') {
-    return this.usage[clientId]?.pages || 0;
+    return this.store.get(clientId)?.pages || 0;
   }
 
   /**
@@ -82,7 +113,7 @@ class PricingEngine {
    * @returns {Object} Usage statistics
    */
   getUsageStats(clientId = 'default') {
-    const clientUsage = this.usage[clientId];
+    const clientUsage = this.store.get(clientId);
     if (!clientUsage) {
       return {
         pages: 0,
@@ -188,13 +219,8 @@ class PricingEngine {
    * @param {string} clientId - Client identifier
    */
   resetUsage(clientId) {
-    if (this.usage[clientId]) {
-      this.usage[clientId] = {
-        pages: 0,
-        totalCost: 0,
-        requests: 0,
-        lastReset: new Date().toISOString()
-      };
+    if (this.store.get(clientId)) {
+      this.store.reset(clientId);
     }
   }
 
@@ -203,7 +229,7 @@ class PricingEngine {
    * @returns {Object}
    */
   getAllUsage() {
-    return Object.entries(this.usage).reduce((acc, [clientId, data]) => {
+    return Object.entries(this.store.getAll()).reduce((acc, [clientId, data]) => {
       acc[clientId] = {
         pages: data.pages,
         requests: data.requests,
@@ -0,0 +1,79 @@
+const config = require('../config');
+
+const DEFAULT_WINDOW_SIZE = 100;
+
+/**
+ * Provider Stats
+ * Rolling per-provider, per-document-type statistics of routed calls:
+ * latency percentiles, error rate and fallback rate over the last
+ * `adaptiveRouting.windowSize` calls. A call counts as a fallback when
+ * routing had to move on from the provider, because it failed or its
+ * result was below the minimum confidence.
+ */
+class ProviderStats {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Record one routed call
+   * @param {string} providerName - Provider name
+   * @param {string} documentType - Document type
+   * @param {Object} call
+   * @param {number} call.durationMs - Time spent on the provider, retries included
+   * @param {string} call.outcome - `success`, `low-confidence` or `error`
+   */
+  record(providerName, documentType, { durationMs, outcome }) {
+    const key = `${providerName}/${documentType}`;
+    if (!this.windows.has(key)) this.windows.set(key, []);
+
+    const window = this.windows.get(key);
+    window.push({ durationMs, outcome });
+    const windowSize = config.get('adaptiveRouting.windowSize') || DEFAULT_WINDOW_SIZE;
+    if (window.length > windowSize) {
+      window.splice(0, window.length - windowSize);
+    }
+  }
+
+  /**
+   * Statistics for a provider and document type
+   * @param {string} providerName - Provider name
+   * @param {string} documentType - Document type
+   * @returns {Object} `{ samples, p50Ms, p95Ms, errorRate, fallbackRate }`;
+   *   figures are null before any call was recorded
+   */
+  getStats(providerName, documentType) {
+    const window = this.windows.get(`${providerName}/${documentType}`) || [];
+    if (window.length === 0) {
+      return { samples: 0, p50Ms: null, p95Ms: null, errorRate: null, fallbackRate: null };
+    }
+
+    const durations = window.map(call => call.durationMs).sort((a, b) => a - b);
+    const rate = count => Math.round((count / window.length) * 10000) / 10000;
+    return {
+      samples: window.length,
+      p50Ms: percentile(durations, 50),
+      p95Ms: percentile(durations, 95),
+      errorRate: rate(window.filter(call => call.outcome === 'error').length),
+      fallbackRate: rate(window.filter(call => call.outcome !== 'success').length)
+    };
+  }
+
+  /**
+   * Forget every recorded call
+   */
+  reset() {
+    this.windows = new Map();
+  }
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+module.exports = new ProviderStats();
@@ -1,5 +1,42 @@
 const config = require('../config');
 const providerFactory = require('../providers');
+const DocxProvider = require('../providers/DocxProvider');
+const ProviderError = require('../providers/ProviderError');
+const pricingEngine = require('./PricingEngine');
+const CircuitBreaker = require('./CircuitBreaker');
+const documentClassifier = require('./DocumentClassifier');
+const ensembleMerger = require('./EnsembleMerger');
+const shadowComparator = require('./ShadowComparator');
+const providerStats = require('./ProviderStats');
+const extractionSchema = require('../schema');
+const { evaluateRule } = require('../config/routingRules');
+
+// Tried before routing on their own file types, so never ranked by cost
+const LOCAL_PROVIDERS = ['pdftext', 'docx'];
+
+// Refusals that stand for the whole request rather than one provider failing
+const ROUTING_ERRORS = ['ROUTING_REJECTED', 'CLIENT_POLICY', 'NO_CAPABLE_PROVIDER'];
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  initialDelayMs: 250,
+  maxDelayMs: 4000,
+  multiplier: 2,
+  jitter: 0.5
+};
+
+const DEFAULT_ADAPTIVE = {
+  enabled: false,
+  minSamples: 10,
+  weights: { cost: 1, latency: 1, reliability: 2 }
+};
+
+const DEFAULT_ENSEMBLE = {
+  enabled: false,
+  providers: [],
+  maxProviders: 2,
+  minProviders: 2
+};
 
 /**
  * Routing Engine
@@ -8,26 +45,75 @@ const providerFactory = require('../providers');
 class RoutingEngine {
   constructor() {
     this.fallbackEnabled = true;
+    this.features = ['text', 'tables', 'forms', 'handwriting'];
+    this.breakers = new Map();
+    this.shadowRuns = new Set();
+  }
+
+  /**
+   * Get the circuit breaker for a provider, creating it on first use
+   * Settings come from `circuitBreaker` in config.yaml, overridden by the
+   * provider's own `circuitBreaker` block.
+   * @param {string} providerName - Provider name
+   * @returns {CircuitBreaker}
+   */
+  getCircuitBreaker(providerName) {
+    if (!this.breakers.has(providerName)) {
+      this.breakers.set(providerName, new CircuitBreaker(providerName, {
+        ...config.get('circuitBreaker'),
+        ...config.getProviderConfig(providerName)?.circuitBreaker
+      }));
+    }
+    return this.breakers.get(providerName);
+  }
+
+  /**
+   * Get the circuit state of a provider
+   * @param {string} providerName - Provider name
+   * @returns {Object} Breaker state, see CircuitBreaker#getState
+   */
+  getCircuitState(providerName) {
+    return this.getCircuitBreaker(providerName).getState();
+  }
+
+  /**
+   * Close every circuit and drop recorded outcomes
+   */
+  resetCircuitBreakers() {
+    this.breakers.clear();
   }
 
   /**
    * Select the optimal provider for a document
+   * A client policy may replace the document type's routing list, and
+   * providers it forbids are never selected, not even as fallbacks.
    * @param {string} documentType - Type of document (invoice, receipt, form, etc.)
+   * @param {string} [clientId] - Client whose policy applies
    * @returns {Object} Selected provider and fallback list
+   * @throws {Error} CLIENT_POLICY when the policy leaves no provider
    */
-  selectProvider(documentType) {
+  selectProvider(documentType, clientId) {
+    const policy = config.getClientPolicy(clientId || 'default');
+    if (policy?.localOnly) {
+      throw policyError(policy, `Client ${policy.clientId} is limited to local processing, which cannot read this document`);
+    }
+
     // Get routing priority for document type
-    const providerPriority = config.getRoutingProviders(documentType);
+    const providerPriority = policy?.routing[documentType] || config.getRoutingProviders(documentType);
+    const allowed = p => !this.getPolicyViolation(clientId, p.getName());
     
     // Filter to enabled providers only
     const availableProviders = providerPriority
       .map(name => providerFactory.getProvider(name))
-      .filter(p => p && p.isEnabled());
+      .filter(p => p && p.isEnabled() && allowed(p));
 
     if (availableProviders.length === 0) {
       // Fallback to any enabled provider
-      const allEnabled = providerFactory.getEnabledProviders();
+      const allEnabled = providerFactory.getEnabledProviders().filter(allowed);
       if (allEnabled.length === 0) {
+        if (policy) {
+          throw policyError(policy, `No provider allowed for client ${policy.clientId} is available`);
+        }
         throw new Error('No providers available');
       }
       return {
@@ -40,107 +126,1574 @@ class RoutingEngine {
     return {
       provider: availableProviders[0],
       fallback: availableProviders.slice(1),
-      reason: 'primary'
+      reason: policy?.routing[documentType] ? 'client-policy' : 'primary'
+    };
+  }
+
+  /**
+   * Check a provider against a client's policy (`clientPolicies` in config.yaml)
+   * @param {string} clientId - Client identifier
+   * @param {string} providerName - Provider name
+   * @returns {string|null} Why the policy forbids the provider, or null
+   *   when it is allowed
+   */
+  getPolicyViolation(clientId, providerName) {
+    const policy = config.getClientPolicy(clientId || 'default');
+    if (!policy) return null;
+    if (policy.localOnly && !LOCAL_PROVIDERS.includes(providerName)) {
+      return `client ${policy.clientId} is limited to local processing`;
+    }
+    if (policy.deniedProviders.includes(providerName)) {
+      return `client ${policy.clientId} denies ${providerName}`;
+    }
+    if (policy.allowedProviders && !policy.allowedProviders.includes(providerName)) {
+      return `${providerName} is not among client ${policy.clientId}'s allowed providers`;
+    }
+    return null;
+  }
+
+  /**
+   * Reject a provider the client's policy forbids
+   * @private
+   * @throws {Error} CLIENT_POLICY
+   */
+  assertProviderAllowed(clientId, providerName) {
+    const violation = this.getPolicyViolation(clientId, providerName);
+    if (violation) {
+      throw policyError(config.getClientPolicy(clientId || 'default'), `Provider ${providerName} is not allowed: ${violation}`);
+    }
+  }
+
+  /**
+   * Select the cheapest provider that meets a request's requirements
+   * Capable providers are ranked by the cost `PricingEngine.calculateCost`
+   * gives for the client (per-page price and volume discount); ties keep
+   * the document type's routing order. The rest of the ranking is the
+   * fallback list. Providers the client's policy forbids are excluded.
+   * @param {Object} requirements - `{ features, languages }` needed by the request
+   * @param {string} documentType - Document type, used to break ties
+   * @param {Object} [options]
+   * @param {number} [options.pageCount] - Pages to price
+   * @param {string} [options.clientId] - Client whose discount applies
+   * @returns {Object} Selected provider, fallback list, ranking and exclusions
+   * @throws {Error} NO_CAPABLE_PROVIDER when no enabled provider qualifies
+   */
+  selectCheapestProvider(requirements, documentType, { pageCount = 1, clientId = 'default' } = {}) {
+    const priority = config.getRoutingProviders(documentType);
+    const order = name => (priority.includes(name) ? priority.indexOf(name) : priority.length);
+    const ranked = [];
+    const excluded = [];
+
+    for (const provider of providerFactory.getEnabledProviders()) {
+      const name = provider.getName();
+      if (LOCAL_PROVIDERS.includes(name)) continue;
+
+      const violation = this.getPolicyViolation(clientId, name);
+      if (violation) {
+        excluded.push({ provider: name, policy: violation });
+        continue;
+      }
+      const missing = provider.missingCapabilities(requirements);
+      if (missing.length > 0) {
+        excluded.push({ provider: name, missing });
+        continue;
+      }
+      const cost = pricingEngine.calculateCost(pageCount, name, clientId);
+      ranked.push({ provider, pricePerPage: cost.basePricePerPage, estimatedCost: cost.finalCost });
+    }
+
+    if (ranked.length === 0) {
+      const allowed = excluded.some(e => e.policy) ? ` and is allowed for client ${clientId}` : '';
+      const error = new Error(`No enabled provider supports ${formatRequirements(requirements)}${allowed}`);
+      error.code = 'NO_CAPABLE_PROVIDER';
+      error.excluded = excluded;
+      throw error;
+    }
+
+    ranked.sort((a, b) => a.estimatedCost - b.estimatedCost ||
+      order(a.provider.getName()) - order(b.provider.getName()));
+
+    return {
+      provider: ranked[0].provider,
+      fallback: ranked.slice(1).map(r => r.provider),
+      reason: 'cost',
+      ranking: ranked.map(({ provider, pricePerPage, estimatedCost }) => ({
+        provider: provider.getName(),
+        pricePerPage,
+        estimatedCost
+      })),
+      excluded
+    };
+  }
+
+  /**
+   * Find the first routing rule (`routingRules` in config.yaml) matching
+   * a request
+   * @param {Object} context - `{ mimeType, fileSize, pageCount, clientId, documentType, now }`
+   * @returns {Object|null} The compiled rule, or null when none matches
+   */
+  matchRoutingRule(context) {
+    return config.getRoutingRules().find(rule => evaluateRule(rule, context).matched) || null;
+  }
+
+  /**
+   * Match routing rules against a document
+   * @private
+   * @returns {Promise<Object|null>} The matching `route` rule, or null
+   * @throws {Error} ROUTING_REJECTED when a `reject` rule matches
+   */
+  async applyRoutingRules(documentBuffer, mimeType, documentType, options) {
+    if (config.getRoutingRules().length === 0) return null;
+
+    const rule = this.matchRoutingRule({
+      mimeType,
+      fileSize: documentBuffer.length,
+      pageCount: await this.countPages(documentBuffer, mimeType),
+      clientId: options.clientId,
+      documentType,
+      now: new Date()
+    });
+    if (rule?.action === 'reject') {
+      throw rejectionError(rule);
+    }
+    return rule;
+  }
+
+  /**
+   * Apply reject rules before the document type is known
+   * Rules are walked in order as matchRoutingRule would; a rule that
+   * only matches for some document types stops the walk, since whether
+   * it or a later rule applies depends on the classification.
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} mimeType - MIME type
+   * @param {Object} [options]
+   * @param {string} [options.clientId] - Client sending the document
+   * @throws {Error} ROUTING_REJECTED when a `reject` rule matches whatever
+   *   the document type turns out to be
+   */
+  async rejectBeforeClassification(documentBuffer, mimeType, options = {}) {
+    if (config.getRoutingRules().length === 0) return;
+
+    const context = {
+      mimeType,
+      fileSize: documentBuffer.length,
+      pageCount: await this.countPages(documentBuffer, mimeType),
+      clientId: options.clientId,
+      now: new Date()
+    };
+    for (const rule of config.getRoutingRules()) {
+      const results = Object.values(evaluateRule(rule, context).conditions);
+      if (results.includes(false)) continue;
+      if (results.includes(null)) return;
+      if (rule.action === 'reject') throw rejectionError(rule);
+      return;
+    }
+  }
+
+  /**
+   * Select the routed providers a rule names, in its order, minus those
+   * the client's policy forbids
+   * Local providers in the list have already run before routing.
+   * @private
+   */
+  selectRuleProviders(rule, clientId) {
+    const routed = rule.providers.filter(name => !LOCAL_PROVIDERS.includes(name));
+    const forbidden = routed.filter(name => this.getPolicyViolation(clientId, name));
+    const available = routed
+      .filter(name => !forbidden.includes(name))
+      .map(name => providerFactory.getProvider(name))
+      .filter(p => p && p.isEnabled());
+
+    if (available.length === 0) {
+      if (forbidden.length > 0) {
+        throw policyError(
+          config.getClientPolicy(clientId || 'default'),
+          `Routing rule ${rule.name} only leaves providers client ${clientId || 'default'} does not allow (${forbidden.join(', ')})`
+        );
+      }
+      throw new Error(`Routing rule ${rule.name}: no enabled provider to route to (${rule.providers.join(', ')})`);
+    }
+    return {
+      provider: available[0],
+      fallback: available.slice(1),
+      reason: 'rule',
+      rule: rule.name
     };
   }
 
   /**
    * Extract with automatic fallback on failure
+   * A share of requests may also be sent to the document type's shadow
+   * candidate in the background, see startShadow.
    * @param {Buffer} documentBuffer - Document file buffer
    * @param {string} fileName - Original file name
    * @param {string} mimeType - MIME type
    * @param {string} documentType - Document type hint
+   * @param {Object} [options] - Extraction options passed to providers
+   * @param {boolean} [options.includeGeometry] - Attach layout geometry
+   * @param {Object} [options.requirements] - `{ features, languages }`; routes
+   *   to the cheapest capable provider instead of the static list
+   * @param {string} [options.clientId] - Client whose discount prices the
+   *   ranking and whose policy limits the providers
    * @returns {Promise<Object>} Extraction result
+   * @throws {Error} ROUTING_REJECTED when a routing rule rejects the document,
+   *   CLIENT_POLICY when the client's policy leaves no provider
    */
-  async extractWithFallback(documentBuffer, fileName, mimeType, documentType) {
-    const selection = this.selectProvider(documentType);
-    let lastError = null;
-    
-    // Try primary provider first
+  async extractWithFallback(documentBuffer, fileName, mimeType, documentType, options = {}) {
+    const started = Date.now();
+    const result = await this.extractRouted(documentBuffer, fileName, mimeType, documentType, options);
+    this.startShadow(documentBuffer, fileName, mimeType, documentType, options, result, Date.now() - started);
+    return result;
+  }
+
+  /**
+   * Route an extraction: rules, local providers, then the routed list
+   * @private
+   */
+  async extractRouted(documentBuffer, fileName, mimeType, documentType, options) {
+    // A matching rule replaces the routing list; local providers only run if it names them
+    const routingRule = await this.applyRoutingRules(documentBuffer, mimeType, documentType, options);
+    options = { ...options, routingRule };
+    const allowsLocal = name => (!routingRule || routingRule.providers.includes(name)) &&
+      !this.getPolicyViolation(options.clientId, name);
+
+    if (mimeType === 'application/pdf' && allowsLocal('pdftext')) {
+      const textLayerResult = await this.extractWithTextLayer(
+        documentBuffer,
+        fileName,
+        mimeType,
+        documentType,
+        options
+      );
+      if (textLayerResult) {
+        return textLayerResult;
+      }
+    }
+
+    if (DocxProvider.mimeTypes.includes(mimeType) && allowsLocal('docx')) {
+      const wordResult = await this.extractWithLocalProvider(
+        'docx',
+        documentBuffer,
+        fileName,
+        mimeType,
+        options
+      );
+      if (wordResult) {
+        return wordResult;
+      }
+    }
+
+    return this.extractWithProviders(documentBuffer, fileName, mimeType, documentType, options);
+  }
+
+  /**
+   * Send a share of a document type's routed requests to its shadow
+   * candidate (`shadow.routes` in config.yaml) in the background
+   * The candidate runs once under its deadline, without retries or its
+   * circuit breaker. Its result is only compared with the served one and
+   * recorded by the shadow comparator: it is never returned or billed.
+   * Samples are skipped while `shadow.maxInFlight` calls are running, and
+   * never sent to a provider the client's policy forbids.
+   * @private
+   * @returns {Promise|null} The shadow run, or null when none was started
+   */
+  startShadow(documentBuffer, fileName, mimeType, documentType, options, served, servedMs) {
+    const route = shadowComparator.getRoute(documentType);
+    if (!route || Math.random() * 100 >= route.percentage) return null;
+
+    const candidate = providerFactory.getProvider(route.candidate);
+    if (!candidate?.isEnabled() || route.candidate === served._routing.provider) return null;
+    if (this.getPolicyViolation(options.clientId, route.candidate)) return null;
+    if (this.shadowRuns.size >= shadowComparator.getSettings().maxInFlight) {
+      console.warn(`Shadow sample for ${documentType} skipped: ${this.shadowRuns.size} shadow calls in flight`);
+      return null;
+    }
+
+    const run = this.runShadow(candidate, documentBuffer, fileName, mimeType, documentType, options, served, servedMs)
+      .catch(error => console.warn(`Shadow comparison for ${documentType} failed: ${error.message}`))
+      .finally(() => this.shadowRuns.delete(run));
+    this.shadowRuns.add(run);
+    return run;
+  }
+
+  /**
+   * Run the shadow candidate and record its comparison with the served result
+   * @private
+   */
+  async runShadow(candidate, documentBuffer, fileName, mimeType, documentType, options, served, servedMs) {
+    const clientId = options.clientId || 'default';
+    const sample = { documentType, candidate: candidate.getName(), servedBy: served._routing.provider };
+    const started = Date.now();
+
+    try {
+      const result = await this.runProvider(candidate, documentBuffer, fileName, mimeType, {
+        documentType,
+        includeGeometry: options.includeGeometry
+      });
+      sample.comparison = shadowComparator.compare(
+        { result: served, durationMs: servedMs, cost: this.getResultCost(served, clientId) },
+        {
+          result,
+          durationMs: Date.now() - started,
+          cost: pricingEngine.calculateCost(result.pages.length || 1, candidate.getName(), clientId).finalCost
+        }
+      );
+    } catch (error) {
+      console.warn(`Shadow provider ${candidate.getName()} failed: ${error.message}`);
+      sample.error = error.message;
+    }
+    shadowComparator.record(sample);
+  }
+
+  /**
+   * Wait for the shadow calls in flight, e.g. before shutting down
+   * @returns {Promise<void>}
+   */
+  async waitForShadows() {
+    await Promise.all([...this.shadowRuns]);
+  }
+
+  /**
+   * What a routed result costs the client, split when several providers
+   * produced it
+   * @private
+   */
+  getResultCost(result, clientId) {
+    const { pagesByProvider, provider } = result._routing;
+    return pagesByProvider
+      ? pricingEngine.calculateSplitCost(pagesByProvider, clientId).finalCost
+      : pricingEngine.calculateCost(result.pages.length || 1, provider, clientId).finalCost;
+  }
+
+  /**
+   * Extract with one explicitly chosen provider, without fallback
+   * @param {ProviderInterface} provider - Provider to use
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @param {string} documentType - Document type hint
+   * @param {Object} [options] - Extraction options passed to the provider
+   * @returns {Promise<Object>} Extraction result
+   * @throws {Error} CLIENT_POLICY when the client's policy forbids the
+   *   provider, ROUTING_REJECTED when a routing rule rejects the document
+   */
+  async extractWithProvider(provider, documentBuffer, fileName, mimeType, documentType, options = {}) {
+    this.assertProviderAllowed(options.clientId, provider.getName());
+    await this.applyRoutingRules(documentBuffer, mimeType, documentType, options);
+    const attempts = [];
+    const { result, attempt, durationMs } = await this.runWithRetries(
+      provider, null, documentBuffer, fileName, mimeType, { ...options, documentType }, attempts
+    );
+    attempts.push({ provider: provider.getName(), attempt, status: 'success', durationMs });
+    return {
+      ...result,
+      _routing: {
+        provider: provider.getName(),
+        reason: 'forced',
+        fallbackUsed: false,
+        attempts,
+        totalAttempts: attempts.length
+      }
+    };
+  }
+
+  /**
+   * Extract with several providers in parallel and merge their results
+   * Providers are the ensemble's `providers` list, or else the routed
+   * candidates (a matching routing rule's list, or cost-ranked when
+   * `options.requirements` is set), up to
+   * `maxProviders` whose circuit allows a call. Each runs with retries;
+   * at least `minProviders` must succeed. Local text layer and Word
+   * parsing are not used. Every successful provider is billed, so
+   * `_routing.pagesByProvider` lists them all.
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @param {string} documentType - Document type hint
+   * @param {Object} [options] - Extraction options passed to providers
+   * @param {Object} [options.ensemble] - Overrides for the document type's
+   *   `ensemble` settings
+   * @returns {Promise<Object>} Merged result, with `_ensemble` holding the
+   *   base provider, per-field provenance and disagreements
+   * @throws {Error} ROUTING_REJECTED when a routing rule rejects the document,
+   *   CLIENT_POLICY when the request lists a provider the client's policy forbids,
+   *   SCHEMA_VIOLATION when the merged result does not match the schema
+   */
+  async extractWithEnsemble(documentBuffer, fileName, mimeType, documentType, options = {}) {
+    const settings = this.getEnsembleSettings(documentType, options.ensemble);
+    const routingRule = await this.applyRoutingRules(documentBuffer, mimeType, documentType, options);
+    const extractOptions = { ...options, documentType, ...(routingRule?.model && { model: routingRule.model }) };
+    const pageCount = options.requirements ? await this.countPages(documentBuffer, mimeType) : 1;
+    const candidates = this.getEnsembleCandidates(documentType, settings, { ...options, routingRule }, pageCount);
+    const attempts = [];
+    const chosen = [];
+
+    for (const provider of candidates) {
+      if (chosen.length >= settings.maxProviders) break;
+      if (!this.getCircuitBreaker(provider.getName()).allowRequest()) {
+        console.warn(`Skipping provider ${provider.getName()}: circuit open`);
+        attempts.push({ provider: provider.getName(), attempt: 0, status: 'circuit-open' });
+        continue;
+      }
+      chosen.push(provider);
+    }
+    if (chosen.length === 0) {
+      throw new Error(`All providers unavailable: circuit open for ${candidates.map(p => p.getName()).join(', ')}`);
+    }
+
+    const failed = [];
+    const runs = await Promise.all(chosen.map(async provider => {
+      const name = provider.getName();
+      const started = Date.now();
+      try {
+        const run = await this.runWithRetries(
+          provider, this.getCircuitBreaker(name), documentBuffer, fileName, mimeType, extractOptions, attempts
+        );
+        providerStats.record(name, documentType, { durationMs: Date.now() - started, outcome: 'success' });
+        attempts.push({
+          provider: name,
+          attempt: run.attempt,
+          status: 'success',
+          durationMs: run.durationMs,
+          confidence: run.result.confidence?.overall ?? null
+        });
+        return { provider, result: run.result };
+      } catch (error) {
+        console.warn(`Ensemble provider ${name} failed: ${error.message}`);
+        providerStats.record(name, documentType, { durationMs: Date.now() - started, outcome: 'error' });
+        failed.push({ provider: name, error: error.message });
+        return null;
+      }
+    }));
+    const succeeded = runs.filter(Boolean);
+
+    if (succeeded.length < settings.minProviders) {
+      const reasons = failed.map(f => `${f.provider}: ${f.error}`).join('; ');
+      throw new Error(
+        `Ensemble needs ${settings.minProviders} successful providers, got ${succeeded.length}` +
+        (reasons ? `. Failures: ${reasons}` : '')
+      );
+    }
+
+    const merged = ensembleMerger.merge(succeeded);
+    extractionSchema.assertValid(merged.result, succeeded.map(run => run.provider.getName()));
+    return {
+      ...merged.result,
+      _routing: {
+        provider: merged.base,
+        reason: 'ensemble',
+        fallbackUsed: false,
+        attempts,
+        totalAttempts: attempts.filter(a => a.status !== 'circuit-open').length,
+        pagesByProvider: Object.fromEntries(succeeded.map(({ provider, result }) =>
+          [provider.getName(), result.pages.length || 1]))
+      },
+      _ensemble: {
+        providers: succeeded.map(run => run.provider.getName()),
+        base: merged.base,
+        failed,
+        provenance: merged.provenance,
+        disagreements: merged.disagreements
+      }
+    };
+  }
+
+  /**
+   * Ensemble settings for a document type: defaults, then
+   * `ensemble.default`, then the type's own block, then request overrides
+   * @param {string} documentType - Document type
+   * @param {Object} [overrides] - Per-request settings
+   * @returns {Object} `{ enabled, providers, maxProviders, minProviders }`
+   */
+  getEnsembleSettings(documentType, overrides = {}) {
+    const ensemble = config.get('ensemble') || {};
+    const settings = {
+      ...DEFAULT_ENSEMBLE,
+      ...ensemble.default,
+      ...ensemble[documentType],
+      ...overrides
+    };
+    // A listed ensemble runs every listed provider unless capped explicitly
+    if (overrides.providers?.length && overrides.maxProviders === undefined) {
+      settings.maxProviders = overrides.providers.length;
+    }
+    return settings;
+  }
+
+  /**
+   * Providers an ensemble may use, in order of preference
+   * @private
+   */
+  getEnsembleCandidates(documentType, settings, options, pageCount) {
+    // Providers the request lists must all be allowed; configured ones are filtered
+    for (const name of options.ensemble?.providers || []) {
+      this.assertProviderAllowed(options.clientId, name);
+    }
+    if (settings.providers?.length) {
+      return settings.providers
+        .map(name => providerFactory.getProvider(name))
+        .filter(p => p && p.isEnabled() && this.meetsRequirements(p, options) &&
+          !this.getPolicyViolation(options.clientId, p.getName()));
+    }
+    const selection = this.planRoutedProviders(documentType, options, pageCount);
+    return [selection.provider, ...selection.fallback];
+  }
+
+  /**
+   * Run a provider under its deadline and check the result against the
+   * canonical schema
+   * The call is abandoned after the provider's `timeout`, and the abort
+   * signal passed in `options.signal` lets the adapter cancel its upstream
+   * request. A non-conforming result fails like any other provider error.
+   * @private
+   */
+  async runProvider(provider, documentBuffer, fileName, mimeType, options) {
+    const timeout = provider.getTimeout();
+    const controller = new AbortController();
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new ProviderError(`Provider ${provider.getName()} timed out after ${timeout}ms`, {
+          provider: provider.getName(),
+          code: 'TIMEOUT',
+          retryable: true
+        });
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
     try {
-      const result = await selection.provider.extract(documentBuffer, fileName, mimeType);
+      const result = await Promise.race([
+        provider.extract(documentBuffer, fileName, mimeType, { ...options, signal: controller.signal }),
+        deadline
+      ]);
+      return extractionSchema.assertValid(result, provider.getName());
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a provider, retrying retryable failures with exponential backoff
+   * and jitter (`retry` in config.yaml, overridable per provider). Each
+   * failed try is appended to `attempts`; retries stop early once the
+   * provider's circuit stops allowing calls.
+   * @private
+   * @returns {Promise<Object>} `{ result, attempt, durationMs }` of the successful try
+   * @throws The last error once retries are exhausted or the error is terminal
+   */
+  async runWithRetries(provider, breaker, documentBuffer, fileName, mimeType, options, attempts) {
+    const name = provider.getName();
+    const retry = this.getRetrySettings(name);
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+      try {
+        const result = await this.runProvider(provider, documentBuffer, fileName, mimeType, options);
+        breaker?.recordSuccess();
+        return { result, attempt, durationMs: Date.now() - started };
+      } catch (error) {
+        this.recordError(breaker, error);
+        const retryable = isRetryable(error);
+        const entry = {
+          provider: name,
+          attempt,
+          status: 'error',
+          durationMs: Date.now() - started,
+          error: error.message,
+          retryable
+        };
+        attempts.push(entry);
+
+        if (!retryable || attempt >= retry.maxAttempts || (breaker && !breaker.allowRequest())) {
+          throw error;
+        }
+        entry.backoffMs = this.getBackoffDelay(retry, attempt);
+        console.warn(`Provider ${name} attempt ${attempt} failed, retrying in ${entry.backoffMs}ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, entry.backoffMs));
+      }
+    }
+  }
+
+  /**
+   * Record a failed call on a provider's circuit
+   * Only provider-side failures count against the circuit; a terminal
+   * error the request caused means the provider answered, so one
+   * client's bad uploads cannot open the circuit for every client.
+   * @private
+   */
+  recordError(breaker, error) {
+    if (!breaker) return;
+    if (isProviderFailure(error)) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
+    }
+  }
+
+  /**
+   * Retry settings for a provider: defaults, then `retry`, then the
+   * provider's own `retry` block
+   * @param {string} providerName - Provider name
+   * @returns {Object}
+   */
+  getRetrySettings(providerName) {
+    return {
+      ...DEFAULT_RETRY,
+      ...config.get('retry'),
+      ...config.getProviderConfig(providerName)?.retry
+    };
+  }
+
+  /**
+   * Backoff before the next try: exponential, capped, minus random jitter
+   * @private
+   */
+  getBackoffDelay(retry, attempt) {
+    const delay = Math.min(retry.maxDelayMs, retry.initialDelayMs * retry.multiplier ** (attempt - 1));
+    return Math.round(delay * (1 - retry.jitter * Math.random()));
+  }
+
+  /**
+   * Check a provider against the request's requirements, if any
+   * @private
+   */
+  meetsRequirements(provider, options) {
+    return !options.requirements || provider.missingCapabilities(options.requirements).length === 0;
+  }
+
+  /**
+   * Try a local provider before the routed list
+   * @private
+   * @returns {Promise<Object|null>} Result, or null to continue with routing
+   */
+  async extractWithLocalProvider(providerName, documentBuffer, fileName, mimeType, options = {}) {
+    const provider = providerFactory.getProvider(providerName);
+    if (!provider || !provider.isEnabled() || !this.meetsRequirements(provider, options)) {
+      return null;
+    }
+
+    try {
+      const result = await this.runProvider(provider, documentBuffer, fileName, mimeType, options);
       return {
         ...result,
         _routing: {
-          provider: selection.provider.getName(),
-          reason: selection.reason,
+          provider: provider.getName(),
+          reason: 'local',
           fallbackUsed: false
         }
       };
     } catch (error) {
-      console.warn(`Primary provider ${selection.provider.getName()} failed: ${error.message}`);
-      lastError = error;
+      console.warn(`Local provider ${providerName} failed, using routed providers: ${error.message}`);
+      return null;
     }
+  }
+
+  /**
+   * Extract with the routed provider list, falling back on failure
+   * A result below the document type's minimum confidence also moves on
+   * to the next provider; if none reaches it, the most confident result
+   * is returned. Providers whose circuit is open are skipped, and each
+   * provider is retried on retryable errors before moving on. Every try
+   * is recorded in `_routing.attempts`, and each provider's outcome in
+   * the rolling provider stats.
+   * @private
+   */
+  async extractWithProviders(documentBuffer, fileName, mimeType, documentType, options = {}) {
+    const selection = await this.selectRoutedProviders(documentBuffer, mimeType, documentType, options);
+    const extractOptions = {
+      ...options,
+      documentType,
+      ...(options.routingRule?.model && { model: options.routingRule.model })
+    };
+    const minConfidence = config.getMinConfidence(documentType);
+    const candidates = [selection.provider, ...selection.fallback];
+    const attempts = [];
+    let best = null;
+    let lastError = null;
 
-    // Try fallback providers
-    for (const fallbackProvider of selection.fallback) {
+    for (const [index, provider] of candidates.entries()) {
+      const name = provider.getName();
+      const breaker = this.getCircuitBreaker(name);
+      if (!breaker.allowRequest()) {
+        console.warn(`Skipping provider ${name}: circuit open`);
+        attempts.push({ provider: name, attempt: 0, status: 'circuit-open' });
+        continue;
+      }
+      if (index > 0) {
+        console.log(`Trying fallback provider: ${name}`);
+      }
+
+      let run;
+      const started = Date.now();
       try {
-        console.log(`Trying fallback provider: ${fallbackProvider.getName()}`);
-        const result = await fallbackProvider.extract(documentBuffer, fileName, mimeType);
-        return {
-          ...result,
-          _routing: {
-            provider: fallbackProvider.getName(),
-            reason: 'fallback',
-            originalProvider: selection.provider.getName(),
-            fallbackUsed: true
-          }
-        };
+        run = await this.runWithRetries(provider, breaker, documentBuffer, fileName, mimeType, extractOptions, attempts);
       } catch (error) {
-        console.warn(`Fallback provider ${fallbackProvider.getName()} failed: ${error.message}`);
+        console.warn(`${index === 0 ? 'Primary' : 'Fallback'} provider ${name} failed: ${error.message}`);
+        providerStats.record(name, documentType, { durationMs: Date.now() - started, outcome: 'error' });
         lastError = error;
+        continue;
+      }
+
+      const { result } = run;
+      const confidence = result.confidence?.overall ?? null;
+      const acceptable = confidence === null || confidence >= minConfidence;
+      providerStats.record(name, documentType, {
+        durationMs: Date.now() - started,
+        outcome: acceptable ? 'success' : 'low-confidence'
+      });
+      attempts.push({
+        provider: name,
+        attempt: run.attempt,
+        status: acceptable ? 'success' : 'low-confidence',
+        durationMs: run.durationMs,
+        confidence
+      });
+
+      if (!best || (confidence ?? 0) > (best.result.confidence?.overall ?? 0)) {
+        best = { result, provider, index };
+      }
+      if (acceptable) {
+        best = { result, provider, index };
+        break;
+      }
+      console.warn(`Provider ${name} confidence ${confidence} below minimum ${minConfidence} for ${documentType}`);
+    }
+
+    if (!best) {
+      if (!lastError) {
+        throw new Error(`All providers unavailable: circuit open for ${candidates.map(p => p.getName()).join(', ')}`);
+      }
+      // All providers failed
+      throw new Error(`All providers failed. Last error: ${lastError.message}`);
+    }
+
+    const lowConfidence = attempts.some(a => a.status === 'low-confidence');
+    let reason = selection.reason;
+    if (best.index > 0) {
+      reason = lowConfidence ? 'low-confidence-fallback' : 'fallback';
+    }
+
+    return {
+      ...best.result,
+      _routing: {
+        provider: best.provider.getName(),
+        reason,
+        ...(best.index > 0 && { originalProvider: selection.provider.getName() }),
+        ...(selection.rule && { rule: selection.rule }),
+        fallbackUsed: best.index > 0,
+        minConfidence,
+        belowMinConfidence: (best.result.confidence?.overall ?? minConfidence) < minConfidence,
+        attempts,
+        totalAttempts: attempts.filter(a => a.status !== 'circuit-open').length,
+        ...(selection.ranking && {
+          requirements: options.requirements,
+          ranking: selection.ranking,
+          excluded: selection.excluded
+        }),
+        ...(selection.adaptive && { adaptive: selection.adaptive })
+      }
+    };
+  }
+
+  /**
+   * Select the routed providers: a matching rule's list, the cheapest
+   * capable providers when the request has requirements, or the document
+   * type's routing list. In adaptive mode the latter two are reordered
+   * by observed behavior.
+   * @private
+   */
+  async selectRoutedProviders(documentBuffer, mimeType, documentType, options) {
+    const pageCount = options.requirements && !options.routingRule
+      ? await this.countPages(documentBuffer, mimeType)
+      : 1;
+    return this.planRoutedProviders(documentType, options, pageCount);
+  }
+
+  /**
+   * Select the routed providers once the page count is known
+   * @private
+   */
+  planRoutedProviders(documentType, options, pageCount) {
+    if (options.routingRule) {
+      return this.selectRuleProviders(options.routingRule, options.clientId);
+    }
+    const selection = options.requirements
+      ? this.selectCheapestProvider(options.requirements, documentType, {
+        pageCount,
+        clientId: options.clientId
+      })
+      : this.selectProvider(documentType, options.clientId);
+    if (!this.isAdaptive(options)) {
+      return selection;
+    }
+
+    const { providers, ...adaptive } = this.rankAdaptively([selection.provider, ...selection.fallback], documentType);
+    return {
+      ...selection,
+      provider: providers[0],
+      fallback: providers.slice(1),
+      ...(adaptive.applied && { reason: 'adaptive' }),
+      adaptive
+    };
+  }
+
+  /**
+   * Whether a request is routed adaptively: `routingMode=adaptive`, or
+   * `adaptiveRouting.enabled` unless another mode was asked for
+   * @private
+   */
+  isAdaptive(options) {
+    return options.routingMode
+      ? options.routingMode === 'adaptive'
+      : this.getAdaptiveSettings().enabled;
+  }
+
+  /**
+   * Adaptive routing settings: defaults overridden by `adaptiveRouting`
+   * @returns {Object} `{ enabled, minSamples, weights }`
+   */
+  getAdaptiveSettings() {
+    const settings = config.get('adaptiveRouting') || {};
+    return {
+      ...DEFAULT_ADAPTIVE,
+      ...settings,
+      weights: { ...DEFAULT_ADAPTIVE.weights, ...settings.weights }
+    };
+  }
+
+  /**
+   * Reorder candidates by observed behavior for a document type
+   * Each provider with at least `minSamples` recorded calls is scored
+   * 0-1 on cost (cheapest price over its price), latency (lowest p95 over
+   * its p95) and reliability (1 - fallback rate), weighted by
+   * `adaptiveRouting.weights`. Scored providers are sorted among their
+   * own positions; providers without enough data keep theirs.
+   * @param {Array<ProviderInterface>} providers - Candidates in configured order
+   * @param {string} documentType - Document type
+   * @returns {Object} `{ providers, applied, reason, ranking }`
+   */
+  rankAdaptively(providers, documentType) {
+    const { minSamples, weights } = this.getAdaptiveSettings();
+    const entries = providers.map((provider, index) => ({
+      provider,
+      index,
+      pricePerPage: provider.getPricePerPage(),
+      stats: providerStats.getStats(provider.getName(), documentType)
+    }));
+    const scored = entries.filter(e => e.stats.samples >= minSamples);
+    const totalWeight = weights.cost + weights.latency + weights.reliability;
+    const describe = order => order.map((e, position) => ({
+      provider: e.provider.getName(),
+      position: position + 1,
+      configuredPosition: e.index + 1,
+      ...(e.score !== undefined && { score: e.score, scores: e.scores }),
+      pricePerPage: e.pricePerPage,
+      stats: e.stats
+    }));
+
+    if (scored.length < 2 || !(totalWeight > 0)) {
+      return {
+        providers,
+        applied: false,
+        reason: totalWeight > 0
+          ? `Configured order kept: ${scored.length} of ${providers.length} providers have ${minSamples}+ calls for ${documentType}`
+          : 'Configured order kept: adaptiveRouting weights are all zero',
+        ranking: describe(entries)
+      };
+    }
+
+    const cheapest = Math.min(...scored.map(e => e.pricePerPage));
+    const fastest = Math.min(...scored.map(e => e.stats.p95Ms));
+    for (const e of scored) {
+      e.scores = {
+        cost: round(e.pricePerPage > 0 ? cheapest / e.pricePerPage : 1),
+        latency: round(e.stats.p95Ms > 0 ? fastest / e.stats.p95Ms : 1),
+        reliability: round(1 - e.stats.fallbackRate)
+      };
+      e.score = round((weights.cost * e.scores.cost +
+        weights.latency * e.scores.latency +
+        weights.reliability * e.scores.reliability) / totalWeight);
+    }
+
+    const slots = scored.map(e => e.index);
+    const byScore = [...scored].sort((a, b) => b.score - a.score || a.index - b.index);
+    const order = [...entries];
+    slots.forEach((slot, i) => {
+      order[slot] = byScore[i];
+    });
+
+    const changed = order.some((e, position) => e.index !== position);
+    return {
+      providers: order.map(e => e.provider),
+      applied: changed,
+      reason: changed
+        ? `Reordered by score: ${byScore.map(e => `${e.provider.getName()} ${e.score}`).join(' > ')}`
+        : 'Configured order kept: it already matches the scores',
+      ranking: describe(order)
+    };
+  }
+
+  /**
+   * Count pages for cost estimates; anything but a readable PDF is one page
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} mimeType - MIME type
+   * @returns {Promise<number>}
+   */
+  async countPages(documentBuffer, mimeType) {
+    if (mimeType !== 'application/pdf') return 1;
+    try {
+      const { PDFDocument } = require('pdf-lib');
+      const doc = await PDFDocument.load(documentBuffer, { ignoreEncryption: true, updateMetadata: false });
+      return doc.getPageCount();
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * Read a PDF from its text layer, sending only scanned pages to OCR
+   * When OCR of the scanned pages fails, the text layer pages are still
+   * returned, marked `_routing.partial` with the `missingPages`.
+   * @param {Buffer} documentBuffer - PDF file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @param {string} documentType - Document type hint
+   * @param {Object} [options] - Extraction options passed to providers
+   * @returns {Promise<Object|null>} Extraction result, or null when the
+   *   text layer provider is unavailable or the PDF has no text layer
+   */
+  async extractWithTextLayer(documentBuffer, fileName, mimeType, documentType, options = {}) {
+    const textProvider = providerFactory.getProvider('pdftext');
+    if (!textProvider || !textProvider.isEnabled() || !this.meetsRequirements(textProvider, options)) {
+      return null;
+    }
+
+    let textResult;
+    try {
+      textResult = await this.runProvider(textProvider, documentBuffer, fileName, mimeType, options);
+    } catch (error) {
+      console.warn(`Text layer extraction failed, using OCR providers: ${error.message}`);
+      return null;
+    }
+
+    const { textLayer, scannedPages } = textResult.metadata;
+    if (textLayer === 'none') {
+      return null;
+    }
+
+    if (textLayer === 'full') {
+      return {
+        ...textResult,
+        _routing: {
+          provider: textProvider.getName(),
+          reason: 'text-layer',
+          fallbackUsed: false
+        }
+      };
+    }
+
+    // Mixed document: OCR only the scanned pages and splice them back in
+    const scannedBuffer = await textProvider.extractPages(documentBuffer, scannedPages);
+    try {
+      const ocrResult = await this.extractWithProviders(scannedBuffer, fileName, mimeType, documentType, options);
+      return this.mergeTextLayerResult(textProvider, textResult, ocrResult, scannedPages);
+    } catch (error) {
+      if (ROUTING_ERRORS.includes(error.code)) throw error;
+      console.warn(`OCR of scanned pages ${scannedPages.join(', ')} failed, returning text layer pages only: ${error.message}`);
+      return this.partialTextLayerResult(textProvider, textResult, scannedPages, error);
+    }
+  }
+
+  /**
+   * Merge text layer pages with OCR results for the scanned pages
+   * OCR pages are numbered by position, so the OCR provider must return
+   * exactly one page per scanned page. The merged result is checked
+   * against the schema like provider output.
+   * @private
+   * @throws {ProviderError} PAGE_COUNT_MISMATCH when the page counts differ
+   */
+  mergeTextLayerResult(textProvider, textResult, ocrResult, scannedPages) {
+    const ocrProvider = ocrResult._routing.provider;
+    const returned = ocrResult.pages || [];
+    if (returned.length !== scannedPages.length) {
+      throw new ProviderError(
+        `Provider ${ocrProvider} returned ${returned.length} pages for ${scannedPages.length} scanned pages`,
+        { provider: ocrProvider, code: 'PAGE_COUNT_MISMATCH', retryable: false }
+      );
+    }
+
+    const textPages = textResult.pages.filter(p => !scannedPages.includes(p.pageNumber));
+    const ocrPages = returned.map((page, i) => ({ ...page, pageNumber: scannedPages[i] }));
+    const pages = [...textPages, ...ocrPages].sort((a, b) => a.pageNumber - b.pageNumber);
+
+    const merged = {
+      ...ocrResult,
+      text: pages.map(p => p.text).join('\n\n'),
+      pages,
+      confidence: textProvider.summarizeConfidence(pages, ocrResult.forms),
+      metadata: {
+        ...ocrResult.metadata,
+        pageCount: pages.length,
+        textLayer: 'partial',
+        scannedPages
+      },
+      _routing: {
+        ...ocrResult._routing,
+        reason: 'text-layer-with-ocr',
+        textLayerPages: textPages.map(p => p.pageNumber),
+        ocrPages: scannedPages,
+        pagesByProvider: {
+          [textResult.metadata.provider]: textPages.length,
+          [ocrProvider]: ocrPages.length
+        }
+      }
+    };
+    return extractionSchema.assertValid(merged, [textResult.metadata.provider, ocrProvider]);
+  }
+
+  /**
+   * Text layer pages of a mixed PDF whose scanned pages could not be read
+   * @private
+   */
+  partialTextLayerResult(textProvider, textResult, scannedPages, error) {
+    const pages = textResult.pages.filter(p => !scannedPages.includes(p.pageNumber));
+    return {
+      ...textResult,
+      text: pages.map(p => p.text).join('\n\n'),
+      pages,
+      confidence: textProvider.summarizeConfidence(pages, textResult.forms),
+      metadata: {
+        ...textResult.metadata,
+        pageCount: pages.length,
+        missingPages: scannedPages
+      },
+      _routing: {
+        provider: textProvider.getName(),
+        reason: 'text-layer-partial',
+        fallbackUsed: false,
+        partial: true,
+        textLayerPages: pages.map(p => p.pageNumber),
+        missingPages: scannedPages,
+        error: error.message
+      }
+    };
+  }
+
+  /**
+   * Classify a document from a cheap first-pass extraction
+   * PDFs are read from their text layer and Word files locally. Scanned
+   * PDFs and images can send their first `classification.firstPass.maxPages`
+   * pages to the provider named in `firstPass.provider`, or the cheapest
+   * text-capable one (`cheapest`); the default, `none`, keeps
+   * classification local. A provider's first pass is billed with the
+   * extraction, so it is reported in `firstPass`. Without a first pass
+   * only the file name is classified; local or first-pass failures are
+   * listed in `signals` with a weight of 0.
+   * @param {Buffer} documentBuffer - Document file buffer
+   * @param {string} fileName - Original file name
+   * @param {string} mimeType - MIME type
+   * @param {Object} [options]
+   * @param {string} [options.clientId] - Client whose discount prices the
+   *   provider choice; providers its policy forbids are not used
+   * @returns {Promise<Object>} `{ type, confidence, signals, scores, source }`,
+   *   plus `firstPass` when a provider was called
+   */
+  async classifyDocument(documentBuffer, fileName, mimeType, options = {}) {
+    const failures = [];
+    let firstPass = null;
+    try {
+      firstPass = await this.extractForClassification(documentBuffer, fileName, mimeType, options, failures);
+    } catch (error) {
+      console.warn(`First-pass extraction for classification failed: ${error.message}`);
+      failures.push({ source: 'first-pass', ...(error.provider && { provider: error.provider }), error: error.message });
+    }
+
+    const classification = documentClassifier.classify({
+      fileName,
+      text: firstPass?.result.text,
+      tables: firstPass?.result.tables,
+      forms: firstPass?.result.forms,
+      pageCount: firstPass?.pageCount
+    });
+
+    return {
+      ...classification,
+      signals: [
+        ...classification.signals,
+        ...failures.map(({ source, ...failure }) => ({ rule: source, signal: 'failed', weight: 0, ...failure }))
+      ],
+      source: firstPass?.source || 'file-name',
+      ...(firstPass?.provider && {
+        firstPass: { provider: firstPass.provider, pages: firstPass.pages }
+      })
+    };
+  }
+
+  /**
+   * Run the first-pass extraction used for classification
+   * A failing text layer read is added to `failures`, and the document
+   * goes on to the provider first pass like a scanned one.
+   * @private
+   * @returns {Promise<Object|null>} `{ result, source, pageCount }`, plus
+   *   `provider` and `pages` when a provider was called; null when none ran
+   */
+  async extractForClassification(documentBuffer, fileName, mimeType, options, failures) {
+    const pageCount = await this.countPages(documentBuffer, mimeType);
+    const textProvider = providerFactory.getProvider('pdftext');
+    let ocrBuffer = documentBuffer;
+    let ocrPages = 1;
+
+    const allowed = provider => provider?.isEnabled() && !this.getPolicyViolation(options.clientId, provider.getName());
+
+    if (mimeType === 'application/pdf' && allowed(textProvider)) {
+      try {
+        const result = await this.runProvider(textProvider, documentBuffer, fileName, mimeType, {});
+        if (result.metadata.textLayer !== 'none') {
+          return { result, source: 'text-layer', pageCount };
+        }
+      } catch (error) {
+        console.warn(`Text layer read for classification failed: ${error.message}`);
+        failures.push({ source: 'text-layer', provider: textProvider.getName(), error: error.message });
+      }
+    }
+
+    if (DocxProvider.mimeTypes.includes(mimeType)) {
+      const wordProvider = providerFactory.getProvider('docx');
+      if (!allowed(wordProvider)) return null;
+      const result = await this.runProvider(wordProvider, documentBuffer, fileName, mimeType, {});
+      return { result, source: 'docx', pageCount: result.pages.length };
+    }
+
+    const { provider: choice, maxPages } = documentClassifier.settings.firstPass;
+    if (choice === 'none') return null;
+
+    if (mimeType === 'application/pdf' && pageCount > maxPages && textProvider) {
+      ocrPages = maxPages;
+      ocrBuffer = await textProvider.extractPages(documentBuffer, Array.from({ length: maxPages }, (_, i) => i + 1));
+    } else {
+      ocrPages = pageCount;
+    }
+
+    let provider;
+    if (choice === 'cheapest') {
+      try {
+        provider = this.selectCheapestProvider({ features: ['text'] }, 'generic', {
+          pageCount: ocrPages,
+          clientId: options.clientId
+        }).provider;
+      } catch (error) {
+        if (error.code !== 'NO_CAPABLE_PROVIDER') throw error;
+        return null;
       }
+    } else {
+      provider = providerFactory.getProvider(choice);
+      if (!allowed(provider)) return null;
     }
 
-    // All providers failed
-    throw new Error(`All providers failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    const breaker = this.getCircuitBreaker(provider.getName());
+    if (!breaker.allowRequest()) return null;
+    let result;
+    try {
+      result = await this.runProvider(provider, ocrBuffer, fileName, mimeType, { documentType: 'generic' });
+      breaker.recordSuccess();
+    } catch (error) {
+      this.recordError(breaker, error);
+      throw error;
+    }
+    return { result, source: 'first-pass', pageCount, provider: provider.getName(), pages: ocrPages };
   }
 
   /**
-   * Detect document type from filename or content analysis
+   * Detect document type from the file name alone
+   * Matches whole file name tokens, so e.g. "video.pdf" is not an ID.
    * @param {string} fileName - Original filename
    * @param {string} mimeType - MIME type
    * @returns {string} Detected document type
    */
   detectDocumentType(fileName, mimeType) {
-    const lowerName = fileName.toLowerCase();
-    
-    // Check filename patterns
-    if (lowerName.includes('invoice') || lowerName.includes('inv-') || lowerName.includes('bill')) {
-      return 'invoice';
+    return documentClassifier.classify({ fileName }).type;
+  }
+
+  /**
+   * Explain how a request would be routed, without calling any provider
+   * Follows the steps of an extraction: document type, routing rules,
+   * client policy, then the forced provider, the ensemble, or local
+   * providers followed by the routed list (cost ranking and adaptive
+   * ordering included). Circuits are read, not probed. Without a document
+   * type, the type is detected from the file name only; the content pass
+   * an extraction would add is described in `classification.contentPass`
+   * (a forced provider skips it).
+   * @param {Object} request
+   * @param {string} [request.fileName] - File name
+   * @param {string} [request.mimeType] - MIME type
+   * @param {number} [request.fileSize] - Size in bytes
+   * @param {number} [request.pageCount] - Pages; costs assume 1 when unknown
+   * @param {string} [request.documentType] - Document type given by the request
+   * @param {string} [request.clientId] - Client whose policy and discount apply
+   * @param {string} [request.forceProvider] - Provider forced by the request
+   * @param {Date} [request.now] - Time to evaluate routing rules at
+   * @param {Object} [request.options] - `requirements`, `routingMode` and
+   *   `ensemble`, as for an extraction
+   * @returns {Object} `{ documentType, classification, mode, rule, rules,
+   *   candidates, plan, trace }`, plus `rejected` when the request would fail
+   */
+  explainRouting(request) {
+    const clientId = request.clientId || 'default';
+    const options = { ...request.options, clientId };
+    const pageCount = request.pageCount ?? null;
+    const pages = pageCount || 1;
+    const trace = [];
+
+    let classification;
+    if (request.documentType) {
+      classification = { type: request.documentType, source: 'request' };
+      trace.push(`Document type ${request.documentType} given by the request`);
+    } else if (request.forceProvider) {
+      classification = { ...documentClassifier.classify({ fileName: request.fileName }), source: 'file-name' };
+      trace.push(`Document type ${classification.type} detected from the file name ` +
+        `(confidence ${classification.confidence}); a forced provider skips content classification`);
+    } else {
+      classification = {
+        ...documentClassifier.classify({ fileName: request.fileName }),
+        source: 'file-name',
+        contentPass: this.describeClassificationPass(request.mimeType, pages, clientId)
+      };
+      trace.push(`Document type ${classification.type} detected from the file name ` +
+        `(confidence ${classification.confidence}); an extraction also classifies the content`);
+    }
+    const documentType = classification.type;
+
+    const context = {
+      mimeType: request.mimeType,
+      fileSize: request.fileSize,
+      pageCount: pageCount ?? undefined,
+      clientId,
+      documentType,
+      now: request.now || new Date()
+    };
+    const rules = config.getRoutingRules().map(rule => ({
+      name: rule.name,
+      action: rule.action,
+      ...evaluateRule(rule, context)
+    }));
+    const rule = this.matchRoutingRule(context);
+    trace.push(rule ? `Routing rule ${rule.name} matches (${rule.action})` : 'No routing rule matches');
+
+    const policy = config.getClientPolicy(clientId);
+    if (policy) {
+      trace.push(`Client ${clientId} has a routing policy`);
+    }
+
+    const plan = [];
+    const addStep = (name, step, extra = {}) => plan.push({
+      position: plan.length + 1,
+      provider: name,
+      step,
+      ...extra,
+      estimatedCost: pricingEngine.calculateCost(pages, name, clientId).finalCost
+    });
+    const healthy = name => this.getCircuitState(name).state !== 'open';
+    const checkRejected = () => {
+      if (rule?.action === 'reject') throw rejectionError(rule);
+    };
+
+    let mode;
+    let selection = null;
+    let rejected = null;
+    const ensemble = this.getEnsembleSettings(documentType, options.ensemble);
+    try {
+      if (request.forceProvider) {
+        mode = 'forced';
+        if (!providerFactory.getProvider(request.forceProvider)?.isEnabled()) {
+          throw new Error(`Provider ${request.forceProvider} is disabled`);
+        }
+        this.assertProviderAllowed(clientId, request.forceProvider);
+        checkRejected();
+        addStep(request.forceProvider, 'forced');
+        trace.push(`Provider ${request.forceProvider} forced by the request, without fallback`);
+      } else if (ensemble.enabled) {
+        mode = 'ensemble';
+        checkRejected();
+        const routingRule = rule?.action === 'route' ? rule : null;
+        for (const provider of this.getEnsembleCandidates(documentType, ensemble, { ...options, routingRule }, pages)) {
+          const name = provider.getName();
+          if (plan.length >= ensemble.maxProviders) break;
+          if (!healthy(name)) {
+            trace.push(`Ensemble skips ${name}: circuit open`);
+            continue;
+          }
+          addStep(name, 'ensemble', routingRule?.model ? { model: routingRule.model } : {});
+        }
+        trace.push(`Ensemble runs ${plan.length} provider(s) in parallel; ${ensemble.minProviders} must succeed`);
+        if (plan.length < ensemble.minProviders) {
+          throw new Error(`Ensemble needs ${ensemble.minProviders} providers, ${plan.length} available`);
+        }
+      } else {
+        mode = 'routed';
+        checkRejected();
+        const routingRule = rule?.action === 'route' ? rule : null;
+        this.planLocalSteps(request.mimeType, routingRule, options, addStep, trace);
+        try {
+          selection = this.planRoutedProviders(documentType, { ...options, routingRule }, pages);
+        } catch (error) {
+          // A local provider may still serve the document on its own
+          if (plan.length === 0) throw error;
+          rejected = { code: error.code || null, message: error.message, unlessLocal: true };
+          trace.push(`No routed provider: ${error.message}; the request fails unless ${plan[0].provider} serves it`);
+        }
+        if (selection) {
+          const sources = {
+            primary: 'the routing list',
+            'fallback-to-any': 'every enabled provider, as none in the routing list is available',
+            'client-policy': `client ${clientId}'s routing override`,
+            cost: 'cost ranking',
+            rule: `routing rule ${selection.rule}`,
+            adaptive: 'adaptive scoring'
+          };
+          trace.push(`Routed order from ${sources[selection.reason]}` +
+            (selection.adaptive ? ` (adaptive: ${selection.adaptive.reason})` : ''));
+          const routed = plan.length;
+          for (const provider of [selection.provider, ...selection.fallback]) {
+            const name = provider.getName();
+            if (!healthy(name)) {
+              trace.push(`Skips ${name}: circuit open`);
+              continue;
+            }
+            addStep(name, plan.length === routed ? 'primary' : 'fallback',
+              routingRule?.model ? { model: routingRule.model } : {});
+          }
+          if (plan.length === routed) {
+            throw new Error(`All providers unavailable: circuit open for ${[selection.provider, ...selection.fallback].map(p => p.getName()).join(', ')}`);
+          }
+        }
+      }
+    } catch (error) {
+      rejected = { code: error.code || null, message: error.message, ...(error.rule && { rule: error.rule }) };
+      trace.push(`Rejected: ${error.message}`);
     }
-    if (lowerName.includes('receipt') || lowerName.includes('receipt') || lowerName.includes('txn')) {
-      return 'receipt';
+
+    const positions = new Map(plan.map(step => [step.provider, step.position]));
+    const candidates = Object.values(providerFactory.providers).map(provider => {
+      const name = provider.getName();
+      const local = LOCAL_PROVIDERS.includes(name);
+      const circuit = local ? null : this.getCircuitState(name).state;
+      const violation = this.getPolicyViolation(clientId, name);
+      const cost = pricingEngine.calculateCost(pages, name, clientId);
+      return {
+        provider: name,
+        enabled: provider.isEnabled(),
+        healthy: circuit !== 'open',
+        circuit,
+        allowed: !violation,
+        ...(violation && { policy: violation }),
+        ...(options.requirements && { missing: provider.missingCapabilities(options.requirements) }),
+        estimatedCost: {
+          pageCount: pages,
+          pricePerPage: cost.basePricePerPage,
+          baseCost: cost.baseCost,
+          discountPercent: cost.discountPercent,
+          finalCost: cost.finalCost
+        },
+        planPosition: positions.get(name) ?? null
+      };
+    });
+
+    return {
+      documentType,
+      classification,
+      clientId,
+      pageCount,
+      mode,
+      ...(selection && {
+        selection: {
+          reason: selection.reason,
+          ...(selection.ranking && { ranking: selection.ranking, excluded: selection.excluded }),
+          ...(selection.adaptive && { adaptive: selection.adaptive })
+        }
+      }),
+      rule: rule?.name ?? null,
+      rules,
+      candidates,
+      plan: rejected && !rejected.unlessLocal ? [] : plan,
+      ...(rejected && { rejected }),
+      trace
+    };
+  }
+
+  /**
+   * Add the local providers an extraction tries before routing to a plan
+   * @private
+   */
+  planLocalSteps(mimeType, routingRule, options, addStep, trace) {
+    const usable = name => {
+      const provider = providerFactory.getProvider(name);
+      return provider?.isEnabled() && this.meetsRequirements(provider, options) &&
+        (!routingRule || routingRule.providers.includes(name)) &&
+        !this.getPolicyViolation(options.clientId, name);
+    };
+    if (mimeType === 'application/pdf' && usable('pdftext')) {
+      addStep('pdftext', 'text-layer', { when: 'the PDF has a text layer; scanned pages go to the routed providers' });
+      trace.push('PDFs are read from their text layer first');
     }
-    if (lowerName.includes('form') || lowerName.includes('application') || lowerName.includes('application')) {
-      return 'form';
+    if (DocxProvider.mimeTypes.includes(mimeType) && usable('docx')) {
+      addStep('docx', 'local', { when: 'the Word file parses' });
+      trace.push('Word files are parsed locally first');
     }
-    if (lowerName.includes('contract') || lowerName.includes('agreement') || lowerName.includes('terms')) {
-      return 'contract';
+  }
+
+  /**
+   * Describe the content pass classifyDocument would run
+   * @private
+   * @returns {Array<Object>} `{ source, provider }` steps, in order
+   */
+  describeClassificationPass(mimeType, pageCount, clientId) {
+    const usable = provider => provider?.isEnabled() && !this.getPolicyViolation(clientId, provider.getName());
+    const steps = [];
+    if (mimeType === 'application/pdf' && usable(providerFactory.getProvider('pdftext'))) {
+      steps.push({ source: 'text-layer', provider: 'pdftext' });
     }
-    if (lowerName.includes('id') || lowerName.includes('passport') || lowerName.includes('license') || lowerName.includes('driver')) {
-      return 'id_document';
+    if (DocxProvider.mimeTypes.includes(mimeType)) {
+      return usable(providerFactory.getProvider('docx')) ? [{ source: 'docx', provider: 'docx' }] : [];
     }
-    
-    // Check MIME types
-    if (mimeType === 'application/pdf') {
-      return 'generic';
+
+    const { provider: choice, maxPages } = documentClassifier.settings.firstPass;
+    let provider = null;
+    if (choice === 'cheapest') {
+      try {
+        provider = this.selectCheapestProvider({ features: ['text'] }, 'generic', {
+          pageCount: Math.min(pageCount, maxPages),
+          clientId
+        }).provider;
+      } catch (error) {
+        if (error.code !== 'NO_CAPABLE_PROVIDER') throw error;
+      }
+    } else if (choice !== 'none' && usable(providerFactory.getProvider(choice))) {
+      provider = providerFactory.getProvider(choice);
     }
-    if (mimeType.startsWith('image/')) {
-      return 'generic'; // Default to generic for images
+    if (provider) {
+      steps.push({ source: 'first-pass', provider: provider.getName(), pages: Math.min(pageCount, maxPages) });
     }
-    
-    return 'generic';
+    return steps;
   }
 
   /**
    * Get routing info for a document type
+   * Evaluates the routing rules against what is known about the request;
+   * conditions on unknown values (e.g. pageCount without a file) do not match.
    * @param {string} documentType - Document type
-   * @returns {Array<string>} Provider priority list
+   * @param {Object} [context] - `{ mimeType, fileSize, pageCount, clientId, now }`
+   * @returns {Object} `{ providers, source, rule, rules, stats, adaptive }`,
+   *   plus `model` or `rejected` from the matching rule and `clientPolicy`
+   *   when the client has one; `providers` leaves out those it forbids
    */
-  getRoutingInfo(documentType) {
-    return config.getRoutingProviders(documentType);
+  getRoutingInfo(documentType, context = {}) {
+    const requestContext = { now: new Date(), ...context, documentType };
+    const rules = config.getRoutingRules().map(rule => ({
+      name: rule.name,
+      action: rule.action,
+      ...evaluateRule(rule, requestContext)
+    }));
+    const match = this.matchRoutingRule(requestContext);
+    const policy = config.getClientPolicy(context.clientId || 'default');
+    const override = !match && policy?.routing[documentType];
+    const listed = match ? match.providers || [] : override || config.getRoutingProviders(documentType);
+    const excluded = listed
+      .map(name => ({ provider: name, policy: this.getPolicyViolation(context.clientId, name) }))
+      .filter(e => e.policy);
+    const providers = listed.filter(name => !excluded.some(e => e.provider === name));
+
+    // Adaptive ordering applies to routing lists, not to rules
+    const candidates = providers
+      .map(name => providerFactory.getProvider(name))
+      .filter(p => p && p.isEnabled());
+    const { providers: order, ...ranked } = this.rankAdaptively(candidates, documentType);
+    const adaptive = match
+      ? { applied: false, reason: `Routing rule ${match.name} keeps its order` }
+      : { order: order.map(p => p.getName()), ...ranked };
+
+    return {
+      providers,
+      source: match ? 'rule' : override ? 'client-policy' : 'routing',
+      rule: match?.name ?? null,
+      ...(match?.model && { model: match.model }),
+      ...(match?.action === 'reject' && { rejected: match.message }),
+      rules,
+      ...(policy && {
+        clientPolicy: {
+          clientId: policy.clientId,
+          localOnly: policy.localOnly,
+          allowedProviders: policy.allowedProviders,
+          deniedProviders: policy.deniedProviders,
+          excluded
+        }
+      }),
+      stats: Object.fromEntries(providers.map(name => [name, providerStats.getStats(name, documentType)])),
+      adaptive: { enabled: this.getAdaptiveSettings().enabled, ...adaptive }
+    };
   }
 }
 
+/**
+ * Whether an error may go away on retry
+ * Only provider errors marked retryable are retried; anything else is
+ * treated as terminal.
+ * @private
+ */
+function isRetryable(error) {
+  return error instanceof ProviderError && error.retryable;
+}
+
+/**
+ * Whether an error says the provider itself is failing: retryable
+ * errors, timeouts, 5xx responses, and errors an adapter did not
+ * classify. Terminal provider errors such as invalid or unsupported
+ * documents, other 4xx responses, missing fixtures and schema violations
+ * do not.
+ * @private
+ */
+function isProviderFailure(error) {
+  if (!(error instanceof ProviderError)) return true;
+  return error.retryable || error.code === 'TIMEOUT' || error.statusCode >= 500;
+}
+
+/**
+ * Error for a request a client policy does not allow
+ * @private
+ */
+function policyError(policy, message) {
+  const error = new Error(message);
+  error.code = 'CLIENT_POLICY';
+  error.clientId = policy?.clientId;
+  return error;
+}
+
+/**
+ * Error for a document a routing rule rejects
+ * @private
+ */
+function rejectionError(rule) {
+  const error = new Error(rule.message);
+  error.code = 'ROUTING_REJECTED';
+  error.rule = rule.name;
+  return error;
+}
+
+/**
+ * Round to 4 decimal places
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Describe requirements for error messages, e.g. `tables, forms, language:de`
+ * @private
+ */
+function formatRequirements({ features = [], languages = [] }) {
+  return [...features, ...languages.map(l => `language:${l}`)].join(', ') || 'the request';
+}
+
 module.exports = new RoutingEngine();
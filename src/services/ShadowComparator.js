@@ -0,0 +1,255 @@
+const config = require('../config');
+const { normalizeKey, normalizeValue } = require('./formFields');
+
+const DEFAULT_SETTINGS = {
+  maxInFlight: 4,
+  keepRecent: 20
+};
+
+/**
+ * Shadow Comparator
+ * Diffs a candidate provider's shadow result against the result served
+ * to the client, and aggregates the comparisons per document type and
+ * candidate so a routing change can be judged before it is made.
+ */
+class ShadowComparator {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Shadow settings: `maxInFlight`, `keepRecent` and per-type `routes`
+   * @returns {Object}
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, routes: {}, ...config.get('shadow') };
+  }
+
+  /**
+   * Get the shadow route for a document type
+   * @param {string} documentType - Document type
+   * @returns {Object|null} `{ candidate, percentage }`, or null when not shadowed
+   */
+  getRoute(documentType) {
+    const route = this.getSettings().routes?.[documentType];
+    if (!route?.candidate || !(route.percentage > 0)) return null;
+    return { candidate: route.candidate, percentage: Math.min(100, route.percentage) };
+  }
+
+  /**
+   * Compare a shadow result with the served one
+   * @param {Object} served - `{ provider, result, durationMs, cost }`
+   * @param {Object} candidate - `{ provider, result, durationMs, cost }`
+   * @returns {Object} Text similarity, form agreement, table shapes,
+   *   latency and cost of both sides
+   */
+  compare(served, candidate) {
+    return {
+      textSimilarity: textSimilarity(served.result.text, candidate.result.text),
+      forms: formAgreement(served.result.forms, candidate.result.forms),
+      tables: tableShapes(served.result.tables, candidate.result.tables),
+      latency: {
+        servedMs: served.durationMs,
+        candidateMs: candidate.durationMs,
+        deltaMs: candidate.durationMs - served.durationMs
+      },
+      cost: {
+        served: served.cost,
+        candidate: candidate.cost,
+        delta: round(candidate.cost - served.cost)
+      },
+      confidence: {
+        served: served.result.confidence?.overall ?? null,
+        candidate: candidate.result.confidence?.overall ?? null
+      }
+    };
+  }
+
+  /**
+   * Record a shadow outcome
+   * Totals cover every sample; details are kept for the last
+   * `keepRecent` samples only.
+   * @param {Object} sample - `{ documentType, candidate, servedBy, comparison }`
+   *   for a comparison, or `{ documentType, candidate, servedBy, error }`
+   *   when the candidate failed
+   */
+  record(sample) {
+    const key = `${sample.documentType}/${sample.candidate}`;
+    if (!this.routes.has(key)) {
+      this.routes.set(key, {
+        documentType: sample.documentType,
+        candidate: sample.candidate,
+        samples: 0,
+        failed: 0,
+        servedBy: {},
+        totals: {},
+        recent: []
+      });
+    }
+
+    const route = this.routes.get(key);
+    route.samples++;
+    route.servedBy[sample.servedBy] = (route.servedBy[sample.servedBy] || 0) + 1;
+    if (sample.error) {
+      route.failed++;
+    } else {
+      const { comparison: c } = sample;
+      addFigure(route.totals, 'textSimilarity', c.textSimilarity);
+      addFigure(route.totals, 'formAgreement', c.forms.agreement);
+      addFigure(route.totals, 'tableShapeMatch', c.tables.match ? 1 : 0);
+      addFigure(route.totals, 'servedMs', c.latency.servedMs);
+      addFigure(route.totals, 'candidateMs', c.latency.candidateMs);
+      addFigure(route.totals, 'servedCost', c.cost.served);
+      addFigure(route.totals, 'candidateCost', c.cost.candidate);
+    }
+
+    route.recent.unshift({ ...sample, timestamp: new Date().toISOString() });
+    route.recent.length = Math.min(route.recent.length, this.getSettings().keepRecent);
+  }
+
+  /**
+   * Aggregated comparisons
+   * @param {string} [documentType] - Only this document type
+   * @returns {Array<Object>} One summary per document type and candidate
+   */
+  getResults(documentType) {
+    return [...this.routes.values()]
+      .filter(route => !documentType || route.documentType === documentType)
+      .map(route => {
+        const { totals } = route;
+        return {
+          documentType: route.documentType,
+          candidate: route.candidate,
+          samples: route.samples,
+          compared: route.samples - route.failed,
+          failed: route.failed,
+          errorRate: round(route.failed / route.samples),
+          servedBy: { ...route.servedBy },
+          textSimilarity: mean(totals.textSimilarity),
+          formAgreement: mean(totals.formAgreement),
+          tableShapeMatchRate: mean(totals.tableShapeMatch),
+          latency: {
+            servedMeanMs: mean(totals.servedMs),
+            candidateMeanMs: mean(totals.candidateMs)
+          },
+          cost: {
+            served: round(totals.servedCost?.sum || 0),
+            candidate: round(totals.candidateCost?.sum || 0)
+          },
+          recent: [...route.recent]
+        };
+      });
+  }
+
+  /**
+   * Forget every recorded comparison
+   */
+  reset() {
+    this.routes = new Map();
+  }
+}
+
+/**
+ * Bag-of-words Dice similarity (0-1) between two texts
+ * @private
+ */
+function textSimilarity(a, b) {
+  const count = text => {
+    const counts = new Map();
+    for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return counts;
+  };
+  const left = count(a);
+  const right = count(b);
+  const total = [...left.values(), ...right.values()].reduce((sum, n) => sum + n, 0);
+  if (total === 0) return 1;
+
+  let shared = 0;
+  for (const [word, n] of left) {
+    shared += Math.min(n, right.get(word) || 0);
+  }
+  return round((2 * shared) / total);
+}
+
+/**
+ * Compare form fields by normalized key and value
+ * @private
+ */
+function formAgreement(servedForms = [], candidateForms = []) {
+  const index = forms => new Map(forms.map(f => [normalizeKey(f.key), f]).filter(([key]) => key));
+  const served = index(servedForms);
+  const candidate = index(candidateForms);
+  const keys = new Set([...served.keys(), ...candidate.keys()]);
+
+  const mismatched = [];
+  let agreeing = 0;
+  for (const key of keys) {
+    const a = served.get(key);
+    const b = candidate.get(key);
+    if (a && b && normalizeValue(a.value) === normalizeValue(b.value)) {
+      agreeing++;
+    } else {
+      mismatched.push({
+        key: (a || b).key,
+        served: a ? a.value : null,
+        candidate: b ? b.value : null
+      });
+    }
+  }
+
+  return {
+    served: served.size,
+    candidate: candidate.size,
+    agreeing,
+    agreement: keys.size === 0 ? null : round(agreeing / keys.size),
+    mismatched
+  };
+}
+
+/**
+ * Compare table counts and row/column shapes
+ * @private
+ */
+function tableShapes(servedTables = [], candidateTables = []) {
+  const shape = tables => tables.map(t => [t.rows, t.columns]);
+  const served = shape(servedTables);
+  const candidate = shape(candidateTables);
+  return {
+    served,
+    candidate,
+    match: served.length === candidate.length &&
+      served.every(([rows, columns], i) => candidate[i][0] === rows && candidate[i][1] === columns)
+  };
+}
+
+/**
+ * Add a value to a running total, skipping unknown values
+ * @private
+ */
+function addFigure(totals, name, value) {
+  if (value === null || value === undefined) return;
+  totals[name] = totals[name] || { sum: 0, count: 0 };
+  totals[name].sum += value;
+  totals[name].count++;
+}
+
+/**
+ * Mean of a running total, rounded; null when nothing was added
+ * @private
+ */
+function mean(total) {
+  if (!total || total.count === 0) return null;
+  return round(total.sum / total.count);
+}
+
+/**
+ * Round to 4 decimal places
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = new ShadowComparator();
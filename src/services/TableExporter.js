@@ -0,0 +1,179 @@
+const JSZip = require('jszip');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Table Exporter
+ * Writes canonical tables as CSV or XLSX for download.
+ * XLSX files are assembled directly with jszip: one sheet per table,
+ * merged ranges preserved and header rows in bold.
+ */
+class TableExporter {
+  constructor() {
+    this.formats = {
+      csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+      xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+      }
+    };
+  }
+
+  /**
+   * Check whether an export format is supported
+   * @param {string} format - `csv` or `xlsx`
+   * @returns {boolean}
+   */
+  isSupported(format) {
+    return Object.prototype.hasOwnProperty.call(this.formats, format);
+  }
+
+  /**
+   * Export tables in a format
+   * CSV holds a single table; XLSX holds one sheet per table.
+   * @param {Array<Object>} tables - Canonical tables
+   * @param {string} format - `csv` or `xlsx`
+   * @returns {Promise<Object>} `{ body, contentType, extension }`
+   */
+  async export(tables, format) {
+    const { contentType, extension } = this.formats[format];
+    const body = format === 'csv'
+      ? Buffer.from(this.toCsv(tables[0]), 'utf8')
+      : await this.toXlsx(tables);
+    return { body, contentType, extension };
+  }
+
+  /**
+   * Write a table as RFC 4180 CSV
+   * @param {Object} table - Canonical table
+   * @returns {string}
+   */
+  toCsv(table) {
+    return table.cells
+      .map(row => row.map(value => this.csvValue(value)).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV value, neutralizing leading formula characters
+   * @private
+   */
+  csvValue(value) {
+    let text = String(value ?? '');
+    if (/^[=+@\t\r]/.test(text) || (/^-/.test(text) && !/^-[\d.,\s]+$/.test(text))) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write tables as an XLSX workbook
+   * @param {Array<Object>} tables - Canonical tables
+   * @returns {Promise<Buffer>}
+   */
+  async toXlsx(tables) {
+    const zip = new JSZip();
+    const sheets = tables.map((table, i) => ({
+      name: `Table ${i + 1}${table.pageNumber ? ` (p${table.pageNumber})` : ''}`,
+      path: `worksheets/sheet${i + 1}.xml`
+    }));
+
+    zip.file('[Content_Types].xml', XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map(s => `<Override PartName="/xl/${s.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>');
+
+    zip.file('_rels/.rels', XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>');
+
+    zip.file('xl/workbook.xml', XML_HEADER +
+      `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>` +
+      sheets.map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>');
+
+    zip.file('xl/_rels/workbook.xml.rels', XML_HEADER +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="${s.path}"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+
+    // Style 1 is the bold header style
+    zip.file('xl/styles.xml', XML_HEADER +
+      `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border/></borders>' +
+      '<cellStyleXfs count="1"><xf/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs>' +
+      '</styleSheet>');
+
+    tables.forEach((table, i) => {
+      zip.file(`xl/${sheets[i].path}`, this.buildSheet(table));
+    });
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Build the worksheet XML for one table
+   * @private
+   */
+  buildSheet(table) {
+    const headerRows = new Set(table.headerRows || []);
+    const rows = table.cells.map((row, r) => {
+      const style = headerRows.has(r) ? ' s="1"' : '';
+      const cells = row
+        .map((value, c) => value === ''
+          ? ''
+          : `<c r="${cellRef(r, c)}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`)
+        .join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const merged = (table.merged || [])
+      .map(m => `<mergeCell ref="${cellRef(m.row, m.column)}:${cellRef(m.row + m.rowSpan - 1, m.column + m.columnSpan - 1)}"/>`)
+      .join('');
+
+    return XML_HEADER +
+      `<worksheet xmlns="${SPREADSHEET_NS}">` +
+      `<sheetData>${rows}</sheetData>` +
+      (merged ? `<mergeCells count="${table.merged.length}">${merged}</mergeCells>` : '') +
+      '</worksheet>';
+  }
+}
+
+/**
+ * A1-style reference for 0-based row and column indexes
+ * @private
+ */
+function cellRef(row, column) {
+  let letters = '';
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${row + 1}`;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * Control characters that XML 1.0 cannot carry are dropped.
+ * @private
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = new TableExporter();
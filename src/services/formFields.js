@@ -0,0 +1,33 @@
+/**
+ * Form field comparison helpers
+ * Different providers label and format the same field differently; these
+ * reduce keys and values to a form that compares equal across providers.
+ */
+
+/**
+ * Match keys regardless of case, punctuation and spacing
+ * ("Invoice No.:" and "invoice no" are the same field)
+ * @param {string} key - Field key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Compare values regardless of case and spacing; amounts compare as
+ * numbers ("$1,200.00" equals "1200")
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+function normalizeValue(value) {
+  const text = String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+  const amount = text.replace(/[$€£,\s]|\b(usd|eur|gbp)\b/g, '');
+  if (/^-?\d+(\.\d+)?$/.test(amount)) return String(Number(amount));
+  return text.replace(/[.:;,]+$/, '');
+}
+
+module.exports = {
+  normalizeKey,
+  normalizeValue
+};
@@ -0,0 +1,449 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { textractBlocks, azureAnalyzeResult } = require('./cannedResponses');
+
+const MAX_TRACKED = 1000;
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+
+const DEFAULT_SERVICE_SETTINGS = {
+  latencyMs: 0,
+  jitterMs: 0,
+  pollsBeforeSuccess: 1,
+  errors: { rate: 0 }
+};
+
+const DEFAULT_ERRORS = {
+  textract: { status: 429, code: 'ThrottlingException', message: 'Rate exceeded' },
+  azure: { status: 429, code: 'TooManyRequests', message: 'Rate limit is exceeded' }
+};
+
+const AZURE_PREFIX = '/(?:formrecognizer|documentintelligence)/documentModels';
+const AZURE_ANALYZE = new RegExp(`^${AZURE_PREFIX}/([^/:]+):analyze$`);
+const AZURE_RESULT = new RegExp(`^${AZURE_PREFIX}/([^/:]+)/analyzeResults/([^/]+)$`);
+
+/**
+ * Provider Simulator
+ * Speaks enough of the Textract JSON API (AnalyzeDocument and the
+ * Start/GetDocumentAnalysis job API, plus the S3 calls that stage
+ * documents) and the Azure Document Intelligence analyze/poll API for the
+ * real SDKs to run against it. Responses are a canned invoice or fixture
+ * files; latency and error injection are configured per service. Fixture
+ * files must live in the fixtures directory, since anyone who can reach
+ * the simulator can change which fixture it serves.
+ */
+class ProviderSimulator {
+  /**
+   * @param {Object} [settings] - Simulator settings (see simulator.yaml)
+   * @param {Object} [options]
+   * @param {string} [options.fixturesDirectory] - Directory fixture files
+   *   must be in, defaults to `fixtures` at the project root
+   */
+  constructor(settings = {}, { fixturesDirectory = path.join(PROJECT_ROOT, 'fixtures') } = {}) {
+    this.fixturesDirectory = path.resolve(fixturesDirectory);
+    this.calls = [];
+    this.objects = new Map();
+    this.jobs = new Map();
+    this.operations = new Map();
+    this.configure(settings);
+    this.app = this.createApp();
+  }
+
+  /**
+   * Replace the simulator settings, filling in defaults per service
+   * @param {Object} [settings] - Simulator settings
+   * @throws {Error} FIXTURE_PATH when a fixture is outside the fixtures directory
+   */
+  configure(settings = {}) {
+    const fixtures = [settings.textract?.fixture, ...Object.values(settings.azure?.fixtures || {})];
+    fixtures.filter(Boolean).forEach(file => resolveFixture(this.fixturesDirectory, file));
+
+    this.settings = { ...settings };
+    for (const service of ['textract', 'azure']) {
+      const own = settings[service] || {};
+      this.settings[service] = {
+        ...DEFAULT_SERVICE_SETTINGS,
+        ...own,
+        errors: { ...DEFAULT_ERRORS[service], ...DEFAULT_SERVICE_SETTINGS.errors, ...own.errors }
+      };
+    }
+  }
+
+  /**
+   * Merge settings into the current ones, one service block at a time
+   * @param {Object} changes - Partial simulator settings
+   * @throws {Error} FIXTURE_PATH when a fixture is outside the fixtures
+   *   directory; the current settings are kept
+   */
+  update(changes = {}) {
+    const merged = { ...this.settings, ...changes };
+    for (const service of ['textract', 'azure']) {
+      merged[service] = {
+        ...this.settings[service],
+        ...changes[service],
+        errors: { ...this.settings[service].errors, ...changes[service]?.errors }
+      };
+    }
+    this.configure(merged);
+  }
+
+  /**
+   * Build the Express app
+   * @private
+   */
+  createApp() {
+    const app = express();
+
+    app.get('/_simulator/calls', (req, res) => res.json({ calls: this.calls }));
+    app.delete('/_simulator/calls', (req, res) => {
+      this.calls = [];
+      res.status(204).end();
+    });
+    app.get('/_simulator/settings', (req, res) => res.json(this.settings));
+    app.put('/_simulator/settings', express.json(), (req, res) => {
+      try {
+        this.update(req.body);
+      } catch (error) {
+        if (error.code !== 'FIXTURE_PATH') throw error;
+        return res.status(400).json({ error: { code: 'InvalidFixture', message: error.message } });
+      }
+      res.json(this.settings);
+    });
+
+    app.use(express.raw({ type: () => true, limit: '50mb' }));
+
+    app.use((req, res, next) => {
+      const handler = this.route(req);
+      if (!handler) return next();
+      handler(req, res).catch(next);
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ error: { code: 'NotFound', message: `No simulated API at ${req.method} ${req.path}` } });
+    });
+
+    // Errors can quote files the simulator read, so only the log sees them
+    app.use((err, req, res, next) => {
+      console.error(`Simulator error on ${req.method} ${req.path}:`, err.message);
+      res.status(500).json({ error: { code: 'SimulatorError', message: 'The simulator failed to handle the request' } });
+    });
+
+    return app;
+  }
+
+  /**
+   * Pick the handler for a request
+   * @private
+   */
+  route(req) {
+    if (req.method === 'POST' && req.get('x-amz-target')?.startsWith('Textract.')) {
+      return (rq, rs) => this.handleTextract(rq, rs);
+    }
+    if (req.method === 'POST' && AZURE_ANALYZE.test(req.path)) {
+      return (rq, rs) => this.handleAzureAnalyze(rq, rs);
+    }
+    if (req.method === 'GET' && AZURE_RESULT.test(req.path)) {
+      return (rq, rs) => this.handleAzureResult(rq, rs);
+    }
+    if (['PUT', 'GET', 'HEAD', 'DELETE'].includes(req.method) && req.path.split('/').length > 2) {
+      return (rq, rs) => this.handleS3(rq, rs);
+    }
+    return null;
+  }
+
+  /**
+   * Textract JSON 1.1 API
+   * @private
+   */
+  async handleTextract(req, res) {
+    const operation = req.get('x-amz-target').replace('Textract.', '');
+    const input = JSON.parse(req.body.toString('utf8') || '{}');
+    const settings = this.settings.textract;
+    const reply = (status, body, headers = {}) => {
+      this.logCall('textract', operation, status);
+      res.status(status).set({ 'Content-Type': 'application/x-amz-json-1.1', ...headers }).send(JSON.stringify(body));
+    };
+    const fail = (status, code, message) => reply(status, { __type: code, message }, { 'x-amzn-ErrorType': code });
+
+    await this.simulateLatency(settings);
+
+    if (operation === 'AnalyzeDocument' || operation === 'StartDocumentAnalysis') {
+      const injected = this.injectedError(settings);
+      if (injected) return fail(injected.status, injected.code, injected.message);
+    }
+
+    if (operation === 'AnalyzeDocument') {
+      const document = Buffer.from(input.Document?.Bytes || '', 'base64');
+      const pages = await countPages(document);
+      if (pages > 1) {
+        return fail(400, 'UnsupportedDocumentException', 'Request has unsupported document format');
+      }
+      const response = await this.textractResponse(pages);
+      return reply(200, { DocumentMetadata: { Pages: pages }, AnalyzeDocumentModelVersion: '1.0', ...response });
+    }
+
+    if (operation === 'StartDocumentAnalysis') {
+      const { Bucket, Name } = input.DocumentLocation?.S3Object || {};
+      const object = this.objects.get(`${Bucket}/${Name}`);
+      if (!object) {
+        return fail(400, 'InvalidS3ObjectException', 'Unable to get object metadata from S3. Check object key, region and/or access permissions.');
+      }
+      const jobId = uuidv4();
+      remember(this.jobs, jobId, { pages: await countPages(object), polls: 0 });
+      return reply(200, { JobId: jobId });
+    }
+
+    if (operation === 'GetDocumentAnalysis') {
+      const job = this.jobs.get(input.JobId);
+      if (!job) {
+        return fail(400, 'InvalidJobIdException', 'An invalid job identifier was passed.');
+      }
+      if (job.polls++ < settings.pollsBeforeSuccess) {
+        return reply(200, { JobStatus: 'IN_PROGRESS' });
+      }
+      const response = await this.textractResponse(job.pages);
+      return reply(200, {
+        JobStatus: 'SUCCEEDED',
+        DocumentMetadata: { Pages: job.pages },
+        AnalyzeDocumentModelVersion: '1.0',
+        ...response
+      });
+    }
+
+    fail(400, 'UnknownOperationException', `Operation ${operation} is not simulated`);
+  }
+
+  /**
+   * Textract blocks from the fixture file, or the canned invoice
+   * @private
+   */
+  async textractResponse(pages) {
+    const fixture = await readFixture(this.fixturesDirectory, this.settings.textract.fixture);
+    return fixture
+      ? { Blocks: fixture.Blocks || [], Warnings: fixture.Warnings }
+      : { Blocks: textractBlocks(pages) };
+  }
+
+  /**
+   * Path-style S3 object store used to stage multi-page documents
+   * @private
+   */
+  async handleS3(req, res) {
+    const key = decodeURIComponent(req.path.slice(1));
+
+    if (req.method === 'PUT') {
+      this.logCall('s3', 'PutObject', 200);
+      remember(this.objects, key, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+      return res.set('ETag', '"simulated"').status(200).end();
+    }
+    if (req.method === 'DELETE') {
+      this.logCall('s3', 'DeleteObject', 204);
+      this.objects.delete(key);
+      return res.status(204).end();
+    }
+    if (this.objects.has(key)) {
+      this.logCall('s3', 'GetObject', 200);
+      return res.status(200).send(this.objects.get(key));
+    }
+    this.logCall('s3', 'GetObject', 404);
+    res.status(404).type('application/xml')
+      .send('<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+  }
+
+  /**
+   * Azure analyze request: accept the document and start an operation
+   * @private
+   */
+  async handleAzureAnalyze(req, res) {
+    const [, modelId] = req.path.match(AZURE_ANALYZE);
+    const apiVersion = req.query['api-version'] || '2023-07-31';
+    const settings = this.settings.azure;
+    const fail = (status, code, message) => {
+      this.logCall('azure', 'analyze', status, { modelId });
+      res.status(status).json({ error: { code, message } });
+    };
+
+    await this.simulateLatency(settings);
+
+    if (!req.get('ocp-apim-subscription-key') && !req.get('authorization')) {
+      return fail(401, '401', 'Access denied due to invalid subscription key or wrong API endpoint.');
+    }
+    const injected = this.injectedError(settings);
+    if (injected) return fail(injected.status, injected.code, injected.message);
+
+    let document = req.body;
+    if (req.is('application/json')) {
+      const body = JSON.parse(req.body.toString('utf8') || '{}');
+      document = Buffer.from(body.base64Source || '', 'base64');
+    }
+
+    const resultId = uuidv4();
+    remember(this.operations, resultId, {
+      modelId,
+      apiVersion,
+      pages: await countPages(document),
+      polls: 0,
+      createdDateTime: new Date().toISOString()
+    });
+
+    this.logCall('azure', 'analyze', 202, { modelId });
+    const base = `${req.protocol}://${req.get('host')}${req.path.replace(/:analyze$/, '')}`;
+    res.status(202)
+      .set('Operation-Location', `${base}/analyzeResults/${resultId}?api-version=${apiVersion}`)
+      .set('Retry-After', '0')
+      .end();
+  }
+
+  /**
+   * Azure analyze result polling
+   * @private
+   */
+  async handleAzureResult(req, res) {
+    const [, modelId, resultId] = req.path.match(AZURE_RESULT);
+    const operation = this.operations.get(resultId);
+    const settings = this.settings.azure;
+
+    await this.simulateLatency(settings);
+
+    if (!operation || operation.modelId !== modelId) {
+      this.logCall('azure', 'getAnalyzeResult', 404, { modelId });
+      return res.status(404).json({ error: { code: 'NotFound', message: 'Resource not found.' } });
+    }
+
+    const status = operation.polls++ < settings.pollsBeforeSuccess ? 'running' : 'succeeded';
+    this.logCall('azure', 'getAnalyzeResult', 200, { modelId, operationStatus: status });
+
+    const body = {
+      status,
+      createdDateTime: operation.createdDateTime,
+      lastUpdatedDateTime: new Date().toISOString()
+    };
+    if (status === 'succeeded') {
+      body.analyzeResult = await this.azureResponse(operation);
+    }
+    res.set('Retry-After', '0').json(body);
+  }
+
+  /**
+   * Azure analyzeResult from the model's fixture file, or the canned invoice
+   * @private
+   */
+  async azureResponse({ modelId, apiVersion, pages }) {
+    const fixture = await readFixture(this.fixturesDirectory, this.settings.azure.fixtures?.[modelId]);
+    if (fixture) {
+      return { apiVersion, modelId, ...(fixture.analyzeResult || fixture) };
+    }
+    return azureAnalyzeResult(modelId, apiVersion, pages);
+  }
+
+  /**
+   * Wait for the configured latency plus random jitter
+   * @private
+   */
+  simulateLatency({ latencyMs, jitterMs }) {
+    const delay = Number(latencyMs || 0) + Math.random() * Number(jitterMs || 0);
+    return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+  }
+
+  /**
+   * Decide whether to fail this request, per the service's error rate
+   * @private
+   * @returns {Object|null} `{ status, code, message }` when the request fails
+   */
+  injectedError({ errors }) {
+    return errors.rate > 0 && Math.random() < errors.rate ? errors : null;
+  }
+
+  /**
+   * Record a call for the `/_simulator/calls` endpoint
+   * @private
+   */
+  logCall(service, operation, status, details = {}) {
+    this.calls.push({ service, operation, status, ...details, at: new Date().toISOString() });
+    if (this.calls.length > MAX_TRACKED) this.calls.shift();
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port, 0 for a random one
+   * @param {string} [host] - Interface to bind
+   * @returns {Promise<Object>} `{ url, server, close }`
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, host, () => {
+        const address = server.address();
+        resolve({
+          url: `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${address.port}`,
+          server,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+      server.on('error', reject);
+    });
+  }
+}
+
+/**
+ * Store a value, dropping the oldest entry once the map is full
+ * @private
+ */
+function remember(map, key, value) {
+  map.set(key, value);
+  if (map.size > MAX_TRACKED) map.delete(map.keys().next().value);
+}
+
+/**
+ * Count PDF pages; anything else is a single page
+ * @private
+ */
+async function countPages(document) {
+  if (!document || document.subarray(0, 5).toString('latin1') !== '%PDF-') return 1;
+  try {
+    const { PDFDocument } = require('pdf-lib');
+    const doc = await PDFDocument.load(document, { ignoreEncryption: true, updateMetadata: false });
+    return doc.getPageCount();
+  } catch (error) {
+    return 1;
+  }
+}
+
+/**
+ * Resolve a fixture path, relative to the project root, and check that it
+ * stays inside the fixtures directory
+ * @private
+ * @throws {Error} FIXTURE_PATH when the path leaves the directory
+ */
+function resolveFixture(directory, file) {
+  const resolved = path.resolve(PROJECT_ROOT, String(file));
+  const relative = path.relative(directory, resolved);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    const error = new Error(`Fixture ${file} is not inside the fixtures directory`);
+    error.code = 'FIXTURE_PATH';
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Read a JSON fixture from the fixtures directory
+ * Symlinks are followed before the directory check. Unwraps recorder
+ * fixtures, so Textract recordings can be served as-is.
+ * @private
+ */
+async function readFixture(directory, file) {
+  if (!file) return null;
+  const real = await fs.promises.realpath(resolveFixture(directory, file));
+  resolveFixture(await fs.promises.realpath(directory), real);
+
+  let data;
+  try {
+    data = JSON.parse(await fs.promises.readFile(real, 'utf8'));
+  } catch (error) {
+    throw new Error(`Fixture ${file} could not be read as JSON`);
+  }
+  return data.response || data;
+}
+
+module.exports = ProviderSimulator;
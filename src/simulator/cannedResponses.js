@@ -0,0 +1,301 @@
+/**
+ * Canned responses for the provider simulator
+ * A small invoice rendered in each service's wire format: Textract blocks
+ * and an Azure Document Intelligence `analyzeResult` (REST shape, flat
+ * polygons). Pages after the first carry a single line of text.
+ */
+
+const INVOICE_LINES = [
+  'ACME Corporation',
+  'Invoice Number: INV-1001',
+  'Invoice Date: 2024-01-15',
+  'Item Qty Amount',
+  'Widget 2 20.00',
+  'Gadget 1 15.00',
+  'Total: 35.00'
+];
+
+const INVOICE_TABLE = [
+  ['Item', 'Qty', 'Amount'],
+  ['Widget', '2', '20.00'],
+  ['Gadget', '1', '15.00']
+];
+
+const INVOICE_FIELDS = [
+  { key: 'Invoice Number:', value: 'INV-1001', line: 1 },
+  { key: 'Invoice Date:', value: '2024-01-15', line: 2 },
+  { key: 'Total:', value: '35.00', line: 6 }
+];
+
+/**
+ * Typed document fields per prebuilt model, in REST form
+ * @private
+ */
+const MODEL_FIELDS = {
+  'prebuilt-invoice': {
+    docType: 'invoice',
+    fields: {
+      VendorName: { type: 'string', valueString: 'ACME Corporation', content: 'ACME Corporation', confidence: 0.97 },
+      InvoiceId: { type: 'string', valueString: 'INV-1001', content: 'INV-1001', confidence: 0.98 },
+      InvoiceDate: { type: 'date', valueDate: '2024-01-15', content: '2024-01-15', confidence: 0.96 },
+      InvoiceTotal: {
+        type: 'currency',
+        valueCurrency: { amount: 35, currencySymbol: '$', currencyCode: 'USD' },
+        content: '35.00',
+        confidence: 0.95
+      }
+    }
+  },
+  'prebuilt-receipt': {
+    docType: 'receipt.retailMeal',
+    fields: {
+      MerchantName: { type: 'string', valueString: 'ACME Corporation', content: 'ACME Corporation', confidence: 0.97 },
+      TransactionDate: { type: 'date', valueDate: '2024-01-15', content: '2024-01-15', confidence: 0.95 },
+      Total: { type: 'number', valueNumber: 35, content: '35.00', confidence: 0.96 }
+    }
+  }
+};
+
+/**
+ * Lines for a page of the canned document
+ * @private
+ */
+function pageLines(pageNumber) {
+  return pageNumber === 1 ? INVOICE_LINES : [`Page ${pageNumber}`];
+}
+
+/**
+ * Textract geometry for a box in relative page coordinates
+ * @private
+ */
+function textractGeometry(left, top, width, height) {
+  return {
+    BoundingBox: { Left: left, Top: top, Width: width, Height: height },
+    Polygon: [
+      { X: left, Y: top },
+      { X: left + width, Y: top },
+      { X: left + width, Y: top + height },
+      { X: left, Y: top + height }
+    ]
+  };
+}
+
+/**
+ * Build Textract blocks (PAGE, LINE, WORD, KEY_VALUE_SET, TABLE, CELL)
+ * @param {number} [pageCount] - Number of pages to generate
+ * @returns {Array<Object>} Blocks
+ */
+function textractBlocks(pageCount = 1) {
+  const blocks = [];
+  let nextId = 1;
+  const id = prefix => `${prefix}-${nextId++}`;
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const page = { Id: id('page'), BlockType: 'PAGE', Page: pageNumber, Geometry: textractGeometry(0, 0, 1, 1), Relationships: [] };
+    blocks.push(page);
+    const wordIds = [];
+
+    pageLines(pageNumber).forEach((text, index) => {
+      const top = 0.05 + index * 0.05;
+      const line = {
+        Id: id('line'),
+        BlockType: 'LINE',
+        Page: pageNumber,
+        Text: text,
+        Confidence: 99.1,
+        Geometry: textractGeometry(0.1, top, 0.6, 0.03),
+        Relationships: [{ Type: 'CHILD', Ids: [] }]
+      };
+      blocks.push(line);
+      page.Relationships.push({ Type: 'CHILD', Ids: [line.Id] });
+
+      const words = text.split(' ');
+      words.forEach((word, position) => {
+        const width = 0.6 / words.length;
+        const block = {
+          Id: id('word'),
+          BlockType: 'WORD',
+          Page: pageNumber,
+          Text: word,
+          Confidence: 98.7,
+          Geometry: textractGeometry(0.1 + position * width, top, width, 0.03)
+        };
+        blocks.push(block);
+        line.Relationships[0].Ids.push(block.Id);
+        wordIds.push({ line: index, word: block });
+      });
+    });
+
+    if (pageNumber !== 1) continue;
+
+    const wordsOfLine = index => wordIds.filter(w => w.line === index).map(w => w.word);
+
+    // Key-value pairs: the words before and after the colon on each line
+    for (const field of INVOICE_FIELDS) {
+      const words = wordsOfLine(field.line);
+      const keyWords = words.slice(0, field.key.split(' ').length);
+      const valueWords = words.slice(keyWords.length);
+      const value = {
+        Id: id('value'),
+        BlockType: 'KEY_VALUE_SET',
+        EntityTypes: ['VALUE'],
+        Page: 1,
+        Confidence: 96.5,
+        Geometry: valueWords[0].Geometry,
+        Relationships: [{ Type: 'CHILD', Ids: valueWords.map(w => w.Id) }]
+      };
+      blocks.push({
+        Id: id('key'),
+        BlockType: 'KEY_VALUE_SET',
+        EntityTypes: ['KEY'],
+        Page: 1,
+        Confidence: 97.2,
+        Geometry: keyWords[0].Geometry,
+        Relationships: [
+          { Type: 'VALUE', Ids: [value.Id] },
+          { Type: 'CHILD', Ids: keyWords.map(w => w.Id) }
+        ]
+      }, value);
+    }
+
+    // Table over lines 3-5, one word per cell
+    const table = {
+      Id: id('table'),
+      BlockType: 'TABLE',
+      Page: 1,
+      Confidence: 97.5,
+      Geometry: textractGeometry(0.1, 0.2, 0.6, 0.15),
+      Relationships: [{ Type: 'CHILD', Ids: [] }]
+    };
+    blocks.push(table);
+    INVOICE_TABLE.forEach((row, rowIndex) => {
+      const words = wordsOfLine(3 + rowIndex);
+      row.forEach((_, columnIndex) => {
+        const cell = {
+          Id: id('cell'),
+          BlockType: 'CELL',
+          Page: 1,
+          RowIndex: rowIndex + 1,
+          ColumnIndex: columnIndex + 1,
+          RowSpan: 1,
+          ColumnSpan: 1,
+          Confidence: 95.4,
+          Geometry: words[columnIndex].Geometry,
+          ...(rowIndex === 0 && { EntityTypes: ['COLUMN_HEADER'] }),
+          Relationships: [{ Type: 'CHILD', Ids: [words[columnIndex].Id] }]
+        };
+        blocks.push(cell);
+        table.Relationships[0].Ids.push(cell.Id);
+      });
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Azure polygon (flat, in inches) for a box on a letter-size page
+ * @private
+ */
+function azurePolygon(left, top, width, height) {
+  return [left, top, left + width, top, left + width, top + height, left, top + height];
+}
+
+/**
+ * Build an Azure `analyzeResult` for a model
+ * Prebuilt invoice and receipt models also return a typed document.
+ * @param {string} modelId - Model ID from the request path
+ * @param {string} apiVersion - API version from the request
+ * @param {number} [pageCount] - Number of pages to generate
+ * @returns {Object} analyzeResult
+ */
+function azureAnalyzeResult(modelId, apiVersion, pageCount = 1) {
+  let content = '';
+  const pages = [];
+  const lineSpans = {};
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const pageOffset = content.length;
+    const page = { pageNumber, angle: 0, width: 8.5, height: 11, unit: 'inch', words: [], lines: [], spans: [] };
+
+    pageLines(pageNumber).forEach((text, index) => {
+      if (content) content += '\n';
+      const offset = content.length;
+      content += text;
+      const top = 0.5 + index * 0.5;
+      page.lines.push({
+        content: text,
+        polygon: azurePolygon(1, top, 5, 0.3),
+        spans: [{ offset, length: text.length }]
+      });
+      lineSpans[`${pageNumber}:${index}`] = { offset, length: text.length, top };
+
+      let wordOffset = offset;
+      const words = text.split(' ');
+      words.forEach((word, position) => {
+        const width = 5 / words.length;
+        page.words.push({
+          content: word,
+          polygon: azurePolygon(1 + position * width, top, width, 0.3),
+          confidence: 0.987,
+          span: { offset: wordOffset, length: word.length }
+        });
+        wordOffset += word.length + 1;
+      });
+    });
+
+    page.spans.push({ offset: pageOffset, length: content.length - pageOffset });
+    pages.push(page);
+  }
+
+  const region = (line, left = 1, width = 5) => [{ pageNumber: 1, polygon: azurePolygon(left, lineSpans[`1:${line}`].top, width, 0.3) }];
+  const span = line => [{ offset: lineSpans[`1:${line}`].offset, length: lineSpans[`1:${line}`].length }];
+
+  const cells = INVOICE_TABLE.flatMap((row, rowIndex) => row.map((text, columnIndex) => ({
+    ...(rowIndex === 0 && { kind: 'columnHeader' }),
+    rowIndex,
+    columnIndex,
+    content: text,
+    boundingRegions: region(3 + rowIndex, 1 + columnIndex * (5 / 3), 5 / 3),
+    spans: []
+  })));
+
+  const keyValuePairs = INVOICE_FIELDS.map(field => ({
+    key: { content: field.key.replace(/:$/, ''), boundingRegions: region(field.line, 1, 2), spans: [] },
+    value: { content: field.value, boundingRegions: region(field.line, 3, 3), spans: [] },
+    confidence: 0.94
+  }));
+
+  const typed = MODEL_FIELDS[modelId];
+
+  return {
+    apiVersion,
+    modelId,
+    stringIndexType: 'textElements',
+    content,
+    pages,
+    tables: [{
+      rowCount: INVOICE_TABLE.length,
+      columnCount: INVOICE_TABLE[0].length,
+      cells,
+      boundingRegions: [{ pageNumber: 1, polygon: azurePolygon(1, 2, 5, 1.3) }],
+      spans: [3, 4, 5].flatMap(span)
+    }],
+    keyValuePairs,
+    styles: [],
+    documents: typed
+      ? [{
+        docType: typed.docType,
+        boundingRegions: [{ pageNumber: 1, polygon: azurePolygon(0, 0, 8.5, 11) }],
+        fields: typed.fields,
+        confidence: 0.99,
+        spans: [{ offset: 0, length: content.length }]
+      }]
+      : []
+  };
+}
+
+module.exports = {
+  textractBlocks,
+  azureAnalyzeResult
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const ProviderSimulator = require('./ProviderSimulator');
+
+/**
+ * Load simulator settings from YAML
+ * Defaults to simulator.yaml at the project root; override with
+ * SIMULATOR_CONFIG. A missing file runs the simulator with defaults.
+ * @param {string} [file] - Settings file
+ * @returns {Object} Simulator settings
+ */
+function loadSettings(file = process.env.SIMULATOR_CONFIG || path.join(__dirname, '../../simulator.yaml')) {
+  try {
+    return yaml.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`Simulator settings not found at ${file}, using defaults`);
+    return {};
+  }
+}
+
+if (require.main === module) {
+  const settings = loadSettings();
+  const simulator = new ProviderSimulator(settings);
+  const port = Number(process.env.PORT || settings.port || 4000);
+  const host = settings.host || '0.0.0.0';
+
+  simulator.listen(port, host).then(() => {
+    console.log(`Provider simulator listening on http://${host}:${port}`);
+    console.log('  Textract: POST / (X-Amz-Target: Textract.*), S3: PUT/GET/DELETE /:bucket/:key');
+    console.log('  Azure:    POST /formrecognizer/documentModels/{modelId}:analyze');
+  });
+}
+
+module.exports = { ProviderSimulator, loadSettings };
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const UsageStore = require('./UsageStore');
+
+const READ_CHUNK = 1024 * 1024;
+
+/**
+ * File Usage Store
+ * Keeps usage as an append-only log of JSON lines, one event per request
+ * or reset, and derives each client's totals from it. Every event is one
+ * write to a file opened in append mode, so concurrent writers (requests
+ * in this process, or other gateway instances with the same file on a
+ * shared local volume) never overwrite each other's counts.
+ *
+ * Reads are served from memory. The store catches up with what other
+ * instances appended every `refreshIntervalMs`, and after each of its own
+ * writes. Every `snapshotEvery` events it saves its totals and the log
+ * position they cover next to the log (`<path>.snapshot.json`), so a
+ * restart only replays the events after the snapshot. Lines that cannot
+ * be parsed, such as one torn by a crash mid-write, are skipped with a
+ * warning.
+ */
+class FileUsageStore extends UsageStore {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.path - Absolute path of the log file
+   * @param {number} [settings.refreshIntervalMs] - How often to read what
+   *   other instances appended; 0 only reads on writes and `refresh()`
+   * @param {number} [settings.snapshotEvery] - Events between snapshots
+   */
+  constructor({ path: filePath, refreshIntervalMs = 1000, snapshotEvery = 1000 }) {
+    super();
+    this.path = filePath;
+    this.snapshotPath = `${filePath}.snapshot.json`;
+    this.snapshotEvery = snapshotEvery;
+    this.fd = null;
+    this.usage = {};
+    this.offset = 0;
+    this.sinceSnapshot = 0;
+
+    this.loadSnapshot();
+    this.refresh();
+
+    this.timer = null;
+    if (refreshIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        try {
+          this.refresh();
+        } catch (error) {
+          console.warn(`Usage log ${this.path}: refresh failed: ${error.message}`);
+        }
+      }, refreshIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  add(clientId, pageCount, cost = 0) {
+    this.append({ type: 'add', clientId, pages: pageCount, cost, at: new Date().toISOString() });
+    this.refresh();
+    return this.get(clientId);
+  }
+
+  get(clientId) {
+    return this.usage[clientId] ? { ...this.usage[clientId] } : null;
+  }
+
+  getAll() {
+    return Object.fromEntries(Object.entries(this.usage).map(([clientId, usage]) => [clientId, { ...usage }]));
+  }
+
+  reset(clientId) {
+    this.append({ type: 'reset', clientId, at: new Date().toISOString() });
+    this.refresh();
+  }
+
+  /**
+   * Apply the events appended since the last read, by this or other
+   * instances
+   * A trailing line without its newline may still be being written by
+   * another instance, so it waits for the next read.
+   */
+  refresh() {
+    if (!this.open(false)) return;
+
+    const { size } = fs.fstatSync(this.fd);
+    if (size < this.offset) {
+      // Truncated, e.g. restored from an older backup: start over
+      this.usage = {};
+      this.offset = 0;
+    }
+
+    while (this.offset < size) {
+      const chunk = Buffer.alloc(Math.min(size - this.offset, READ_CHUNK));
+      const read = fs.readSync(this.fd, chunk, 0, chunk.length, this.offset);
+      const end = chunk.lastIndexOf(0x0a, read - 1);
+      if (end === -1) {
+        if (read < READ_CHUNK) break;
+        console.warn(`Usage log ${this.path}: skipping a line longer than ${READ_CHUNK} bytes`);
+        this.offset += read;
+        continue;
+      }
+      this.applyLines(chunk.toString('utf8', 0, end));
+      this.offset += end + 1;
+    }
+
+    if (this.sinceSnapshot >= this.snapshotEvery) {
+      this.saveSnapshot();
+    }
+  }
+
+  /**
+   * Stop reading the log and close it
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Append one event as a single write
+   * @private
+   */
+  append(event) {
+    this.open(true);
+    // Keep a torn last line (left by a crash) from swallowing this event
+    const line = `${this.endsMidLine() ? '\n' : ''}${JSON.stringify(event)}\n`;
+    const bytes = Buffer.from(line);
+    const written = fs.writeSync(this.fd, bytes);
+    if (written !== bytes.length) {
+      throw new Error(`Usage log ${this.path}: short write (${written} of ${bytes.length} bytes)`);
+    }
+  }
+
+  /**
+   * Apply complete log lines
+   * @private
+   */
+  applyLines(text) {
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Usage log ${this.path}: skipping unreadable line: ${line.slice(0, 80)}`);
+        continue;
+      }
+      this.applyEvent(this.usage, event);
+      this.sinceSnapshot++;
+    }
+  }
+
+  /**
+   * Start from the last snapshot, if it belongs to the current log
+   * @private
+   */
+  loadSnapshot() {
+    if (!this.open(false)) return;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Usage snapshot ${this.snapshotPath}: ignored, replaying the log (${error.message})`);
+      }
+      return;
+    }
+
+    const { ino, size } = fs.fstatSync(this.fd);
+    if (snapshot.ino !== ino || !(snapshot.offset <= size)) {
+      console.warn(`Usage snapshot ${this.snapshotPath}: taken from another log, replaying the log`);
+      return;
+    }
+    this.usage = snapshot.usage || {};
+    this.offset = snapshot.offset;
+  }
+
+  /**
+   * Save the totals and the log position they cover
+   * Written to a temporary file and renamed, so readers never see a
+   * partial snapshot; any instance's snapshot is valid for all of them.
+   * @private
+   */
+  saveSnapshot() {
+    const snapshot = {
+      ino: fs.fstatSync(this.fd).ino,
+      offset: this.offset,
+      at: new Date().toISOString(),
+      usage: this.usage
+    };
+    // Instances in separate containers can share a pid
+    const temporary = `${this.snapshotPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      fs.writeFileSync(temporary, JSON.stringify(snapshot));
+      fs.renameSync(temporary, this.snapshotPath);
+      this.sinceSnapshot = 0;
+    } catch (error) {
+      console.warn(`Usage snapshot ${this.snapshotPath}: not saved: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open the log file, creating it (and its directory) for writing
+   * @private
+   * @returns {boolean} Whether the file is open
+   */
+  open(create) {
+    if (this.fd !== null) return true;
+    if (!create && !fs.existsSync(this.path)) return false;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.fd = fs.openSync(this.path, 'a+');
+    return true;
+  }
+
+  /**
+   * Whether the log's last line lacks its newline
+   * @private
+   */
+  endsMidLine() {
+    const { size } = fs.fstatSync(this.fd);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(this.fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  }
+}
+
+module.exports = FileUsageStore;
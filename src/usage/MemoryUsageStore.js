@@ -0,0 +1,32 @@
+const UsageStore = require('./UsageStore');
+
+/**
+ * Memory Usage Store
+ * Keeps usage in this process only: it is lost on restart and not shared
+ * between gateway instances. Meant for tests and throwaway setups.
+ */
+class MemoryUsageStore extends UsageStore {
+  constructor() {
+    super();
+    this.usage = {};
+  }
+
+  add(clientId, pageCount, cost = 0) {
+    this.applyEvent(this.usage, { type: 'add', clientId, pages: pageCount, cost, at: new Date().toISOString() });
+    return { ...this.usage[clientId] };
+  }
+
+  get(clientId) {
+    return this.usage[clientId] ? { ...this.usage[clientId] } : null;
+  }
+
+  getAll() {
+    return Object.fromEntries(Object.entries(this.usage).map(([clientId, usage]) => [clientId, { ...usage }]));
+  }
+
+  reset(clientId) {
+    this.applyEvent(this.usage, { type: 'reset', clientId, at: new Date().toISOString() });
+  }
+}
+
+module.exports = MemoryUsageStore;
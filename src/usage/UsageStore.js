@@ -0,0 +1,85 @@
+/**
+ * Usage Store Interface
+ * Defines the contract for where client usage (pages and requests, which
+ * drive volume discounts) is kept. Stores are synchronous because prices
+ * are computed synchronously on every routing decision; a store backed by
+ * a remote service has to keep a local view of it.
+ *
+ * A client's usage is `{ pages, requests, totalCost, lastReset }`.
+ */
+class UsageStore {
+  /**
+   * Add one request's pages and cost to a client's usage
+   * Must be atomic: concurrent calls, from this process or from other
+   * gateway instances sharing the store, may not lose counts.
+   * @param {string} clientId - Client identifier
+   * @param {number} pageCount - Pages to add
+   * @param {number} [cost] - Final cost of the request, in USD
+   * @returns {Object} The client's updated usage
+   */
+  add(clientId, pageCount, cost = 0) {
+    throw new Error('Method not implemented: add()');
+  }
+
+  /**
+   * Get a client's usage
+   * @param {string} clientId - Client identifier
+   * @returns {Object|null} Usage, or null when nothing was recorded
+   */
+  get(clientId) {
+    throw new Error('Method not implemented: get()');
+  }
+
+  /**
+   * Get every client's usage
+   * @returns {Object<string, Object>} Usage keyed by client ID
+   */
+  getAll() {
+    throw new Error('Method not implemented: getAll()');
+  }
+
+  /**
+   * Set a client's usage back to zero
+   * @param {string} clientId - Client identifier
+   */
+  reset(clientId) {
+    throw new Error('Method not implemented: reset()');
+  }
+
+  /**
+   * Apply a usage event to a map of usage per client
+   * Stores that log events share this to rebuild their totals.
+   * @protected
+   * @param {Object<string, Object>} usage - Usage keyed by client ID, updated in place
+   * @param {Object} event - `{ type: 'add', clientId, pages, cost, at }` or
+   *   `{ type: 'reset', clientId, at }`
+   */
+  applyEvent(usage, event) {
+    if (event.type === 'reset') {
+      usage[event.clientId] = emptyUsage(event.at);
+      return;
+    }
+    if (event.type === 'add') {
+      const clientUsage = usage[event.clientId] || (usage[event.clientId] = emptyUsage(event.at));
+      clientUsage.pages += event.pages;
+      clientUsage.requests += 1;
+      // Rounded to avoid floating point drift over many small costs
+      clientUsage.totalCost = Math.round((clientUsage.totalCost + (event.cost || 0)) * 1e6) / 1e6;
+    }
+  }
+}
+
+/**
+ * Usage of a client with nothing recorded since `at`
+ * @private
+ */
+function emptyUsage(at) {
+  return {
+    pages: 0,
+    totalCost: 0,
+    requests: 0,
+    lastReset: at
+  };
+}
+
+module.exports = UsageStore;
@@ -0,0 +1,54 @@
+const path = require('path');
+const UsageStore = require('./UsageStore');
+const MemoryUsageStore = require('./MemoryUsageStore');
+const FileUsageStore = require('./FileUsageStore');
+
+const ROOT = path.resolve(__dirname, '../..');
+const DEFAULT_PATH = 'uploads/usage.jsonl';
+
+/**
+ * Create the usage store configured under `usage` in config.yaml
+ * `store` is `file` (the default, logging to `path`), `memory`, or the
+ * path or package name of a module exporting a class that extends
+ * UsageStore, created with the `usage` block. Relative paths resolve
+ * from the gateway's root directory.
+ * @param {Object} [settings] - The `usage` config block
+ * @returns {UsageStore}
+ */
+function createUsageStore(settings = {}) {
+  const store = settings.store || 'file';
+  if (store === 'memory') {
+    return new MemoryUsageStore();
+  }
+  if (store === 'file') {
+    return new FileUsageStore({ ...settings, path: path.resolve(ROOT, settings.path || DEFAULT_PATH) });
+  }
+  return loadUsageStore(store, settings);
+}
+
+/**
+ * Load and validate a custom usage store module
+ * @private
+ */
+function loadUsageStore(store, settings) {
+  const modulePath = store.startsWith('.') || path.isAbsolute(store) ? path.resolve(ROOT, store) : store;
+  let exported;
+  try {
+    exported = require(modulePath);
+  } catch (error) {
+    throw new Error(`Usage store ${store}: failed to load (${error.message})`);
+  }
+
+  const StoreClass = exported?.Store || exported?.default || exported;
+  if (typeof StoreClass !== 'function' || !(StoreClass.prototype instanceof UsageStore)) {
+    throw new Error(`Usage store ${store}: must export a class extending UsageStore`);
+  }
+  for (const method of ['add', 'get', 'getAll', 'reset']) {
+    if (StoreClass.prototype[method] === UsageStore.prototype[method]) {
+      throw new Error(`Usage store ${store}: must implement ${method}()`);
+    }
+  }
+  return new StoreClass(settings);
+}
+
+module.exports = { createUsageStore, UsageStore, MemoryUsageStore, FileUsageStore };
@@ -0,0 +1,133 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const providerStats = require('../src/services/ProviderStats');
+const { fakeProvider } = require('./support/providers');
+
+/**
+ * Record `count` calls of a provider for invoices
+ */
+function seed(name, count, durationMs, failures = 0) {
+  for (let i = 0; i < count; i++) {
+    providerStats.record(name, 'invoice', { durationMs, outcome: i < failures ? 'error' : 'success' });
+  }
+}
+
+describe('ProviderStats', () => {
+  const originalAdaptive = config.config.adaptiveRouting;
+
+  beforeEach(() => providerStats.reset());
+  afterAll(() => {
+    config.config.adaptiveRouting = originalAdaptive;
+  });
+
+  it('keeps rolling percentiles, error and fallback rates', () => {
+    config.config.adaptiveRouting = { windowSize: 4 };
+    providerStats.record('aws', 'invoice', { durationMs: 900, outcome: 'error' });
+    providerStats.record('aws', 'invoice', { durationMs: 100, outcome: 'success' });
+    providerStats.record('aws', 'invoice', { durationMs: 300, outcome: 'low-confidence' });
+    providerStats.record('aws', 'invoice', { durationMs: 200, outcome: 'error' });
+    providerStats.record('aws', 'invoice', { durationMs: 400, outcome: 'success' });
+
+    expect(providerStats.getStats('aws', 'invoice')).toEqual({
+      samples: 4, p50Ms: 200, p95Ms: 400, errorRate: 0.25, fallbackRate: 0.5
+    });
+    expect(providerStats.getStats('aws', 'receipt')).toMatchObject({ samples: 0, p95Ms: null });
+  });
+});
+
+describe('RoutingEngine adaptive routing', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+  const originalAdaptive = config.config.adaptiveRouting;
+  const originalRules = config.config.routingRules;
+
+  let slow;
+  let fast;
+  let fresh;
+  beforeEach(() => {
+    slow = fakeProvider('slow', {}, { pricePerPage: 0.01 });
+    fast = fakeProvider('fast', {}, { pricePerPage: 0.01 });
+    fresh = fakeProvider('fresh', {}, { pricePerPage: 0.001 });
+    providerFactory.providers = { slow, fast, fresh };
+    config.config.routing = { invoice: ['slow', 'fresh', 'fast'] };
+    config.config.adaptiveRouting = { enabled: false, minSamples: 5 };
+    config.config.routingRules = [];
+    config.validate();
+    routingEngine.resetCircuitBreakers();
+    providerStats.reset();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+    config.config.adaptiveRouting = originalAdaptive;
+    config.config.routingRules = originalRules;
+    config.validate();
+  });
+
+  it('reorders scored providers and leaves the others in place', async () => {
+    seed('slow', 10, 4000, 3);
+    seed('fast', 10, 1000);
+    seed('fresh', 2, 100);
+
+    const result = await routingEngine.extractWithFallback(
+      Buffer.from('x'), 'a.png', 'image/png', 'invoice', { routingMode: 'adaptive' }
+    );
+
+    expect(fast.calls).toBe(1);
+    expect(slow.calls).toBe(0);
+    expect(result._routing).toMatchObject({
+      provider: 'fast',
+      reason: 'adaptive',
+      adaptive: { applied: true, reason: 'Reordered by score: fast 1 > slow 0.6625' }
+    });
+    expect(result._routing.adaptive.ranking.map(r => [r.provider, r.position, r.configuredPosition])).toEqual([
+      ['fast', 1, 3], ['fresh', 2, 2], ['slow', 3, 1]
+    ]);
+    expect(result._routing.adaptive.ranking[2].scores).toEqual({ cost: 1, latency: 0.25, reliability: 0.7 });
+    expect(providerStats.getStats('fast', 'invoice').samples).toBe(11);
+  });
+
+  it('keeps the configured order without enough data or in priority mode', async () => {
+    seed('fast', 10, 1000);
+    seed('slow', 4, 4000);
+    config.config.adaptiveRouting.enabled = true;
+
+    const sparse = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+    expect(sparse._routing).toMatchObject({
+      provider: 'slow',
+      reason: 'primary',
+      adaptive: { applied: false, reason: 'Configured order kept: 1 of 3 providers have 5+ calls for invoice' }
+    });
+
+    seed('slow', 10, 4000);
+    const priority = await routingEngine.extractWithFallback(
+      Buffer.from('x'), 'a.png', 'image/png', 'invoice', { routingMode: 'priority' }
+    );
+    expect(priority._routing.provider).toBe('slow');
+    expect(priority._routing.adaptive).toBeUndefined();
+  });
+
+  it('counts low-confidence results and failures as fallbacks', async () => {
+    providerFactory.providers.slow = fakeProvider('slow', { confidence: 0.1 }, { pricePerPage: 0.01 });
+    providerFactory.providers.fresh = fakeProvider('fresh', new Error('down'), { pricePerPage: 0.001 });
+
+    await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(providerStats.getStats('slow', 'invoice')).toMatchObject({ samples: 1, errorRate: 0, fallbackRate: 1 });
+    expect(providerStats.getStats('fresh', 'invoice')).toMatchObject({ samples: 1, errorRate: 1 });
+    expect(providerStats.getStats('fast', 'invoice')).toMatchObject({ samples: 1, fallbackRate: 0 });
+  });
+
+  it('reports stats and the adaptive order in routing info', () => {
+    seed('slow', 10, 4000);
+    seed('fast', 10, 1000);
+
+    const info = routingEngine.getRoutingInfo('invoice');
+
+    expect(info.stats.fast).toMatchObject({ samples: 10, p95Ms: 1000 });
+    expect(info.stats.fresh.samples).toBe(0);
+    expect(info.adaptive).toMatchObject({ enabled: false, applied: true, order: ['fast', 'fresh', 'slow'] });
+  });
+});
@@ -0,0 +1,123 @@
+const http = require('http');
+const AWSProvider = require('../src/providers/AWSProvider');
+const { createS3Server, createTextractServer } = require('./support/awsServers');
+const { buildPdf } = require('./support/pdf');
+
+describe('AWSProvider', () => {
+  let s3;
+  let textract;
+  let provider;
+
+  beforeAll(async () => {
+    s3 = await createS3Server();
+    textract = await createTextractServer(s3);
+  });
+
+  afterAll(async () => {
+    await textract.close();
+    await s3.close();
+  });
+
+  beforeEach(() => {
+    textract.state.calls = [];
+    textract.state.failJobs = false;
+    s3.log.length = 0;
+    provider = new AWSProvider({
+      endpoint: textract.url,
+      credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+      s3: { bucket: 'docs', endpoint: s3.url, forcePathStyle: true },
+      polling: { initialDelayMs: 5, maxDelayMs: 20, maxWaitMs: 2000 }
+    });
+  });
+
+  it('analyzes single-page documents synchronously', async () => {
+    const result = await provider.extract(buildPdf(['one']), 'single.pdf', 'application/pdf');
+
+    expect(textract.state.calls).toEqual(['AnalyzeDocument']);
+    expect(result.pages.map(p => p.pageNumber)).toEqual([1]);
+  });
+
+  it('stages multi-page PDFs in S3, polls the job and stitches every page', async () => {
+    const result = await provider.extract(buildPdf(['one', 'two', 'three']), 'multi.pdf', 'application/pdf');
+
+    expect(textract.state.calls).toEqual([
+      'StartDocumentAnalysis',
+      'GetDocumentAnalysis',
+      'GetDocumentAnalysis',
+      'GetDocumentAnalysis',
+      'GetDocumentAnalysis',
+      'GetDocumentAnalysis'
+    ]);
+    expect(result.pages.map(p => [p.pageNumber, p.text])).toEqual([
+      [1, 'Text on page 1'],
+      [2, 'Text on page 2'],
+      [3, 'Text on page 3']
+    ]);
+    expect(result.metadata.jobStatus).toBe('SUCCEEDED');
+    expect(s3.log.map(l => l.split(' ')[0])).toEqual(['PUT', 'DELETE']);
+    expect(s3.objects.size).toBe(0);
+  });
+
+  it('reports failed jobs as terminal errors and still cleans up', async () => {
+    textract.state.failJobs = true;
+
+    await expect(provider.extract(buildPdf(['one', 'two']), 'multi.pdf', 'application/pdf'))
+      .rejects.toMatchObject({ code: 'JOB_FAILED', retryable: false });
+    expect(s3.objects.size).toBe(0);
+  });
+
+  it('stops waiting between job polls as soon as the call is aborted', async () => {
+    provider.polling = { ...provider.polling, initialDelayMs: 10000, maxWaitMs: 60000 };
+    const controller = new AbortController();
+    let abortedAt;
+    const watcher = setInterval(() => {
+      if (textract.state.calls.includes('GetDocumentAnalysis')) {
+        clearInterval(watcher);
+        abortedAt = Date.now();
+        controller.abort(new Error('Deadline passed'));
+      }
+    }, 5);
+
+    try {
+      await expect(provider.extract(buildPdf(['one', 'two']), 'multi.pdf', 'application/pdf', {
+        signal: controller.signal
+      })).rejects.toThrow('Deadline passed');
+    } finally {
+      clearInterval(watcher);
+    }
+    expect(Date.now() - abortedAt).toBeLessThan(1000);
+    expect(textract.state.calls).toEqual(['StartDocumentAnalysis', 'GetDocumentAnalysis']);
+    expect(s3.objects.size).toBe(0);
+  });
+
+  it('gives job polling its own budget and covers it in the call deadline', () => {
+    expect(new AWSProvider({ timeout: 45000 }).polling.maxWaitMs).toBe(600000);
+    expect(new AWSProvider({ timeout: 45000 }).getTimeout()).toBe(645000);
+    expect(new AWSProvider({ polling: { maxWaitMs: 120000 } }).getTimeout()).toBe(180000);
+  });
+
+  it('bounds each request by the provider timeout', async () => {
+    const hung = http.createServer(() => {});
+    await new Promise(resolve => hung.listen(0, '127.0.0.1', resolve));
+    try {
+      const slow = new AWSProvider({
+        endpoint: `http://127.0.0.1:${hung.address().port}`,
+        credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+        timeout: 100
+      });
+
+      await expect(slow.extract(buildPdf(['one']), 'single.pdf', 'application/pdf'))
+        .rejects.toMatchObject({ code: 'TIMEOUT', retryable: true, message: expect.stringContaining('timed out after 100ms') });
+    } finally {
+      hung.closeAllConnections();
+      await new Promise(resolve => hung.close(resolve));
+    }
+  });
+
+  it('requires a bucket for multi-page documents', async () => {
+    provider.s3.bucket = '';
+
+    await expect(provider.extract(buildPdf(['one', 'two']), 'multi.pdf', 'application/pdf'))
+      .rejects.toMatchObject({ code: 'CONFIGURATION' });
+  });
+});
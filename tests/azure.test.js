@@ -0,0 +1,137 @@
+const AzureProvider = require('../src/providers/AzureProvider');
+
+/**
+ * Fake DocumentAnalysisClient recording the model used
+ */
+function fakeClient(result) {
+  const calls = [];
+  return {
+    calls,
+    async beginAnalyzeDocument(modelId, buffer) {
+      calls.push(modelId);
+      return { pollUntilDone: async () => ({ modelId, ...result }) };
+    }
+  };
+}
+
+const invoiceResult = {
+  pages: [{ pageNumber: 1, lines: [{ content: 'INVOICE' }], words: [{}] }],
+  tables: [],
+  keyValuePairs: [],
+  documents: [{
+    docType: 'invoice',
+    confidence: 0.98,
+    fields: {
+      VendorName: { kind: 'string', value: 'Contoso', content: 'Contoso', confidence: 0.95 },
+      InvoiceTotal: {
+        kind: 'currency',
+        value: { amount: 110, currencySymbol: '$', currencyCode: 'USD' },
+        content: '$110.00',
+        confidence: 0.93
+      },
+      DueDate: { kind: 'date', value: new Date('2024-02-15T00:00:00Z'), content: '15 Feb 2024', confidence: 0.9 },
+      Items: {
+        kind: 'array',
+        values: [{
+          kind: 'object',
+          properties: {
+            Description: { kind: 'string', value: 'Consulting', content: 'Consulting', confidence: 0.91 },
+            Quantity: { kind: 'number', value: 2, content: '2', confidence: 0.88 }
+          },
+          content: 'Consulting 2',
+          confidence: 0.9
+        }]
+      }
+    }
+  }]
+};
+
+describe('AzureProvider', () => {
+  it('chooses the prebuilt model for the document type', async () => {
+    const provider = new AzureProvider({});
+    provider.client = fakeClient(invoiceResult);
+
+    await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf', { documentType: 'invoice' });
+    await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf', { documentType: 'id_document' });
+    await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf', {});
+
+    expect(provider.client.calls).toEqual(['prebuilt-invoice', 'prebuilt-idDocument', 'prebuilt-document']);
+  });
+
+  it('allows per-type overrides including custom models', async () => {
+    const provider = new AzureProvider({ models: { invoice: 'acme-invoices-v3' } });
+    provider.client = fakeClient(invoiceResult);
+
+    const result = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf', { documentType: 'invoice' });
+
+    expect(provider.client.calls).toEqual(['acme-invoices-v3']);
+    expect(result.metadata.model).toBe('acme-invoices-v3');
+  });
+
+  it('surfaces typed fields', async () => {
+    const provider = new AzureProvider({});
+    provider.client = fakeClient(invoiceResult);
+
+    const { fields } = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf', { documentType: 'invoice' });
+
+    expect(fields.documentType).toBe('invoice');
+    expect(fields.values.VendorName).toEqual({ type: 'string', value: 'Contoso', content: 'Contoso', confidence: 0.95 });
+    expect(fields.values.InvoiceTotal.value).toEqual({ amount: 110, currencyCode: 'USD', currencySymbol: '$' });
+    expect(fields.values.DueDate.value).toBe('2024-02-15');
+    expect(fields.values.Items.value[0].value.Quantity.value).toBe(2);
+  });
+
+  it('rebuilds tables as cell grids with spans and header rows', () => {
+    const provider = new AzureProvider({});
+    const result = provider.normalizeAzureResponse({
+      tables: [{
+        rowCount: 3,
+        columnCount: 2,
+        boundingRegions: [{ pageNumber: 2 }],
+        cells: [
+          { rowIndex: 0, columnIndex: 0, kind: 'columnHeader', content: 'Item' },
+          { rowIndex: 0, columnIndex: 1, kind: 'columnHeader', content: 'Amount' },
+          { rowIndex: 1, columnIndex: 0, content: 'Widget' },
+          { rowIndex: 1, columnIndex: 1, content: '20.00' },
+          { rowIndex: 2, columnIndex: 0, columnSpan: 2, content: 'Paid' }
+        ]
+      }]
+    }, 'prebuilt-layout');
+
+    expect(result.tables[0]).toMatchObject({
+      rows: 3,
+      columns: 2,
+      cells: [['Item', 'Amount'], ['Widget', '20.00'], ['Paid', '']],
+      merged: [{ row: 2, column: 0, rowSpan: 1, columnSpan: 2 }],
+      headerRows: [0],
+      pageNumber: 2
+    });
+  });
+
+  it('normalizes polygons against the page size when geometry is requested', () => {
+    const provider = new AzureProvider({});
+    const region = { pageNumber: 1, polygon: [{ x: 1, y: 1 }, { x: 3, y: 1 }, { x: 3, y: 2 }, { x: 1, y: 2 }] };
+    const result = provider.normalizeAzureResponse({
+      pages: [{
+        pageNumber: 1,
+        width: 8,
+        height: 10,
+        unit: 'inch',
+        angle: 0.5,
+        lines: [{ content: 'Total', polygon: region.polygon }],
+        words: [{ content: 'Total', polygon: region.polygon, confidence: 0.99 }]
+      }],
+      keyValuePairs: [{
+        key: { content: 'Total', boundingRegions: [region] },
+        value: { content: '$5', boundingRegions: [region] },
+        confidence: 0.8
+      }]
+    }, 'prebuilt-document', { includeGeometry: true });
+
+    const box = { left: 0.125, top: 0.1, width: 0.25, height: 0.1 };
+    expect(result.pages[0].geometry).toMatchObject({ width: 8, height: 10, unit: 'inch', rotation: 0.5 });
+    expect(result.pages[0].geometry.words[0]).toMatchObject({ text: 'Total', confidence: 0.99, boundingBox: box });
+    expect(result.forms[0]).toMatchObject({ key: 'Total', value: '$5', confidence: 0.8 });
+    expect(result.forms[0].valueGeometry.boundingBox).toEqual(box);
+  });
+});
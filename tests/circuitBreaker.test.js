@@ -0,0 +1,68 @@
+const CircuitBreaker = require('../src/services/CircuitBreaker');
+
+describe('CircuitBreaker', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('opens after consecutive failures and rejects calls during the cooldown', () => {
+    const breaker = new CircuitBreaker('azure', { failureThreshold: 3, cooldownMs: 60000 });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure();
+
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getState()).toMatchObject({ state: 'open', consecutiveFailures: 3, errorRate: 1 });
+    expect(breaker.getState().retryAt).not.toBeNull();
+  });
+
+  it('opens on the error rate once enough calls were seen', () => {
+    const breaker = new CircuitBreaker('aws', {
+      failureThreshold: 100, errorRateThreshold: 0.5, minimumRequests: 4, windowSize: 4
+    });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.getState().state).toBe('closed');
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.getState()).toMatchObject({ state: 'open', errorRate: 0.5, recentCalls: 4 });
+  });
+
+  it('lets one probe through when half-open and closes when it succeeds', async () => {
+    const breaker = new CircuitBreaker('azure', { failureThreshold: 1, cooldownMs: 20 });
+    breaker.recordFailure();
+
+    await wait(30);
+    expect(breaker.getState().state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0, recentCalls: 0 });
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  it('reopens when a probe fails', async () => {
+    const breaker = new CircuitBreaker('azure', { failureThreshold: 1, cooldownMs: 20 });
+    breaker.recordFailure();
+
+    await wait(30);
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure();
+
+    expect(breaker.getState().state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  it('never opens when disabled', () => {
+    const breaker = new CircuitBreaker('aws', { enabled: false, failureThreshold: 1 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('closed');
+  });
+});
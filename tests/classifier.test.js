@@ -0,0 +1,157 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const documentClassifier = require('../src/services/DocumentClassifier');
+const routingEngine = require('../src/services/RoutingEngine');
+const PdfTextProvider = require('../src/providers/PdfTextProvider');
+const { fakeProvider, TEXT_CAPABILITIES } = require('./support/providers');
+const { buildPdf } = require('./support/pdf');
+
+describe('DocumentClassifier', () => {
+  afterEach(() => documentClassifier.configure(config.get('classification') || {}));
+
+  it('matches whole file name tokens only', () => {
+    expect(routingEngine.detectDocumentType('video.pdf', 'application/pdf')).toBe('generic');
+    expect(routingEngine.detectDocumentType('paid_invoice.pdf', 'application/pdf')).toBe('invoice');
+    expect(routingEngine.detectDocumentType('scan-id-front.png', 'image/png')).toBe('id_document');
+    expect(routingEngine.detectDocumentType('INV-2024-001.pdf', 'application/pdf')).toBe('invoice');
+  });
+
+  it('classifies by content with confidence and matched signals', () => {
+    const result = documentClassifier.classify({
+      fileName: 'scan001.pdf',
+      text: 'ACME Corp\nInvoice Number: 42\nBill To: Jane\nSubtotal $10.00\nTax $1.00\nAmount Due $11.00',
+      tables: [{ cells: [['a']] }],
+      pageCount: 1
+    });
+
+    expect(result.type).toBe('invoice');
+    expect(result.confidence).toBeGreaterThan(0.7);
+    expect(result.signals).toEqual(expect.arrayContaining([
+      { rule: 'keyword', signal: 'invoice', weight: 3 },
+      { rule: 'keyword', signal: 'bill to', weight: 2 },
+      { rule: 'layout', signal: 'tables', weight: 1 },
+      { rule: 'layout', signal: 'amounts', weight: 1 }
+    ]));
+    expect(result.scores.invoice).toBeGreaterThan(result.scores.receipt || 0);
+  });
+
+  it('lets content outweigh a misleading file name', () => {
+    const result = documentClassifier.classify({
+      fileName: 'invoice.pdf',
+      text: 'This Agreement is made between the parties, hereinafter the Parties. WHEREAS ... IN WITNESS WHEREOF',
+      pageCount: 4
+    });
+
+    expect(result.type).toBe('contract');
+  });
+
+  it('falls back to generic below the minimum confidence', () => {
+    const result = documentClassifier.classify({ text: 'Total 5', pageCount: 2 });
+
+    expect(result).toMatchObject({ type: 'generic', scores: { receipt: 1 } });
+    expect(result.confidence).toBeLessThan(0.3);
+  });
+
+  it('uses configured rules and rejects invalid ones', () => {
+    documentClassifier.configure({
+      types: { bank_statement: { keywords: { 'opening balance': 3, 'closing balance': 3 } } }
+    });
+    expect(documentClassifier.classify({ text: 'Opening balance 10 Closing balance 12' }).type).toBe('bank_statement');
+
+    expect(() => documentClassifier.configure({ types: { invoice: { keywords: { '(': 1 } } } }))
+      .toThrow(/classification.types.invoice.keywords: invalid pattern/);
+    expect(() => documentClassifier.configure({ types: { invoice: { layout: { colour: 1 } } } }))
+      .toThrow(/unknown signal "colour"/);
+  });
+});
+
+describe('RoutingEngine.classifyDocument', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalProviderConfig = config.config.providers;
+
+  beforeEach(() => {
+    routingEngine.resetCircuitBreakers();
+    documentClassifier.configure({ firstPass: { provider: 'cheapest' } });
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.providers = originalProviderConfig;
+    documentClassifier.configure(config.get('classification') || {});
+  });
+
+  it('reads the text layer of born-digital PDFs', async () => {
+    const ocr = fakeProvider('ocr', { text: '' }, { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext: new PdfTextProvider({ minCharsPerPage: 5 }), ocr };
+
+    const result = await routingEngine.classifyDocument(
+      buildPdf(['RECEIPT Cashier: Bob', 'Change due 1.00']), 'scan.pdf', 'application/pdf'
+    );
+
+    expect(result).toMatchObject({ type: 'receipt', source: 'text-layer' });
+    expect(result.firstPass).toBeUndefined();
+    expect(ocr.calls).toBe(0);
+  });
+
+  it('sends the first pages of scanned documents to the cheapest provider', async () => {
+    const cheap = fakeProvider('cheap', { text: 'PASSPORT Nationality: X Date of birth 01.01.1990' }, {
+      pricePerPage: 0.001,
+      capabilities: TEXT_CAPABILITIES
+    });
+    const pricey = fakeProvider('pricey', { text: '' }, { pricePerPage: 0.01, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext: new PdfTextProvider({ minCharsPerPage: 5 }), pricey, cheap };
+    config.config.providers = { ...config.config.providers, cheap: cheap.config, pricey: pricey.config };
+
+    const result = await routingEngine.classifyDocument(
+      buildPdf([null, null, null]), 'scan.pdf', 'application/pdf'
+    );
+
+    expect(result).toMatchObject({ type: 'id_document', source: 'first-pass', firstPass: { provider: 'cheap', pages: 2 } });
+    expect(cheap.calls).toBe(1);
+    expect(await routingEngine.countPages(cheap.requests[0].documentBuffer, 'application/pdf')).toBe(2);
+    expect(pricey.calls).toBe(0);
+  });
+
+  it('falls back to the file name when the first pass fails', async () => {
+    const broken = fakeProvider('broken', new Error('down'), { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { broken };
+
+    const result = await routingEngine.classifyDocument(Buffer.from('x'), 'receipt.png', 'image/png');
+
+    expect(result).toMatchObject({ type: 'receipt', source: 'file-name' });
+    expect(result.signals).toContainEqual({ rule: 'first-pass', signal: 'failed', weight: 0, error: 'down' });
+  });
+
+  it('keeps scanned documents local unless a first pass provider is configured', async () => {
+    documentClassifier.configure({});
+    const ocr = fakeProvider('ocr', { text: 'PASSPORT Nationality: X' }, { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext: new PdfTextProvider({ minCharsPerPage: 5 }), ocr };
+
+    const result = await routingEngine.classifyDocument(buildPdf([null]), 'receipt.pdf', 'application/pdf');
+
+    expect(result).toMatchObject({ type: 'receipt', source: 'file-name' });
+    expect(result.firstPass).toBeUndefined();
+    expect(ocr.calls).toBe(0);
+  });
+
+  it('reports a failing text layer read and moves on to the first pass', async () => {
+    const pdftext = new PdfTextProvider({ minCharsPerPage: 5 });
+    pdftext.extract = async () => { throw new Error('corrupt xref table'); };
+    const ocr = fakeProvider('ocr', { text: 'RECEIPT Cashier: Bob Change due 1.00' }, { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext, ocr };
+    config.config.providers = { ...config.config.providers, ocr: ocr.config };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await routingEngine.classifyDocument(buildPdf(['x']), 'scan.pdf', 'application/pdf');
+    warn.mockRestore();
+
+    expect(result).toMatchObject({ type: 'receipt', source: 'first-pass', firstPass: { provider: 'ocr', pages: 1 } });
+    expect(result.signals).toContainEqual({
+      rule: 'text-layer',
+      signal: 'failed',
+      weight: 0,
+      provider: 'pdftext',
+      error: expect.stringContaining('corrupt xref table')
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const shadowComparator = require('../src/services/ShadowComparator');
+const { fakeProvider, TEXT_CAPABILITIES } = require('./support/providers');
+const { parseClientPolicies } = require('../src/config/clientPolicies');
+const { buildPdf } = require('./support/pdf');
+
+const providers = { aws: {}, azure: {}, langextract: {}, pdftext: {} };
+const digitalPage = 'Invoice INV-2024-001\nTotal due: 990.00 USD\nPayable within 30 days of the invoice date';
+
+describe('client policies', () => {
+  it('compiles allow-lists, deny-lists and routing overrides', () => {
+    expect(parseClientPolicies({
+      acme: { deniedProviders: 'aws', routing: { invoice: ['azure'] } },
+      globex: { allowedProviders: ['pdftext'], localOnly: true }
+    }, providers)).toEqual({
+      acme: { clientId: 'acme', allowedProviders: null, deniedProviders: ['aws'], localOnly: false, routing: { invoice: ['azure'] } },
+      globex: { clientId: 'globex', allowedProviders: ['pdftext'], deniedProviders: [], localOnly: true, routing: {} }
+    });
+  });
+
+  it.each([
+    [{ denied: ['aws'] }, 'unknown key "denied"'],
+    [{ deniedProviders: ['textract'] }, 'unknown provider "textract" in deniedProviders'],
+    [{ allowedProviders: [] }, 'allowedProviders must be a provider name or a non-empty list of provider names'],
+    [{ allowedProviders: ['aws'], deniedProviders: ['aws'] }, 'provider "aws" is both allowed and denied'],
+    [{ localOnly: 'yes' }, 'localOnly must be true or false'],
+    [{ routing: { invoice: ['azure', 'textract'] } }, 'unknown provider "textract" in routing.invoice']
+  ])('rejects invalid policy %j', (policy, message) => {
+    expect(() => parseClientPolicies({ acme: policy }, providers))
+      .toThrow(`Invalid config.yaml: clientPolicies.acme: ${message}`);
+  });
+
+  it('fails config validation on invalid policies', () => {
+    const original = config.config.clientPolicies;
+    const compiled = config.getClientPolicies();
+    config.config.clientPolicies = { acme: { deniedProviders: ['textract'] } };
+    try {
+      expect(() => config.validate()).toThrow('clientPolicies.acme: unknown provider "textract"');
+      expect(config.getClientPolicies()).toBe(compiled);
+      expect(config.getClientPolicy('constructor')).toBeNull();
+    } finally {
+      config.config.clientPolicies = original;
+    }
+  });
+});
+
+describe('RoutingEngine client policies', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalProviderConfig = config.config.providers;
+  const originalRouting = config.config.routing;
+  const originalPolicies = config.config.clientPolicies;
+  const originalShadow = config.config.shadow;
+
+  let aws;
+  let azure;
+  let langextract;
+  beforeEach(() => {
+    aws = fakeProvider('aws', {}, { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    azure = fakeProvider('azure', {}, { pricePerPage: 0.01, capabilities: TEXT_CAPABILITIES });
+    langextract = fakeProvider('langextract', {}, { pricePerPage: 0.01, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext: originalProviders.pdftext, aws, azure, langextract };
+    config.config.providers = { ...originalProviderConfig, aws: aws.config, azure: azure.config, langextract: langextract.config };
+    config.config.routing = { invoice: ['aws', 'azure'], generic: ['aws'] };
+    config.config.shadow = { routes: {} };
+    config.config.clientPolicies = {
+      acme: { deniedProviders: ['aws'], routing: { receipt: ['langextract', 'aws'] } },
+      globex: { localOnly: true },
+      initech: { allowedProviders: ['aws'] }
+    };
+    config.validate();
+    routingEngine.resetCircuitBreakers();
+    shadowComparator.reset();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.providers = originalProviderConfig;
+    config.config.routing = originalRouting;
+    config.config.clientPolicies = originalPolicies;
+    config.config.shadow = originalShadow;
+    config.validate();
+  });
+
+  const extract = (documentType, options, buffer = Buffer.from('x'), mimeType = 'image/png') =>
+    routingEngine.extractWithFallback(buffer, 'a.png', mimeType, documentType, options);
+
+  it('never routes or falls back to a denied provider', async () => {
+    const result = await extract('invoice', { clientId: 'acme' });
+    expect(result._routing).toMatchObject({ provider: 'azure', reason: 'primary', fallbackUsed: false });
+
+    azure.extract = async () => { throw new Error('down'); };
+    await expect(extract('invoice', { clientId: 'acme' })).rejects.toThrow('All providers failed');
+    expect(aws.calls).toBe(0);
+
+    // Other clients still use the routing list
+    expect((await extract('invoice', { clientId: 'other' }))._routing.provider).toBe('aws');
+  });
+
+  it('applies per-document-type routing overrides', async () => {
+    const result = await extract('receipt', { clientId: 'acme' });
+
+    expect(result._routing).toMatchObject({ provider: 'langextract', reason: 'client-policy' });
+    expect(aws.calls).toBe(0);
+  });
+
+  it('rejects a forced provider the policy forbids', async () => {
+    await expect(routingEngine.extractWithProvider(aws, Buffer.from('x'), 'a.png', 'image/png', 'invoice', { clientId: 'acme' }))
+      .rejects.toMatchObject({ code: 'CLIENT_POLICY', clientId: 'acme', message: 'Provider aws is not allowed: client acme denies aws' });
+    await expect(routingEngine.extractWithProvider(azure, Buffer.from('x'), 'a.png', 'image/png', 'invoice', { clientId: 'initech' }))
+      .rejects.toThrow("azure is not among client initech's allowed providers");
+    expect(aws.calls + azure.calls).toBe(0);
+  });
+
+  it('keeps local-only clients on local providers', async () => {
+    const pdf = await extract('invoice', { clientId: 'globex' }, buildPdf([digitalPage]), 'application/pdf');
+    expect(pdf._routing).toMatchObject({ provider: 'pdftext', reason: 'text-layer' });
+
+    await expect(extract('invoice', { clientId: 'globex' })).rejects.toMatchObject({
+      code: 'CLIENT_POLICY',
+      message: 'Client globex is limited to local processing, which cannot read this document'
+    });
+    expect(aws.calls + azure.calls + langextract.calls).toBe(0);
+  });
+
+  it('excludes forbidden providers from cost ranking and shadow traffic', async () => {
+    config.config.shadow.routes.invoice = { candidate: 'aws', percentage: 100 };
+
+    const result = await extract('invoice', { clientId: 'acme', requirements: { features: ['text'], languages: [] } });
+    await routingEngine.waitForShadows();
+
+    expect(result._routing.excluded).toContainEqual({ provider: 'aws', policy: 'client acme denies aws' });
+    expect(result._routing.ranking.map(r => r.provider)).not.toContain('aws');
+    expect(aws.calls).toBe(0);
+    expect(shadowComparator.getResults('invoice')).toEqual([]);
+  });
+
+  it('reports the policy in routing info', () => {
+    expect(routingEngine.getRoutingInfo('invoice', { clientId: 'acme' })).toMatchObject({
+      providers: ['azure'],
+      source: 'routing',
+      clientPolicy: { clientId: 'acme', deniedProviders: ['aws'], excluded: [{ provider: 'aws', policy: 'client acme denies aws' }] }
+    });
+    expect(routingEngine.getRoutingInfo('receipt', { clientId: 'acme' })).toMatchObject({
+      providers: ['langextract'],
+      source: 'client-policy'
+    });
+    expect(routingEngine.getRoutingInfo('invoice').clientPolicy).toBeUndefined();
+  });
+});
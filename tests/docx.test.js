@@ -0,0 +1,170 @@
+const DocxProvider = require('../src/providers/DocxProvider');
+const { readZipDirectory } = require('../src/providers/zipDirectory');
+const { buildDocx, p } = require('./support/docx');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+describe('DocxProvider', () => {
+  const provider = new DocxProvider({ enabled: true });
+
+  it('returns paragraphs with heading levels and an outline', async () => {
+    const docx = await buildDocx([
+      p('Services Agreement', 'Title'),
+      p('1. Scope', 'Heading1'),
+      p('The supplier provides consulting services.'),
+      p('1.1 Exclusions', 'Heading2'),
+      '<w:p><w:pPr><w:numPr><w:ilvl w:val="1"/><w:numId w:val="3"/></w:numPr></w:pPr><w:r><w:t>Travel</w:t></w:r></w:p>'
+    ].join(''), { 'dc:title': 'Agreement', 'dc:creator': 'Legal' });
+
+    const result = await provider.extract(docx, 'agreement.docx', DOCX);
+    const paragraphs = result.pages[0].paragraphs;
+
+    expect(paragraphs.map(x => [x.type, x.level])).toEqual([
+      ['title', 0],
+      ['heading', 1],
+      ['paragraph', undefined],
+      ['heading', 2],
+      ['listItem', 1]
+    ]);
+    expect(result.metadata.headings.map(h => h.text)).toEqual([
+      'Services Agreement', '1. Scope', '1.1 Exclusions'
+    ]);
+    expect(result.metadata.properties).toMatchObject({ title: 'Agreement', author: 'Legal' });
+  });
+
+  it('rebuilds tables as cell grids including merged cells', async () => {
+    const cell = (text, props = '') => `<w:tc><w:tcPr>${props}</w:tcPr>${p(text)}</w:tc>`;
+    const table = `<w:tbl>
+      <w:tr>${cell('Item')}${cell('Amount', '<w:gridSpan w:val="2"/>')}</w:tr>
+      <w:tr>${cell('Consulting', '<w:vMerge w:val="restart"/>')}${cell('EUR')}${cell('6000')}</w:tr>
+      <w:tr>${cell('', '<w:vMerge/>')}${cell('USD')}${cell('6500')}</w:tr>
+    </w:tbl>`;
+
+    const result = await provider.extract(await buildDocx(table), 'table.docx', DOCX);
+
+    expect(result.tables).toHaveLength(1);
+    expect(result.tables[0]).toMatchObject({
+      rows: 3,
+      columns: 3,
+      cells: [
+        ['Item', 'Amount', ''],
+        ['Consulting', 'EUR', '6000'],
+        ['', 'USD', '6500']
+      ],
+      merged: [
+        { row: 0, column: 1, rowSpan: 1, columnSpan: 2 },
+        { row: 1, column: 0, rowSpan: 2, columnSpan: 1 }
+      ]
+    });
+  });
+
+  it('marks repeating header rows as provider headers', async () => {
+    const table = `<w:tbl>
+      <w:tr><w:trPr><w:tblHeader/></w:trPr><w:tc>${p('Clause')}</w:tc><w:tc>${p('Owner')}</w:tc></w:tr>
+      <w:tr><w:tc>${p('Termination')}</w:tc><w:tc>${p('Legal')}</w:tc></w:tr>
+    </w:tbl>`;
+
+    const result = await provider.extract(await buildDocx(table), 'table.docx', DOCX);
+
+    expect(result.tables[0]).toMatchObject({ headerRows: [0], headerSource: 'provider' });
+    expect(result.tables[0].cellDetails[0]).toMatchObject({ text: 'Clause', header: true });
+  });
+
+  it('splits pages on explicit page breaks', async () => {
+    const docx = await buildDocx(
+      p('First page') + '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' + p('Second page')
+    );
+    const result = await provider.extract(docx, 'pages.docx', DOCX);
+
+    expect(result.pages.map(pg => [pg.pageNumber, pg.text])).toEqual([
+      [1, 'First page'],
+      [2, 'Second page']
+    ]);
+  });
+
+  it('reads content controls as form fields', async () => {
+    const docx = await buildDocx(
+      `<w:sdt><w:sdtPr><w:alias w:val="Customer"/></w:sdtPr><w:sdtContent>${p('ACME Ltd')}</w:sdtContent></w:sdt>`
+    );
+    const result = await provider.extract(docx, 'form.docx', DOCX);
+
+    expect(result.forms).toMatchObject([{ key: 'Customer', value: 'ACME Ltd' }]);
+  });
+
+  it('rejects corrupt files with a terminal error', async () => {
+    await expect(provider.extract(Buffer.from('not a zip'), 'bad.docx', DOCX))
+      .rejects.toMatchObject({ code: 'INVALID_DOCUMENT', retryable: false });
+  });
+
+  it('rejects packages with too many entries or too much uncompressed data', async () => {
+    const docx = await buildDocx(p('x'.repeat(5000)));
+
+    await expect(new DocxProvider({ enabled: true, maxEntries: 3 }).extract(docx, 'many.docx', DOCX))
+      .rejects.toMatchObject({ code: 'INVALID_DOCUMENT', message: expect.stringContaining('more than the limit of 3') });
+    await expect(new DocxProvider({ enabled: true, maxUncompressedBytes: 4096 }).extract(docx, 'big.docx', DOCX))
+      .rejects.toMatchObject({ code: 'INVALID_DOCUMENT', message: expect.stringContaining('more than the limit of 4096') });
+  });
+
+  it('stops inflating a part that outgrows its declared size', async () => {
+    const docx = await buildDocx(p('x'.repeat(5000)));
+    // Understate word/document.xml's size in the central directory
+    const signature = Buffer.from('PK\x01\x02', 'latin1');
+    const name = Buffer.from('word/document.xml');
+    for (let at = docx.indexOf(signature); at !== -1; at = docx.indexOf(signature, at + 4)) {
+      if (docx.subarray(at + 46, at + 46 + name.length).equals(name)) docx.writeUInt32LE(100, at + 24);
+    }
+
+    await expect(provider.extract(docx, 'forged.docx', DOCX))
+      .rejects.toMatchObject({ code: 'INVALID_DOCUMENT', message: expect.stringContaining('word/document.xml unpacks to more than its declared 100 bytes') });
+  });
+});
+
+describe('readZipDirectory', () => {
+  /**
+   * Central directory entry declaring `size`, with a zip64 extra field
+   * carrying the real size when one is given
+   */
+  function directoryEntry(name, size, zip64Size) {
+    const extra = Buffer.alloc(zip64Size === undefined ? 0 : 12);
+    if (zip64Size !== undefined) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(8, 2);
+      extra.writeBigUInt64LE(BigInt(zip64Size), 4);
+    }
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    return Buffer.concat([header, Buffer.from(name), extra]);
+  }
+
+  function archive(entries, count = entries.length) {
+    const directory = Buffer.concat(entries);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(count, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(0, 16);
+    return Buffer.concat([directory, eocd]);
+  }
+
+  it('lists the declared sizes of a generated package', async () => {
+    const sizes = readZipDirectory(await buildDocx(p('x'.repeat(5000))));
+
+    expect([...sizes.keys()]).toEqual(expect.arrayContaining(['word/document.xml', 'word/styles.xml']));
+    expect(sizes.get('word/document.xml')).toBeGreaterThan(5000);
+  });
+
+  it('reads zip64 sizes', () => {
+    const sizes = readZipDirectory(archive([directoryEntry('a.xml', 0xffffffff, 2 ** 40), directoryEntry('b.xml', 10)]));
+
+    expect(sizes).toEqual(new Map([['a.xml', 2 ** 40], ['b.xml', 10]]));
+  });
+
+  it('fails on archives whose directory cannot be read', () => {
+    expect(() => readZipDirectory(Buffer.from('not a zip'))).toThrow('not a zip archive');
+    expect(() => readZipDirectory(archive([directoryEntry('a.xml', 10)], 2))).toThrow('truncated after 1 of 2 entries');
+    expect(() => readZipDirectory(archive([directoryEntry('a.xml', 0xffffffff)]))).toThrow('a.xml has no zip64 size');
+  });
+});
@@ -0,0 +1,155 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const pricingEngine = require('../src/services/PricingEngine');
+const ensembleMerger = require('../src/services/EnsembleMerger');
+const { fakeProvider } = require('./support/providers');
+
+describe('EnsembleMerger', () => {
+  async function runs(...providers) {
+    return Promise.all(providers.map(async provider => ({ provider, result: await provider.extract() })));
+  }
+
+  it('votes on normalized values and reports disagreements', async () => {
+    const merged = ensembleMerger.merge(await runs(
+      fakeProvider('aws', {
+        confidence: 0.8,
+        forms: [
+          { key: 'Invoice No:', value: 'INV-1', confidence: 0.8 },
+          { key: 'Total', value: '$1,200.00', confidence: 0.7 }
+        ]
+      }),
+      fakeProvider('azure', {
+        confidence: 0.95,
+        forms: [
+          { key: 'invoice no', value: 'inv-1 ', confidence: 0.9 },
+          { key: 'Total', value: '1200', confidence: 0.95 },
+          { key: 'Due Date', value: '2024-02-01', confidence: 0.6 }
+        ]
+      }),
+      fakeProvider('langextract', {
+        confidence: 0.7,
+        forms: [
+          { key: 'Invoice No', value: 'INV-7', confidence: 0.99 },
+          { key: 'Total', value: '1100.00', confidence: 0.5 }
+        ]
+      })
+    ));
+
+    expect(merged.base).toBe('azure');
+    expect(merged.result.text).toBe('azure');
+    expect(merged.result.forms.map(f => [f.key, f.value])).toEqual([
+      ['invoice no', 'inv-1 '],
+      ['Total', '1200'],
+      ['Due Date', '2024-02-01']
+    ]);
+    expect(merged.provenance).toEqual([
+      { key: 'invoice no', value: 'inv-1 ', provider: 'azure', method: 'majority', agreement: 0.6667, providers: ['azure', 'aws'] },
+      { key: 'Total', value: '1200', provider: 'azure', method: 'majority', agreement: 0.6667, providers: ['azure', 'aws'] },
+      { key: 'Due Date', value: '2024-02-01', provider: 'azure', method: 'single', agreement: 1, providers: ['azure'], missingFrom: ['aws', 'langextract'] }
+    ]);
+    expect(merged.disagreements.map(d => d.key)).toEqual(['invoice no', 'Total']);
+    expect(merged.disagreements[0].candidates).toEqual([
+      { provider: 'azure', value: 'inv-1 ', confidence: 0.9 },
+      { provider: 'aws', value: 'INV-1', confidence: 0.8 },
+      { provider: 'langextract', value: 'INV-7', confidence: 0.99 }
+    ]);
+  });
+
+  it('breaks ties with the most confident value', async () => {
+    const merged = ensembleMerger.merge(await runs(
+      fakeProvider('aws', { forms: [{ key: 'Total', value: '10.00', confidence: 0.6 }] }),
+      fakeProvider('azure', { forms: [{ key: 'Total', value: '18.00', confidence: 0.9 }] })
+    ));
+
+    expect(merged.provenance[0]).toMatchObject({ value: '18.00', provider: 'azure', method: 'confidence', agreement: 0.5 });
+    expect(merged.disagreements).toHaveLength(1);
+  });
+
+  it('marks unanimous fields and recomputes confidence over the merged forms', async () => {
+    const merged = ensembleMerger.merge(await runs(
+      fakeProvider('aws', { forms: [{ key: 'Name', value: 'ACME', confidence: 0.5 }], confidence: null }),
+      fakeProvider('azure', { forms: [{ key: 'name', value: 'acme', confidence: 0.7 }], confidence: null })
+    ));
+
+    expect(merged.provenance[0]).toMatchObject({ value: 'acme', method: 'unanimous', agreement: 1 });
+    expect(merged.disagreements).toEqual([]);
+    expect(merged.result.confidence).toEqual({ overall: 0.7, pages: null, fields: 0.7 });
+  });
+});
+
+describe('RoutingEngine ensemble', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+  const originalEnsemble = config.config.ensemble;
+  const originalProviderConfig = config.config.providers;
+
+  beforeEach(() => {
+    config.config.routing = { invoice: ['aws', 'azure', 'langextract'] };
+    config.config.ensemble = { default: { enabled: false, maxProviders: 2, minProviders: 2 } };
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+    config.config.ensemble = originalEnsemble;
+    config.config.providers = originalProviderConfig;
+  });
+
+  const install = (...providers) => {
+    providerFactory.providers = Object.fromEntries(providers.map(p => [p.getName(), p]));
+    config.config.providers = Object.fromEntries(providers.map(p => [p.getName(), p.config]));
+  };
+
+  it('merges the first routed providers and bills each of them', async () => {
+    const aws = fakeProvider('aws', { forms: [{ key: 'Total', value: '5.00', confidence: 0.8 }] }, { pricePerPage: 0.015 });
+    const azure = fakeProvider('azure', { forms: [{ key: 'Total', value: '5', confidence: 0.9 }] }, { pricePerPage: 0.005 });
+    const langextract = fakeProvider('langextract');
+    install(aws, azure, langextract);
+
+    const result = await routingEngine.extractWithEnsemble(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(langextract.calls).toBe(0);
+    expect(result._routing).toMatchObject({
+      reason: 'ensemble',
+      pagesByProvider: { aws: 1, azure: 1 },
+      totalAttempts: 2
+    });
+    expect(result._ensemble).toMatchObject({ providers: ['aws', 'azure'], failed: [], disagreements: [] });
+    expect(result._ensemble.provenance[0]).toMatchObject({ method: 'unanimous', providers: ['aws', 'azure'] });
+
+    const cost = pricingEngine.calculateSplitCost(result._routing.pagesByProvider, 'ensemble-test');
+    expect(cost.baseCost).toBeCloseTo(0.02);
+  });
+
+  it('uses the listed providers and tolerates failures down to minProviders', async () => {
+    const down = fakeProvider('aws', new Error('down'));
+    install(down, fakeProvider('azure'), fakeProvider('langextract'));
+
+    const result = await routingEngine.extractWithEnsemble(Buffer.from('x'), 'a.png', 'image/png', 'invoice', {
+      ensemble: { providers: ['aws', 'azure', 'langextract'] }
+    });
+
+    expect(result._ensemble.providers).toEqual(['azure', 'langextract']);
+    expect(result._ensemble.failed).toEqual([{ provider: 'aws', error: 'down' }]);
+    expect(Object.keys(result._routing.pagesByProvider)).toEqual(['azure', 'langextract']);
+  });
+
+  it('fails when fewer than minProviders succeed', async () => {
+    install(fakeProvider('aws', new Error('down')), fakeProvider('azure'));
+
+    await expect(routingEngine.extractWithEnsemble(Buffer.from('x'), 'a.png', 'image/png', 'invoice'))
+      .rejects.toThrow('Ensemble needs 2 successful providers, got 1. Failures: aws: down');
+  });
+
+  it('reads per-document-type settings over the defaults', () => {
+    config.config.ensemble.invoice = { enabled: true, providers: ['azure', 'aws'] };
+
+    expect(routingEngine.getEnsembleSettings('invoice')).toEqual({
+      enabled: true, providers: ['azure', 'aws'], maxProviders: 2, minProviders: 2
+    });
+    expect(routingEngine.getEnsembleSettings('receipt').enabled).toBe(false);
+    expect(routingEngine.getEnsembleSettings('receipt', { enabled: true, providers: ['a', 'b', 'c'] }).maxProviders).toBe(3);
+  });
+});
@@ -0,0 +1,24 @@
+const ProviderInterface = require('../../../src/providers/ProviderInterface');
+
+class EchoProvider extends ProviderInterface {
+  static providerName = 'echo';
+
+  constructor(config) {
+    super(EchoProvider.providerName, config);
+  }
+
+  async extract(documentBuffer, fileName) {
+    const text = documentBuffer.toString('utf8');
+    return this.normalizeResponse({
+      text,
+      pages: [{ pageNumber: 1, text }],
+      metadata: { fileName }
+    });
+  }
+
+  async healthCheck() {
+    return this.isEnabled();
+  }
+}
+
+module.exports = EchoProvider;
@@ -0,0 +1,11 @@
+const ProviderInterface = require('../../../src/providers/ProviderInterface');
+
+class IncompleteProvider extends ProviderInterface {
+  static providerName = 'incomplete';
+
+  async extract() {
+    return this.normalizeResponse({});
+  }
+}
+
+module.exports = IncompleteProvider;
@@ -0,0 +1,118 @@
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+const GenericHttpProvider = require('../src/providers/GenericHttpProvider');
+
+describe('GenericHttpProvider', () => {
+  const received = [];
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    const upload = multer({ storage: multer.memoryStorage() });
+
+    app.post('/multipart', upload.single('upload'), (req, res) => {
+      received.push({ file: req.file.originalname, auth: req.headers.authorization, body: req.body });
+      res.json({
+        result: {
+          pages: [{ number: 1, content: 'Invoice 42' }, { number: 2, content: 'Total 10.00' }],
+          tables: [{ rows: [['Item', 'Price'], ['Widget', '10.00']] }],
+          fields: [{ name: 'Invoice Number', value: '42' }]
+        }
+      });
+    });
+    app.post('/untrusted', (req, res) => {
+      res.json({
+        pages: [{ number: 3, content: 'a' }, { content: 'b' }, { number: 'two', content: 'c' }],
+        fields: [{ name: '__proto__', value: { polluted: true } }, { name: 'Total', value: '10.00' }]
+      });
+    });
+    app.post('/base64', (req, res) => {
+      received.push({ body: req.body });
+      res.json({ text: Buffer.from(req.body.content, 'base64').toString('utf8') });
+    });
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  it('sends multipart uploads with env headers and maps the response', async () => {
+    process.env.TEST_HTTP_TOKEN = 'secret';
+    const provider = new GenericHttpProvider('invoice-ml', {
+      endpoint: `${baseUrl}/multipart`,
+      upload: { mode: 'multipart', field: 'upload', extraFields: { language: 'en' } },
+      headers: { Authorization: 'Bearer ${TEST_HTTP_TOKEN}' },
+      response: {
+        pages: { path: '$.result.pages[*]', pageNumber: 'number', text: 'content' },
+        tables: { path: '$.result.tables[*]', cells: 'rows' },
+        forms: { path: '$.result.fields[*]', key: 'name', value: 'value' }
+      }
+    });
+
+    const result = await provider.extract(Buffer.from('pdf'), 'inv.pdf', 'application/pdf');
+
+    expect(received[0]).toEqual({ file: 'inv.pdf', auth: 'Bearer secret', body: { language: 'en' } });
+    expect(result.text).toBe('Invoice 42\n\nTotal 10.00');
+    expect(result.pages.map(p => p.pageNumber)).toEqual([1, 2]);
+    expect(result.tables[0]).toMatchObject({ rows: 2, columns: 2, cells: [['Item', 'Price'], ['Widget', '10.00']] });
+    expect(result.forms).toMatchObject([{ key: 'Invoice Number', value: '42' }]);
+    expect(result.metadata.provider).toBe('invoice-ml');
+  });
+
+  it('keeps response keys off prototypes and numbers unnumbered pages by position', async () => {
+    const provider = new GenericHttpProvider('untrusted', {
+      endpoint: `${baseUrl}/untrusted`,
+      response: {
+        pages: { path: 'pages', pageNumber: 'number', text: 'content' },
+        forms: { path: 'fields', key: 'name', value: 'value' }
+      }
+    });
+
+    const result = await provider.extract(Buffer.from('pdf'), 'inv.pdf', 'application/pdf');
+
+    expect(result.pages.map(p => p.pageNumber)).toEqual([3, 2, 3]);
+    expect(result.forms.map(f => f.key)).toEqual(['__proto__', 'Total']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('sends base64 JSON bodies', async () => {
+    const provider = new GenericHttpProvider('ocr-lite', {
+      endpoint: `${baseUrl}/base64`,
+      upload: { mode: 'base64', field: 'content' },
+      response: { text: 'text' }
+    });
+
+    const result = await provider.extract(Buffer.from('hello'), 'a.png', 'image/png');
+
+    expect(received[0].body).toMatchObject({ fileName: 'a.png', mimeType: 'image/png' });
+    expect(result.text).toBe('hello');
+  });
+
+  it('surfaces HTTP failures as provider errors', async () => {
+    const provider = new GenericHttpProvider('missing', { endpoint: `${baseUrl}/nope` });
+
+    await expect(provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf'))
+      .rejects.toMatchObject({ name: 'ProviderError', statusCode: 404, retryable: false });
+  });
+
+  it('requires an endpoint', () => {
+    expect(() => new GenericHttpProvider('broken', {})).toThrow('"endpoint" is required');
+  });
+
+  it('rejects methods that cannot carry the document', () => {
+    for (const method of ['GET', 'head']) {
+      expect(() => new GenericHttpProvider('broken', { endpoint: 'http://localhost', method }))
+        .toThrow(`Provider broken: method must be POST, PUT or PATCH to send the document, got ${method.toUpperCase()}`);
+    }
+    expect(new GenericHttpProvider('put', { endpoint: 'http://localhost', method: 'put' }).method).toBe('PUT');
+  });
+});
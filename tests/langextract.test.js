@@ -0,0 +1,76 @@
+const LangExtractProvider = require('../src/providers/LangExtractProvider');
+const ProviderError = require('../src/providers/ProviderError');
+const { createLangExtractServer } = require('./support/langextractServer');
+
+describe('LangExtractProvider', () => {
+  const stub = createLangExtractServer();
+  let baseUrl;
+
+  beforeAll(async () => {
+    baseUrl = await stub.start();
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => {
+    stub.state.behavior = 'ok';
+    stub.state.delayMs = 0;
+    stub.state.requests = [];
+  });
+
+  it('posts the document and normalizes the response', async () => {
+    const provider = new LangExtractProvider({ baseUrl, timeout: 2000 });
+    const result = await provider.extract(Buffer.from('page one\fpage two'), 'doc.pdf', 'application/pdf');
+
+    expect(stub.state.requests).toEqual([
+      { fileName: 'doc.pdf', mimeType: 'application/pdf', size: 17 }
+    ]);
+    expect(result.pages.map(p => p.pageNumber)).toEqual([1, 2]);
+    expect(result.text).toBe('page one\n\npage two');
+    expect(result.metadata.provider).toBe('langextract');
+    expect(result.metadata.engine).toBe('langextract-stub');
+  });
+
+  it('maps 5xx responses to retryable provider errors', async () => {
+    stub.state.behavior = 'error';
+    const provider = new LangExtractProvider({ baseUrl, timeout: 2000 });
+
+    const error = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf').catch(e => e);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.statusCode).toBe(500);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('maps 4xx responses to terminal provider errors', async () => {
+    stub.state.behavior = 'bad-request';
+    const provider = new LangExtractProvider({ baseUrl, timeout: 2000 });
+
+    const error = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf').catch(e => e);
+    expect(error.statusCode).toBe(422);
+    expect(error.retryable).toBe(false);
+  });
+
+  it('honours the configured timeout', async () => {
+    stub.state.delayMs = 300;
+    const provider = new LangExtractProvider({ baseUrl, timeout: 50 });
+
+    const error = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf').catch(e => e);
+    expect(error.code).toBe('TIMEOUT');
+  });
+
+  it('reports transport failures', async () => {
+    const provider = new LangExtractProvider({ baseUrl: 'http://127.0.0.1:1', timeout: 2000 });
+
+    const error = await provider.extract(Buffer.from('x'), 'a.pdf', 'application/pdf').catch(e => e);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('pings the health endpoint', async () => {
+    const provider = new LangExtractProvider({ baseUrl, timeout: 2000 });
+    expect(await provider.healthCheck()).toBe(true);
+
+    stub.state.behavior = 'down';
+    expect(await provider.healthCheck()).toBe(false);
+  });
+});
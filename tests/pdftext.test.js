@@ -0,0 +1,139 @@
+const { PDFDocument } = require('pdf-lib');
+const PdfTextProvider = require('../src/providers/PdfTextProvider');
+const ProviderInterface = require('../src/providers/ProviderInterface');
+const ProviderError = require('../src/providers/ProviderError');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const { buildPdf } = require('./support/pdf');
+
+const digitalPage = 'Invoice INV-2024-001\nTotal due: 990.00 USD';
+
+describe('PdfTextProvider', () => {
+  const provider = new PdfTextProvider({ enabled: true, minCharsPerPage: 10 });
+
+  it('reads per-page text, word counts and properties', async () => {
+    const pdf = buildPdf([digitalPage, 'Second page of terms and conditions'], { Title: 'Invoice' });
+    const result = await provider.extract(pdf, 'invoice.pdf', 'application/pdf');
+
+    expect(result.pages).toHaveLength(2);
+    expect(result.pages[0]).toMatchObject({
+      pageNumber: 1,
+      text: digitalPage,
+      lines: 2,
+      words: 6,
+      hasTextLayer: true
+    });
+    expect(result.pages[1].pageNumber).toBe(2);
+    expect(result.metadata.textLayer).toBe('full');
+    expect(result.metadata.properties.title).toBe('Invoice');
+  });
+
+  it('flags pages without a text layer as scanned', async () => {
+    const pdf = buildPdf([digitalPage, null, digitalPage]);
+    const result = await provider.extract(pdf, 'mixed.pdf', 'application/pdf');
+
+    expect(result.metadata.textLayer).toBe('partial');
+    expect(result.metadata.scannedPages).toEqual([2]);
+  });
+
+  it('rejects non-PDF input', async () => {
+    await expect(provider.extract(Buffer.from('x'), 'a.png', 'image/png'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_TYPE', retryable: false });
+  });
+});
+
+describe('RoutingEngine text layer routing', () => {
+  const original = { ...providerFactory.providers };
+  const ocrCalls = [];
+  let ocrFailure = null;
+  let ocrDropsPage = false;
+
+  beforeAll(() => {
+    providerFactory.providers.pdftext = new PdfTextProvider({ enabled: true, minCharsPerPage: 10 });
+    const ocr = new ProviderInterface('langextract', {});
+    ocr.extract = async buffer => {
+      const doc = await PDFDocument.load(buffer);
+      ocrCalls.push(doc.getPageCount());
+      if (ocrFailure) throw ocrFailure;
+      const pages = doc.getPages().map((_, i) => ({ pageNumber: i + 1, text: `ocr ${i + 1}`, lines: 1, words: 2 }));
+      return ocr.normalizeResponse({ pages: ocrDropsPage ? pages.slice(1) : pages });
+    };
+    providerFactory.providers.langextract = ocr;
+  });
+
+  afterAll(() => {
+    providerFactory.providers = original;
+  });
+
+  beforeEach(() => {
+    ocrCalls.length = 0;
+    ocrFailure = null;
+    ocrDropsPage = false;
+    routingEngine.resetCircuitBreakers();
+  });
+
+  it('skips OCR for fully digital PDFs', async () => {
+    const pdf = buildPdf([digitalPage, digitalPage]);
+    const result = await routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'generic');
+
+    expect(ocrCalls).toEqual([]);
+    expect(result._routing).toMatchObject({ provider: 'pdftext', reason: 'text-layer' });
+  });
+
+  it('sends only scanned pages to OCR and keeps real page numbers', async () => {
+    const pdf = buildPdf([digitalPage, null, digitalPage, null]);
+    const result = await routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'generic');
+
+    expect(ocrCalls).toEqual([2]);
+    expect(result.pages.map(p => [p.pageNumber, p.text])).toEqual([
+      [1, digitalPage],
+      [2, 'ocr 1'],
+      [3, digitalPage],
+      [4, 'ocr 2']
+    ]);
+    expect(result._routing.pagesByProvider).toEqual({ pdftext: 2, langextract: 2 });
+  });
+
+  it('uses OCR for the whole document when there is no text layer', async () => {
+    const pdf = buildPdf([null, null]);
+    const result = await routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'generic');
+
+    expect(ocrCalls).toEqual([2]);
+    expect(result._routing.provider).toBe('langextract');
+  });
+
+  it('keeps the text layer pages when OCR of the scanned pages fails', async () => {
+    ocrFailure = new ProviderError('Model overloaded', { provider: 'langextract', retryable: false });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const pdf = buildPdf([digitalPage, null, digitalPage]);
+
+    const result = await routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'generic');
+    warn.mockRestore();
+
+    expect(result.pages.map(p => p.pageNumber)).toEqual([1, 3]);
+    expect(result._routing).toMatchObject({
+      provider: 'pdftext',
+      reason: 'text-layer-partial',
+      partial: true,
+      missingPages: [2],
+      error: expect.stringContaining('Model overloaded')
+    });
+    expect(result.metadata.missingPages).toEqual([2]);
+  });
+
+  it('does not renumber OCR pages when the OCR page count differs', async () => {
+    ocrDropsPage = true;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const pdf = buildPdf([digitalPage, null, digitalPage, null]);
+
+    const result = await routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'generic');
+    warn.mockRestore();
+
+    expect(result.pages.map(p => [p.pageNumber, p.text])).toEqual([[1, digitalPage], [3, digitalPage]]);
+    expect(result._routing).toMatchObject({
+      partial: true,
+      missingPages: [2, 4],
+      error: 'Provider langextract returned 1 pages for 2 scanned pages'
+    });
+  });
+});
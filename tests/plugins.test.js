@@ -0,0 +1,36 @@
+const path = require('path');
+const providerFactory = require('../src/providers');
+
+const fixtures = path.join(__dirname, 'fixtures/plugins');
+
+describe('ProviderFactory plugins', () => {
+  afterEach(() => {
+    delete providerFactory.providers.echo;
+    delete providerFactory.providers.incomplete;
+  });
+
+  it('registers a valid plugin under its providerName', async () => {
+    const provider = providerFactory.loadPlugin(path.join(fixtures, 'echoProvider.js'), 'echoProvider.js');
+
+    expect(providerFactory.getProvider('echo')).toBe(provider);
+    expect(providerFactory.getProviderNames()).toContain('echo');
+    const result = await provider.extract(Buffer.from('hi'), 'a.txt', 'text/plain');
+    expect(result.metadata.provider).toBe('echo');
+  });
+
+  it('rejects plugins missing interface methods', () => {
+    expect(() => providerFactory.loadPlugin(path.join(fixtures, 'incomplete.js'), 'incomplete.js'))
+      .toThrow('Plugin incomplete.js: must implement healthCheck()');
+  });
+
+  it('rejects modules that do not export a provider class', () => {
+    expect(() => providerFactory.loadPlugin('path', 'path'))
+      .toThrow('must export a class extending ProviderInterface');
+  });
+
+  it('rejects duplicate provider names', () => {
+    providerFactory.loadPlugin(path.join(fixtures, 'echoProvider.js'), 'first');
+    expect(() => providerFactory.loadPlugin(path.join(fixtures, 'echoProvider.js'), 'second'))
+      .toThrow('provider "echo" is already registered');
+  });
+});
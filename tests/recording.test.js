@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const responseRecorder = require('../src/providers/ResponseRecorder');
+const AWSProvider = require('../src/providers/AWSProvider');
+const AzureProvider = require('../src/providers/AzureProvider');
+const LangExtractProvider = require('../src/providers/LangExtractProvider');
+const { createS3Server, createTextractServer } = require('./support/awsServers');
+const { createLangExtractServer } = require('./support/langextractServer');
+const { buildPdf } = require('./support/pdf');
+
+/**
+ * Drop the per-call timestamp so recorded and replayed results compare equal
+ */
+function withoutTimestamp(result) {
+  const { extractionTime, ...metadata } = result.metadata;
+  return { ...result, metadata };
+}
+
+describe('ResponseRecorder', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    responseRecorder.configure({ mode: 'off' });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replays recorded Textract responses through the block parser', async () => {
+    const s3 = await createS3Server();
+    const textract = await createTextractServer(s3);
+    const pdf = buildPdf(['one']);
+    const config = { credentials: { accessKeyId: 'test', secretAccessKey: 'test' } };
+
+    let recorded;
+    try {
+      responseRecorder.configure({ mode: 'record', directory });
+      recorded = await new AWSProvider({ ...config, endpoint: textract.url }).extract(pdf, 'a.pdf', 'application/pdf');
+    } finally {
+      await textract.close();
+      await s3.close();
+    }
+
+    const [fixture] = fs.readdirSync(path.join(directory, 'aws'));
+    expect(fixture).toMatch(/^[0-9a-f]{64}\.json$/);
+
+    responseRecorder.configure({ mode: 'replay', directory });
+    const replayed = await new AWSProvider({ ...config, endpoint: 'http://127.0.0.1:9' })
+      .extract(pdf, 'a.pdf', 'application/pdf');
+
+    expect(withoutTimestamp(replayed)).toEqual(withoutTimestamp(recorded));
+    expect(replayed.pages[0].text).toBe('Text on page 1');
+  });
+
+  it('keys Azure fixtures by model and replays without the SDK', async () => {
+    const provider = new AzureProvider({});
+    provider.client = {
+      async beginAnalyzeDocument(modelId) {
+        return {
+          pollUntilDone: async () => ({
+            modelId,
+            pages: [{ pageNumber: 1, lines: [{ content: 'RECEIPT' }], words: [{ confidence: 0.9 }] }],
+            documents: [{
+              docType: 'receipt',
+              confidence: 0.95,
+              fields: { TransactionDate: { kind: 'date', value: new Date('2024-03-01T00:00:00Z'), confidence: 0.9 } }
+            }]
+          })
+        };
+      }
+    };
+    const document = Buffer.from('receipt');
+
+    responseRecorder.configure({ mode: 'record', directory });
+    const recorded = await provider.extract(document, 'r.png', 'image/png', { documentType: 'receipt' });
+
+    responseRecorder.configure({ mode: 'replay', directory });
+    const replayed = await new AzureProvider({}).extract(document, 'r.png', 'image/png', { documentType: 'receipt' });
+
+    expect(fs.readdirSync(path.join(directory, 'azure'))[0]).toMatch(/\.prebuilt-receipt\.json$/);
+    expect(withoutTimestamp(replayed)).toEqual(withoutTimestamp(recorded));
+    expect(replayed.fields.values.TransactionDate.value).toBe('2024-03-01');
+  });
+
+  it('replays LangExtract responses after the service is gone', async () => {
+    const stub = createLangExtractServer();
+    const baseUrl = await stub.start();
+    const document = Buffer.from('page one\fpage two');
+
+    try {
+      responseRecorder.configure({ mode: 'record', directory });
+      await new LangExtractProvider({ baseUrl }).extract(document, 'doc.pdf', 'application/pdf');
+    } finally {
+      await stub.stop();
+    }
+
+    responseRecorder.configure({ mode: 'replay', directory });
+    const replayed = await new LangExtractProvider({ baseUrl }).extract(document, 'doc.pdf', 'application/pdf');
+
+    expect(replayed.pages.map(p => p.text)).toEqual(['page one', 'page two']);
+    expect(replayed.metadata.engine).toBe('langextract-stub');
+  });
+
+  it('fails without falling back to a live call when no fixture exists', async () => {
+    responseRecorder.configure({ mode: 'replay', directory });
+
+    await expect(new LangExtractProvider({ baseUrl: 'http://127.0.0.1:9' })
+      .extract(Buffer.from('unseen'), 'x.pdf', 'application/pdf'))
+      .rejects.toMatchObject({ code: 'FIXTURE_MISSING', retryable: false });
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => responseRecorder.configure({ mode: 'live' })).toThrow(/recording.mode/);
+  });
+});
@@ -0,0 +1,285 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const ProviderError = require('../src/providers/ProviderError');
+const { fakeProvider } = require('./support/providers');
+
+describe('RoutingEngine confidence fallback', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+  const originalMin = config.config.minConfidence;
+
+  beforeEach(() => {
+    config.config.routing = { invoice: ['first', 'second', 'third'] };
+    config.config.minConfidence = { default: 0, invoice: 0.85 };
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+    config.config.minConfidence = originalMin;
+  });
+
+  const install = (...providers) => {
+    providerFactory.providers = Object.fromEntries(providers.map(p => [p.getName(), p]));
+  };
+
+  it('keeps the primary result when it meets the minimum', async () => {
+    const second = fakeProvider('second', { confidence: 0.99 });
+    install(fakeProvider('first', { confidence: 0.9 }), second);
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(result._routing).toMatchObject({ provider: 'first', reason: 'primary', fallbackUsed: false });
+    expect(second.calls).toBe(0);
+  });
+
+  it('retries below the minimum and returns the better result', async () => {
+    install(fakeProvider('first', { confidence: 0.6 }), fakeProvider('second', { confidence: 0.92 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(result._routing).toMatchObject({
+      provider: 'second',
+      reason: 'low-confidence-fallback',
+      originalProvider: 'first',
+      fallbackUsed: true,
+      belowMinConfidence: false,
+      attempts: [
+        { provider: 'first', status: 'low-confidence', confidence: 0.6 },
+        { provider: 'second', status: 'success', confidence: 0.92 }
+      ]
+    });
+  });
+
+  it('returns the most confident result when none reaches the minimum', async () => {
+    install(fakeProvider('first', { confidence: 0.7 }), fakeProvider('second', { confidence: 0.5 }), fakeProvider('third', new Error('down')));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(result._routing.provider).toBe('first');
+    expect(result._routing.belowMinConfidence).toBe(true);
+    expect(result._routing.attempts.map(a => a.status)).toEqual(['low-confidence', 'low-confidence', 'error']);
+  });
+
+  it('still falls back on errors', async () => {
+    install(fakeProvider('first', new Error('timeout')), fakeProvider('second', { confidence: 0.9 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(result._routing).toMatchObject({ provider: 'second', reason: 'fallback', fallbackUsed: true });
+  });
+
+  it('skips a provider whose circuit is open', async () => {
+    config.config.circuitBreaker = { failureThreshold: 2, cooldownMs: 60000 };
+    const first = fakeProvider('first', new Error('down'));
+    install(first, fakeProvider('second', { confidence: 0.9 }));
+
+    try {
+      for (let i = 0; i < 3; i++) {
+        await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+      }
+      const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+      expect(first.calls).toBe(2);
+      expect(result._routing).toMatchObject({
+        provider: 'second',
+        reason: 'fallback',
+        attempts: [{ provider: 'first', status: 'circuit-open' }, { provider: 'second', status: 'success' }]
+      });
+      expect(routingEngine.getCircuitState('first')).toMatchObject({ state: 'open', consecutiveFailures: 2 });
+      expect(routingEngine.getCircuitState('second').state).toBe('closed');
+    } finally {
+      delete config.config.circuitBreaker;
+    }
+  });
+
+  it('keeps the circuit closed on errors the document caused', async () => {
+    config.config.circuitBreaker = { failureThreshold: 2, cooldownMs: 60000 };
+    const invalid = new ProviderError('Word extraction failed: not a zip', {
+      provider: 'first',
+      code: 'INVALID_DOCUMENT',
+      retryable: false
+    });
+    const first = fakeProvider('first', invalid);
+    install(first, fakeProvider('second', { confidence: 0.9 }));
+
+    try {
+      for (let i = 0; i < 4; i++) {
+        await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+      }
+
+      expect(first.calls).toBe(4);
+      expect(routingEngine.getCircuitState('first')).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    } finally {
+      delete config.config.circuitBreaker;
+    }
+  });
+});
+
+describe('RoutingEngine cost routing', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalConfig = { providers: config.config.providers, routing: config.config.routing };
+
+  const install = (...providers) => {
+    providerFactory.providers = Object.fromEntries(providers.map(p => [p.getName(), p]));
+    config.config.providers = Object.fromEntries(providers.map(p => [p.getName(), p.config]));
+  };
+
+  beforeEach(() => {
+    config.config.routing = { invoice: ['pricey', 'cheap'] };
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    Object.assign(config.config, originalConfig);
+  });
+
+  const full = { features: ['text', 'tables', 'forms'], languages: ['*'] };
+
+  it('picks the cheapest capable provider and ranks the rest as fallbacks', async () => {
+    install(
+      fakeProvider('pricey', {}, { pricePerPage: 0.015, capabilities: full }),
+      fakeProvider('cheap', {}, { pricePerPage: 0.005, capabilities: full }),
+      fakeProvider('textonly', {}, { pricePerPage: 0.001, capabilities: { features: ['text'], languages: ['en'] } })
+    );
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice', {
+      requirements: { features: ['tables'], languages: ['de'] }
+    });
+
+    expect(result._routing).toMatchObject({
+      provider: 'cheap',
+      reason: 'cost',
+      ranking: [
+        { provider: 'cheap', pricePerPage: 0.005, estimatedCost: 0.005 },
+        { provider: 'pricey', pricePerPage: 0.015, estimatedCost: 0.015 }
+      ],
+      excluded: [{ provider: 'textonly', missing: ['tables', 'language:de'] }]
+    });
+  });
+
+  it('falls back along the cost ranking', async () => {
+    install(
+      fakeProvider('pricey', {}, { pricePerPage: 0.015, capabilities: full }),
+      fakeProvider('cheap', new Error('down'), { pricePerPage: 0.005, capabilities: full })
+    );
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice', {
+      requirements: { features: ['forms'], languages: [] }
+    });
+
+    expect(result._routing).toMatchObject({ provider: 'pricey', reason: 'fallback', originalProvider: 'cheap' });
+  });
+
+  it('breaks price ties with the routing order', () => {
+    install(
+      fakeProvider('cheap', {}, { pricePerPage: 0.01, capabilities: full }),
+      fakeProvider('pricey', {}, { pricePerPage: 0.01, capabilities: full })
+    );
+
+    const selection = routingEngine.selectCheapestProvider({ features: ['text'] }, 'invoice');
+
+    expect(selection.ranking.map(r => r.provider)).toEqual(['pricey', 'cheap']);
+  });
+
+  it('fails when no provider has the capabilities', () => {
+    install(
+      fakeProvider('cheap', {}, { pricePerPage: 0.005, capabilities: { features: ['text'], languages: ['en'] } }),
+      fakeProvider('undeclared', {}, { pricePerPage: 0.001 })
+    );
+
+    expect(() => routingEngine.selectCheapestProvider({ features: ['handwriting'] }, 'invoice'))
+      .toThrow(expect.objectContaining({ code: 'NO_CAPABLE_PROVIDER' }));
+  });
+});
+
+describe('RoutingEngine deadlines and retries', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalConfig = { routing: config.config.routing, retry: config.config.retry };
+
+  beforeEach(() => {
+    config.config.routing = { invoice: ['first', 'second'] };
+    config.config.retry = { maxAttempts: 3, initialDelayMs: 5, maxDelayMs: 20, multiplier: 2, jitter: 0 };
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    Object.assign(config.config, originalConfig);
+  });
+
+  const install = (...providers) => {
+    providerFactory.providers = Object.fromEntries(providers.map(p => [p.getName(), p]));
+  };
+
+  const throttled = () => new ProviderError('HTTP 429', { provider: 'first', statusCode: 429, retryable: true });
+
+  it('retries retryable errors with backoff and reports every try', async () => {
+    const first = fakeProvider('first', { failures: [throttled(), throttled()] });
+    install(first, fakeProvider('second', { confidence: 0.9 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(first.calls).toBe(3);
+    expect(result._routing).toMatchObject({
+      provider: 'first',
+      reason: 'primary',
+      totalAttempts: 3,
+      attempts: [
+        { provider: 'first', attempt: 1, status: 'error', retryable: true, backoffMs: 5 },
+        { provider: 'first', attempt: 2, status: 'error', retryable: true, backoffMs: 10 },
+        { provider: 'first', attempt: 3, status: 'success' }
+      ]
+    });
+    expect(result._routing.attempts.every(a => typeof a.durationMs === 'number')).toBe(true);
+  });
+
+  it('moves to the next provider once retries are exhausted', async () => {
+    const first = fakeProvider('first', { failures: [throttled(), throttled(), throttled()] });
+    install(first, fakeProvider('second', { confidence: 0.9 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(first.calls).toBe(3);
+    expect(result._routing).toMatchObject({ provider: 'second', reason: 'fallback', totalAttempts: 4 });
+    expect(result._routing.attempts[2]).not.toHaveProperty('backoffMs');
+  });
+
+  it('does not retry terminal errors', async () => {
+    const terminal = new ProviderError('HTTP 400', { provider: 'first', statusCode: 400, retryable: false });
+    const first = fakeProvider('first', { failures: [terminal] });
+    install(first, fakeProvider('second', { confidence: 0.9 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(first.calls).toBe(1);
+    expect(result._routing.attempts[0]).toMatchObject({ provider: 'first', status: 'error', retryable: false });
+    expect(result._routing.provider).toBe('second');
+  });
+
+  it('enforces the provider timeout and aborts the hung call', async () => {
+    config.config.retry.maxAttempts = 1;
+    const hung = fakeProvider('first', { confidence: 0.9 }, { timeout: 30 });
+    let signal;
+    hung.extract = (buffer, fileName, mimeType, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    };
+    install(hung, fakeProvider('second', { confidence: 0.9 }));
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason).toMatchObject({ code: 'TIMEOUT', retryable: true });
+    expect(result._routing.attempts[0]).toMatchObject({
+      provider: 'first',
+      status: 'error',
+      error: 'Provider first timed out after 30ms',
+      retryable: true
+    });
+    expect(result._routing.provider).toBe('second');
+  });
+});
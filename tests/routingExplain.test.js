@@ -0,0 +1,137 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const { fakeProvider, TEXT_CAPABILITIES } = require('./support/providers');
+const documentClassifier = require('../src/services/DocumentClassifier');
+
+describe('RoutingEngine routing explanations', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalProviderConfig = config.config.providers;
+  const originalRouting = config.config.routing;
+  const originalRules = config.config.routingRules;
+  const originalPolicies = config.config.clientPolicies;
+  const originalEnsemble = config.config.ensemble;
+
+  beforeEach(() => {
+    // A dry run must never call a provider
+    const called = new Error('Provider called by a dry run');
+    const aws = fakeProvider('aws', called, { pricePerPage: 0.015, capabilities: TEXT_CAPABILITIES });
+    const azure = fakeProvider('azure', called, { pricePerPage: 0.005, capabilities: TEXT_CAPABILITIES });
+    const langextract = fakeProvider('langextract', called, { pricePerPage: 0.001, capabilities: TEXT_CAPABILITIES });
+    providerFactory.providers = { pdftext: originalProviders.pdftext, aws, azure, langextract };
+    config.config.providers = { ...originalProviderConfig, aws: aws.config, azure: azure.config, langextract: langextract.config };
+    config.config.routing = { invoice: ['azure', 'aws'], generic: ['aws', 'langextract'] };
+    config.config.routingRules = [];
+    config.config.clientPolicies = {};
+    config.config.ensemble = {};
+    config.validate();
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.providers = originalProviderConfig;
+    config.config.routing = originalRouting;
+    config.config.routingRules = originalRules;
+    config.config.clientPolicies = originalPolicies;
+    config.config.ensemble = originalEnsemble;
+    config.validate();
+    documentClassifier.configure(config.get('classification') || {});
+  });
+
+  it('detects the type from the file name and plans local, primary and fallback steps', () => {
+    documentClassifier.configure({ firstPass: { provider: 'cheapest' } });
+    const explanation = routingEngine.explainRouting({
+      fileName: 'invoice-2024.pdf',
+      mimeType: 'application/pdf',
+      pageCount: 4
+    });
+
+    expect(explanation).toMatchObject({
+      documentType: 'invoice',
+      classification: {
+        type: 'invoice',
+        source: 'file-name',
+        contentPass: [{ source: 'text-layer', provider: 'pdftext' }, { source: 'first-pass', provider: 'langextract' }]
+      },
+      mode: 'routed',
+      selection: { reason: 'primary' },
+      rule: null
+    });
+    expect(explanation.plan).toEqual([
+      expect.objectContaining({ position: 1, provider: 'pdftext', step: 'text-layer', estimatedCost: 0 }),
+      { position: 2, provider: 'azure', step: 'primary', estimatedCost: 0.02 },
+      { position: 3, provider: 'aws', step: 'fallback', estimatedCost: 0.06 }
+    ]);
+    expect(explanation.rejected).toBeUndefined();
+  });
+
+  it('reports every candidate with its health, policy and discounted cost', () => {
+    config.config.clientPolicies = { acme: { deniedProviders: ['aws'] } };
+    config.config.routing.invoice = ['azure', 'aws', 'langextract'];
+    config.validate();
+    const breaker = routingEngine.getCircuitBreaker('azure');
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+
+    const explanation = routingEngine.explainRouting({ documentType: 'invoice', mimeType: 'image/png', clientId: 'acme' });
+    const candidate = name => explanation.candidates.find(c => c.provider === name);
+
+    expect(candidate('azure')).toMatchObject({ enabled: true, healthy: false, circuit: 'open', allowed: true, planPosition: null });
+    expect(candidate('aws')).toMatchObject({ healthy: true, allowed: false, policy: 'client acme denies aws', planPosition: null });
+    expect(candidate('langextract')).toMatchObject({
+      allowed: true,
+      planPosition: 1,
+      estimatedCost: { pageCount: 1, pricePerPage: 0.001, discountPercent: 0, finalCost: 0.001 }
+    });
+    expect(explanation.plan.map(step => [step.provider, step.step])).toEqual([['langextract', 'primary']]);
+    expect(explanation.trace).toContain('Skips azure: circuit open');
+  });
+
+  it('explains forced providers and rejections', () => {
+    config.config.clientPolicies = { acme: { deniedProviders: ['aws'] } };
+    config.config.routingRules = [{ name: 'too-long', when: { pageCount: { min: 100 } }, reject: 'Split it first' }];
+    config.validate();
+
+    expect(routingEngine.explainRouting({ documentType: 'invoice', forceProvider: 'azure', clientId: 'acme' })).toMatchObject({
+      mode: 'forced',
+      plan: [{ provider: 'azure', step: 'forced' }]
+    });
+    expect(routingEngine.explainRouting({ documentType: 'invoice', forceProvider: 'aws', clientId: 'acme' })).toMatchObject({
+      mode: 'forced',
+      plan: [],
+      rejected: { code: 'CLIENT_POLICY', message: 'Provider aws is not allowed: client acme denies aws' }
+    });
+    expect(routingEngine.explainRouting({ documentType: 'invoice', pageCount: 200 })).toMatchObject({
+      rule: 'too-long',
+      plan: [],
+      rejected: { code: 'ROUTING_REJECTED', rule: 'too-long', message: 'Split it first' }
+    });
+  });
+
+  it('keeps the local step when only it could serve a local-only client', () => {
+    config.config.clientPolicies = { globex: { localOnly: true } };
+    config.validate();
+
+    const explanation = routingEngine.explainRouting({ documentType: 'invoice', mimeType: 'application/pdf', clientId: 'globex' });
+
+    expect(explanation.plan.map(step => step.provider)).toEqual(['pdftext']);
+    expect(explanation.rejected).toMatchObject({ code: 'CLIENT_POLICY', unlessLocal: true });
+  });
+
+  it('plans cost-ranked and ensemble requests', () => {
+    const cost = routingEngine.explainRouting({
+      documentType: 'invoice',
+      pageCount: 10,
+      options: { requirements: { features: ['text'], languages: [] } }
+    });
+    expect(cost.selection.reason).toBe('cost');
+    expect(cost.plan.map(step => step.provider)).toEqual(['langextract', 'azure', 'aws']);
+    expect(cost.candidates.find(c => c.provider === 'aws').missing).toEqual([]);
+
+    const ensemble = routingEngine.explainRouting({
+      documentType: 'invoice',
+      options: { ensemble: { enabled: true, providers: ['aws', 'langextract'] } }
+    });
+    expect(ensemble).toMatchObject({ mode: 'ensemble', plan: [{ provider: 'aws', step: 'ensemble' }, { provider: 'langextract', step: 'ensemble' }] });
+  });
+});
@@ -0,0 +1,170 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const { fakeProvider } = require('./support/providers');
+const { parseRoutingRules, evaluateRule } = require('../src/config/routingRules');
+const { buildPdf } = require('./support/pdf');
+
+const providers = { aws: {}, azure: {}, langextract: {}, pdftext: {} };
+
+describe('routing rules', () => {
+  const match = (when, context) => evaluateRule(parseRoutingRules([{ when, providers: ['aws'] }], providers)[0], context);
+
+  it('matches MIME families, sizes with units and page ranges', () => {
+    expect(match({ mimeType: 'image/*' }, { mimeType: 'image/png' }).matched).toBe(true);
+    expect(match({ mimeType: ['application/pdf'] }, { mimeType: 'image/png' }).matched).toBe(false);
+    expect(match({ fileSize: { max: '1MB' } }, { fileSize: 1024 * 1024 }).matched).toBe(true);
+    expect(match({ fileSize: { min: '1.5kb' } }, { fileSize: 1000 }).matched).toBe(false);
+    expect(match({ pageCount: { min: 10, max: 20 }, clientId: ['acme', 'globex'] }, { pageCount: 12, clientId: 'acme' }))
+      .toEqual({ matched: true, conditions: { pageCount: true, clientId: true } });
+  });
+
+  it('never matches on unknown values', () => {
+    expect(match({ pageCount: { min: 1 }, documentType: 'invoice' }, { documentType: 'invoice' }))
+      .toEqual({ matched: false, conditions: { pageCount: null, documentType: true } });
+  });
+
+  it('evaluates time windows in their timezone, including overnight windows', () => {
+    const weekdays = { days: ['mon', 'tue', 'Wednesday', 'thu', 'fri'], from: '22:00', to: '06:00', timezone: 'Europe/Berlin' };
+
+    // Friday 23:30 and Saturday 05:00 Berlin time are in Friday's window
+    expect(match({ time: weekdays }, { now: new Date('2024-03-08T22:30:00Z') }).matched).toBe(true);
+    expect(match({ time: weekdays }, { now: new Date('2024-03-09T04:00:00Z') }).matched).toBe(true);
+    // Saturday 23:30 is not
+    expect(match({ time: weekdays }, { now: new Date('2024-03-09T22:30:00Z') }).matched).toBe(false);
+    expect(match({ time: { from: '09:00', to: '17:00' } }, { now: new Date('2024-03-09T16:59:00Z') }).matched).toBe(true);
+  });
+
+  it('accepts rules without conditions and reject messages', () => {
+    const [rule] = parseRoutingRules([{ name: 'maintenance', reject: true }], providers);
+
+    expect(rule).toMatchObject({ action: 'reject', message: 'Rejected by routing rule maintenance' });
+    expect(evaluateRule(rule, {}).matched).toBe(true);
+  });
+
+  it.each([
+    [{ when: { size: 1 }, providers: ['aws'] }, 'unknown condition "size"'],
+    [{ providers: ['aws'], reject: 'no' }, 'needs exactly one action: providers or reject'],
+    [{ when: {} }, 'needs exactly one action: providers or reject'],
+    [{ providers: ['textract'] }, 'unknown provider "textract" in providers'],
+    [{ reject: true, model: 'x' }, 'model needs a providers list'],
+    [{ when: { pageCount: { min: 5, max: 2 } }, providers: ['aws'] }, 'pageCount.min is greater than pageCount.max'],
+    [{ when: { fileSize: { max: 'big' } }, providers: ['aws'] }, 'fileSize.max must be a size'],
+    [{ when: { time: { from: '25:00', to: '06:00' } }, providers: ['aws'] }, 'time.from must be a time as HH:MM'],
+    [{ when: { time: { days: ['funday'] } }, providers: ['aws'] }, 'time.days: unknown day "funday"'],
+    [{ when: { time: { days: ['mon'], timezone: 'Mars/Olympus' } }, providers: ['aws'] }, 'time.timezone: unknown timezone "Mars/Olympus"'],
+    [{ provider: 'aws' }, 'unknown key "provider"']
+  ])('rejects invalid rule %j', (rule, message) => {
+    expect(() => parseRoutingRules([{ name: 'bad', ...rule }], providers))
+      .toThrow(`Invalid config.yaml: routingRules[0] (bad): ${message}`);
+  });
+
+  it('fails config validation on invalid rules', () => {
+    const original = config.config.routingRules;
+    const compiled = config.getRoutingRules();
+    config.config.routingRules = [{ providers: [] }];
+    try {
+      expect(() => config.validate()).toThrow('routingRules[0] (#1): providers must be a string or a non-empty list of strings');
+      expect(config.getRoutingRules()).toBe(compiled);
+    } finally {
+      config.config.routingRules = original;
+    }
+  });
+});
+
+describe('RoutingEngine routing rules', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+  const originalRules = config.config.routingRules;
+
+  let aws;
+  let azure;
+  beforeEach(() => {
+    aws = fakeProvider('aws');
+    azure = fakeProvider('azure');
+    providerFactory.providers = { ...originalProviders, aws, azure };
+    config.config.routing = { invoice: ['aws'] };
+    routingEngine.resetCircuitBreakers();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+    config.config.routingRules = originalRules;
+    config.validate();
+  });
+
+  it('routes to the first matching rule and forces its model', async () => {
+    config.config.routingRules = [
+      { name: 'pdfs', when: { mimeType: 'application/pdf' }, providers: ['aws'] },
+      { name: 'acme', when: { clientId: 'acme', documentType: 'invoice' }, providers: ['azure'], model: 'acme-v2' }
+    ];
+    config.validate();
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice', { clientId: 'acme' });
+
+    expect(result._routing).toMatchObject({ provider: 'azure', reason: 'rule', rule: 'acme' });
+    expect(azure.requests[0].options).toMatchObject({ model: 'acme-v2', documentType: 'invoice' });
+    expect(aws.calls).toBe(0);
+  });
+
+  it('skips the text layer unless the rule lists it', async () => {
+    config.config.routingRules = [{ name: 'ocr-everything', when: { mimeType: 'application/pdf' }, providers: ['azure'] }];
+    config.validate();
+
+    const result = await routingEngine.extractWithFallback(buildPdf(['Invoice 42']), 'a.pdf', 'application/pdf', 'invoice');
+
+    expect(result._routing).toMatchObject({ provider: 'azure', rule: 'ocr-everything' });
+  });
+
+  it('rejects matching documents on every path', async () => {
+    config.config.routingRules = [{ name: 'too-long', when: { pageCount: { min: 3 } }, reject: 'Split it first' }];
+    config.validate();
+    const pdf = buildPdf(['a', 'b', 'c']);
+
+    await expect(routingEngine.extractWithFallback(pdf, 'a.pdf', 'application/pdf', 'invoice'))
+      .rejects.toMatchObject({ message: 'Split it first', code: 'ROUTING_REJECTED', rule: 'too-long' });
+    await expect(routingEngine.extractWithProvider(aws, pdf, 'a.pdf', 'application/pdf', 'invoice'))
+      .rejects.toMatchObject({ code: 'ROUTING_REJECTED' });
+    expect(aws.calls).toBe(0);
+  });
+
+  it('rejects before classification only when the type cannot change the outcome', async () => {
+    const pdf = buildPdf(['a', 'b', 'c']);
+    config.config.routingRules = [
+      { name: 'large-invoices', when: { documentType: 'invoice', fileSize: { min: '1MB' } }, providers: ['aws'] },
+      { name: 'too-long', when: { pageCount: { min: 3 } }, reject: 'Split it first' }
+    ];
+    config.validate();
+
+    await expect(routingEngine.rejectBeforeClassification(pdf, 'application/pdf'))
+      .rejects.toMatchObject({ code: 'ROUTING_REJECTED', rule: 'too-long' });
+    await expect(routingEngine.rejectBeforeClassification(buildPdf(['a']), 'application/pdf')).resolves.toBeUndefined();
+
+    // A large invoice would be routed by the first rule instead
+    const large = Buffer.concat([pdf, Buffer.alloc(1024 * 1024)]);
+    await expect(routingEngine.rejectBeforeClassification(large, 'application/pdf')).resolves.toBeUndefined();
+  });
+
+  it('explains rule evaluation for a document type', () => {
+    config.config.routingRules = [
+      { name: 'big', when: { pageCount: { min: 100 } }, reject: true },
+      { name: 'images', when: { mimeType: 'image/*' }, providers: ['azure', 'aws'] }
+    ];
+    config.validate();
+
+    expect(routingEngine.getRoutingInfo('invoice', { mimeType: 'image/tiff' })).toMatchObject({
+      providers: ['azure', 'aws'],
+      source: 'rule',
+      rule: 'images',
+      rules: [
+        { name: 'big', action: 'reject', matched: false, conditions: { pageCount: null } },
+        { name: 'images', action: 'route', matched: true, conditions: { mimeType: true } }
+      ]
+    });
+    expect(routingEngine.getRoutingInfo('invoice', { pageCount: 200 })).toMatchObject({
+      providers: [], rule: 'big', rejected: 'Rejected by routing rule big'
+    });
+    expect(routingEngine.getRoutingInfo('invoice')).toMatchObject({ providers: ['aws'], source: 'routing', rule: null });
+  });
+});
@@ -0,0 +1,138 @@
+const extractionSchema = require('../src/schema');
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const ensembleMerger = require('../src/services/EnsembleMerger');
+const AWSProvider = require('../src/providers/AWSProvider');
+const AzureProvider = require('../src/providers/AzureProvider');
+const ProviderInterface = require('../src/providers/ProviderInterface');
+const invoice = require('./fixtures/textract/invoice-analyze-document.json');
+
+describe('extraction schema', () => {
+  it('resolves short and prefixed version names', () => {
+    expect(extractionSchema.resolveVersion()).toBe('2.1');
+    expect(extractionSchema.resolveVersion('1')).toBe('1.0');
+    expect(extractionSchema.resolveVersion('v2')).toBe('2.1');
+    expect(extractionSchema.resolveVersion('2.0')).toBe('2.0');
+    expect(extractionSchema.resolveVersion('3')).toBeNull();
+  });
+
+  it('accepts normalized adapter output', async () => {
+    const textract = new AWSProvider({}).normalizeTextractResponse(invoice, { includeGeometry: true });
+    const azure = new AzureProvider({}).normalizeAzureResponse({
+      pages: [{ pageNumber: 1, lines: [{ content: 'Total' }], words: [{ content: 'Total', confidence: 0.9 }] }],
+      keyValuePairs: [{ key: { content: 'Total' }, value: { content: '$5' }, confidence: 0.8 }]
+    }, 'prebuilt-document');
+    const loose = new ProviderInterface('plugin', {}).normalizeResponse({
+      pages: [{ pageNumber: 1, text: 'a', lines: 1, words: 1 }],
+      tables: [{ cells: [['a', 'b']] }],
+      forms: { Total: 5 }
+    });
+
+    for (const result of [textract, azure, loose]) {
+      expect(extractionSchema.validate(result)).toEqual({ valid: true, errors: [] });
+    }
+    expect(loose.forms).toEqual([{ key: 'Total', value: '5', confidence: null, pageNumber: null }]);
+  });
+
+  it('reports where a result breaks the schema', () => {
+    const { valid, errors } = extractionSchema.validate({ text: 'x', pages: [], tables: [], forms: {} });
+
+    expect(valid).toBe(false);
+    expect(errors).toContain('/forms must be array');
+  });
+
+  it('formats results for clients pinned to 1.0', () => {
+    const result = new ProviderInterface('aws', {}).normalizeResponse({
+      tables: [{ cells: [['a']], headerRows: [0] }],
+      forms: [
+        { key: 'Date', value: '2024-01-15', pageNumber: 1 },
+        { key: 'Date', value: '2024-02-15', pageNumber: 2 }
+      ]
+    });
+    const legacy = extractionSchema.format(result, '1.0');
+
+    expect(legacy.forms).toEqual({ Date: '2024-01-15', 'Date (2)': '2024-02-15' });
+    expect(legacy.formFields).toHaveLength(2);
+    expect(legacy.tables).toEqual([{ rows: 1, columns: 1, cells: [['a']] }]);
+    expect(extractionSchema.validate(legacy, '1.0').valid).toBe(true);
+  });
+
+  it('drops the 2.1 table details for clients pinned to 2.0', () => {
+    const result = new ProviderInterface('aws', {}).normalizeResponse({
+      tables: [{ cells: [['Item', 'Qty'], ['Widget', '2']] }]
+    });
+    const pinned = extractionSchema.format(result, '2.0');
+
+    expect(result.tables[0].cellDetails).toHaveLength(4);
+    expect(pinned.tables[0].cellDetails).toBeUndefined();
+    expect(pinned.tables[0].headerSource).toBeUndefined();
+    expect(extractionSchema.validate(pinned, '2.0')).toEqual({ valid: true, errors: [] });
+  });
+
+  it('formats responses that match the schema they are pinned to', () => {
+    const result = new ProviderInterface('aws', {}).normalizeResponse({
+      text: 'Total $5',
+      pages: [{ pageNumber: 1, text: 'Total $5', lines: 1, words: 2, confidence: 0.9 }],
+      tables: [{ cells: [['Item', 'Qty'], ['Widget', '2']] }],
+      forms: [{ key: 'Total', value: '$5', pageNumber: 1 }],
+      metadata: { pageCount: 1 }
+    });
+
+    for (const version of extractionSchema.getVersions()) {
+      expect(extractionSchema.validate(extractionSchema.format(result, version), version)).toEqual({ valid: true, errors: [] });
+    }
+    expect(extractionSchema.format(result, '2.1').metadata).toEqual({ provider: 'aws', pageCount: 1 });
+    expect(extractionSchema.format(result, '1.0').metadata).toBeUndefined();
+  });
+});
+
+describe('RoutingEngine schema enforcement', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+  });
+
+  it('treats a non-conforming result as a provider failure', async () => {
+    const broken = new ProviderInterface('broken', {});
+    broken.extract = async () => ({ text: 'x', pages: [], tables: [], forms: {} });
+    const valid = new ProviderInterface('valid', {});
+    valid.extract = async () => valid.normalizeResponse({ text: 'ok' });
+    providerFactory.providers = { broken, valid };
+    config.config.routing = { generic: ['broken', 'valid'] };
+
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'generic');
+
+    expect(result._routing).toMatchObject({ provider: 'valid', reason: 'fallback' });
+    expect(result._routing.attempts[0]).toMatchObject({ provider: 'broken', status: 'error' });
+    expect(result._routing.attempts[0].error).toMatch(/does not match schema 2\.1/);
+  });
+
+  it('checks merged ensemble results before returning them', async () => {
+    const aws = new ProviderInterface('aws', {});
+    aws.extract = async () => aws.normalizeResponse({ text: 'ok' });
+    const azure = new ProviderInterface('azure', {});
+    azure.extract = async () => azure.normalizeResponse({ text: 'ok' });
+    providerFactory.providers = { aws, azure };
+    const merge = jest.spyOn(ensembleMerger, 'merge').mockReturnValue({
+      result: { text: 'ok', pages: [], tables: [], forms: {} },
+      base: 'aws',
+      provenance: {},
+      disagreements: []
+    });
+
+    try {
+      await expect(routingEngine.extractWithEnsemble(Buffer.from('x'), 'a.png', 'image/png', 'generic', {
+        ensemble: { providers: ['aws', 'azure'] }
+      })).rejects.toMatchObject({
+        code: 'SCHEMA_VIOLATION',
+        message: expect.stringMatching(/^Merged result of aws, azure does not match schema 2\.1/)
+      });
+    } finally {
+      merge.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,124 @@
+const config = require('../src/config');
+const providerFactory = require('../src/providers');
+const routingEngine = require('../src/services/RoutingEngine');
+const shadowComparator = require('../src/services/ShadowComparator');
+const { fakeProvider } = require('./support/providers');
+
+describe('ShadowComparator', () => {
+  it('diffs text, form fields, table shapes, latency and cost', () => {
+    const served = fakeProvider('served').normalizeResponse({
+      text: 'Invoice 42 total 10.00',
+      forms: [{ key: 'Invoice No', value: '42' }, { key: 'Total', value: '$10.00' }, { key: 'Due', value: 'May 1' }],
+      tables: [{ cells: [['a', 'b'], ['1', '2']] }]
+    });
+    const candidate = fakeProvider('candidate').normalizeResponse({
+      text: 'INVOICE 42 total 10.50',
+      forms: [{ key: 'invoice no.', value: '42' }, { key: 'Total', value: '10.5' }],
+      tables: [{ cells: [['a', 'b', 'c'], ['1', '2', '3']] }]
+    });
+
+    const comparison = shadowComparator.compare(
+      { result: served, durationMs: 800, cost: 0.015 },
+      { result: candidate, durationMs: 500, cost: 0.005 }
+    );
+
+    expect(comparison).toMatchObject({
+      textSimilarity: 0.8,
+      forms: {
+        served: 3,
+        candidate: 2,
+        agreeing: 1,
+        agreement: 0.3333,
+        mismatched: [
+          { key: 'Total', served: '$10.00', candidate: '10.5' },
+          { key: 'Due', served: 'May 1', candidate: null }
+        ]
+      },
+      tables: { served: [[2, 2]], candidate: [[2, 3]], match: false },
+      latency: { servedMs: 800, candidateMs: 500, deltaMs: -300 },
+      cost: { served: 0.015, candidate: 0.005, delta: -0.01 }
+    });
+  });
+});
+
+describe('RoutingEngine shadow traffic', () => {
+  const originalProviders = { ...providerFactory.providers };
+  const originalRouting = config.config.routing;
+  const originalShadow = config.config.shadow;
+  const originalProviderConfig = config.config.providers;
+
+  const output = { text: 'Invoice 42', forms: [{ key: 'Total', value: '5.00' }] };
+  let served;
+  let candidate;
+
+  beforeEach(() => {
+    served = fakeProvider('served', output, { pricePerPage: 0.015 });
+    candidate = fakeProvider('candidate', { ...output, forms: [{ key: 'Total', value: '5' }] }, { pricePerPage: 0.005 });
+    providerFactory.providers = { served, candidate };
+    config.config.providers = { served: served.config, candidate: candidate.config };
+    config.config.routing = { invoice: ['served'] };
+    config.config.shadow = { maxInFlight: 4, keepRecent: 2, routes: { invoice: { candidate: 'candidate', percentage: 100 } } };
+    routingEngine.resetCircuitBreakers();
+    shadowComparator.reset();
+  });
+
+  afterAll(() => {
+    providerFactory.providers = originalProviders;
+    config.config.routing = originalRouting;
+    config.config.shadow = originalShadow;
+    config.config.providers = originalProviderConfig;
+  });
+
+  it('shadows routed requests without changing the served result', async () => {
+    const result = await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+    await routingEngine.waitForShadows();
+
+    expect(result._routing.provider).toBe('served');
+    expect(result.metadata.provider).toBe('served');
+    expect(candidate.calls).toBe(1);
+
+    const [summary] = shadowComparator.getResults('invoice');
+    expect(summary).toMatchObject({
+      documentType: 'invoice',
+      candidate: 'candidate',
+      samples: 1,
+      failed: 0,
+      servedBy: { served: 1 },
+      textSimilarity: 1,
+      formAgreement: 1,
+      tableShapeMatchRate: 1,
+      cost: { served: 0.015, candidate: 0.005 }
+    });
+    expect(summary.recent[0].comparison.forms.agreeing).toBe(1);
+  });
+
+  it('records candidate failures and keeps only recent details', async () => {
+    providerFactory.providers.candidate = fakeProvider('candidate', new Error('boom'), { pricePerPage: 0.01 });
+
+    for (let i = 0; i < 3; i++) {
+      await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice');
+    }
+    await routingEngine.waitForShadows();
+
+    const [summary] = shadowComparator.getResults();
+    expect(summary).toMatchObject({ samples: 3, compared: 0, failed: 3, errorRate: 1, textSimilarity: null });
+    expect(summary.recent).toHaveLength(2);
+    expect(summary.recent[0].error).toBe('boom');
+  });
+
+  it('skips the served provider itself and samples over the in-flight limit', async () => {
+    config.config.shadow.routes.receipt = { candidate: 'served', percentage: 100 };
+    config.config.shadow.maxInFlight = 1;
+    config.config.routing.receipt = ['served'];
+
+    await routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'receipt');
+    await Promise.all([
+      routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice'),
+      routingEngine.extractWithFallback(Buffer.from('x'), 'a.png', 'image/png', 'invoice')
+    ]);
+    await routingEngine.waitForShadows();
+
+    expect(shadowComparator.getResults('receipt')).toEqual([]);
+    expect(candidate.calls).toBe(1);
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProviderSimulator = require('../src/simulator/ProviderSimulator');
+const AWSProvider = require('../src/providers/AWSProvider');
+const AzureProvider = require('../src/providers/AzureProvider');
+const { buildPdf } = require('./support/pdf');
+
+describe('ProviderSimulator', () => {
+  let simulator;
+  let server;
+
+  beforeEach(async () => {
+    simulator = new ProviderSimulator({
+      textract: { pollsBeforeSuccess: 1 },
+      azure: { pollsBeforeSuccess: 1 }
+    });
+    server = await simulator.listen();
+  });
+
+  afterEach(() => server.close());
+
+  const awsProvider = () => new AWSProvider({
+    endpoint: server.url,
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+    s3: { endpoint: server.url, bucket: 'docs', forcePathStyle: true },
+    polling: { initialDelayMs: 10 }
+  });
+
+  const azureProvider = () => new AzureProvider({ endpoint: server.url, apiKey: 'test' });
+
+  it('serves the canned invoice to the real Textract SDK', async () => {
+    const result = await awsProvider().extract(buildPdf(['one']), 'a.pdf', 'application/pdf');
+
+    expect(result.text).toContain('Invoice Number: INV-1001');
+    expect(result.forms).toContainEqual(expect.objectContaining({ key: 'Invoice Number', value: 'INV-1001' }));
+    expect(result.tables[0].cells).toEqual([
+      ['Item', 'Qty', 'Amount'],
+      ['Widget', '2', '20.00'],
+      ['Gadget', '1', '15.00']
+    ]);
+    expect(result.tables[0].headerRows).toEqual([0]);
+    expect(simulator.calls.map(c => c.operation)).toEqual(['AnalyzeDocument']);
+  });
+
+  it('stages multi-page documents in S3 and polls the Textract job', async () => {
+    const result = await awsProvider().extract(buildPdf(['one', 'two', 'three']), 'a.pdf', 'application/pdf');
+
+    expect(result.pages).toHaveLength(3);
+    expect(result.pages[2].text).toBe('Page 3');
+    expect(simulator.calls.map(c => c.operation)).toEqual([
+      'PutObject', 'StartDocumentAnalysis', 'GetDocumentAnalysis', 'GetDocumentAnalysis', 'DeleteObject'
+    ]);
+    expect(simulator.objects.size).toBe(0);
+  });
+
+  it('answers Azure analyze requests through the long-running operation', async () => {
+    const result = await azureProvider().extract(Buffer.from('invoice'), 'i.png', 'image/png', { documentType: 'invoice' });
+
+    expect(result.text).toContain('ACME Corporation');
+    expect(result.fields.values.InvoiceId.value).toBe('INV-1001');
+    expect(result.fields.values.InvoiceDate.value).toBe('2024-01-15');
+    expect(result.tables[0].headerRows).toEqual([0]);
+    expect(simulator.calls.map(c => c.operationStatus || c.status)).toEqual([202, 'running', 'succeeded']);
+  });
+
+  it('injects configured errors in each service format', async () => {
+    simulator.update({
+      textract: { errors: { rate: 1, status: 400, code: 'AccessDeniedException', message: 'Denied' } },
+      azure: { errors: { rate: 1, status: 400, code: 'InvalidRequest', message: 'Bad document' } }
+    });
+
+    await expect(awsProvider().extract(buildPdf(['one']), 'a.pdf', 'application/pdf'))
+      .rejects.toMatchObject({ provider: 'aws', statusCode: 400, retryable: false, message: expect.stringContaining('Denied') });
+    await expect(azureProvider().extract(Buffer.from('x'), 'x.png', 'image/png'))
+      .rejects.toMatchObject({ provider: 'azure', statusCode: 400, code: 'InvalidRequest', retryable: false });
+  });
+
+  it('cancels in-flight SDK calls when the signal aborts', async () => {
+    simulator.update({ textract: { latencyMs: 2000 }, azure: { latencyMs: 2000 } });
+
+    for (const [provider, args] of [
+      [awsProvider(), [buildPdf(['one']), 'a.pdf', 'application/pdf']],
+      [azureProvider(), [Buffer.from('x'), 'x.png', 'image/png']]
+    ]) {
+      const started = Date.now();
+      await expect(provider.extract(...args, { signal: AbortSignal.timeout(50) })).rejects.toThrow();
+      expect(Date.now() - started).toBeLessThan(1000);
+    }
+  });
+
+  it('delays responses by the configured latency', async () => {
+    simulator.update({ textract: { latencyMs: 150 } });
+
+    const started = Date.now();
+    await awsProvider().extract(buildPdf(['one']), 'a.pdf', 'application/pdf');
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(150);
+  });
+
+  it('only serves fixtures from the fixtures directory', async () => {
+    const settings = body => fetch(`${server.url}/_simulator/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    for (const fixture of ['/etc/passwd', 'fixtures/../package.json', 'fixtures']) {
+      const response = await settings({ textract: { fixture } });
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe('InvalidFixture');
+    }
+    expect((await settings({ azure: { fixtures: { 'prebuilt-invoice': '../secret.json' } } })).status).toBe(400);
+    expect(simulator.settings.textract.fixture).toBeUndefined();
+    expect(() => new ProviderSimulator({ textract: { fixture: 'config.yaml' } })).toThrow('not inside the fixtures directory');
+  });
+
+  it('does not echo unreadable fixtures back to the caller', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'simulator-fixtures-'));
+    const local = new ProviderSimulator({}, { fixturesDirectory: directory });
+    const localServer = await local.listen();
+    try {
+      fs.writeFileSync(path.join(directory, 'broken.json'), 'secret-token=abc123');
+      fs.writeFileSync(path.join(directory, 'invoice.json'), JSON.stringify({ Blocks: [] }));
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const analyze = () => fetch(localServer.url, {
+        method: 'POST',
+        headers: { 'X-Amz-Target': 'Textract.AnalyzeDocument', 'Content-Type': 'application/x-amz-json-1.1' },
+        body: JSON.stringify({ Document: { Bytes: Buffer.from('x').toString('base64') } })
+      });
+
+      local.update({ textract: { fixture: path.join(directory, 'broken.json') } });
+      const failed = await analyze();
+      expect(failed.status).toBe(500);
+      expect(await failed.text()).not.toContain('secret');
+      error.mockRestore();
+
+      local.update({ textract: { fixture: path.join(directory, 'invoice.json') } });
+      expect(await (await analyze()).json()).toMatchObject({ Blocks: [] });
+    } finally {
+      await localServer.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,138 @@
+const http = require('http');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Start an HTTP server on a random local port
+ * @private
+ */
+function listen(handler) {
+  const server = http.createServer(handler);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Read a full request body
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Minimal path-style S3-compatible store (PUT/GET/DELETE object)
+ */
+async function createS3Server() {
+  const objects = new Map();
+  const log = [];
+
+  const server = await listen(async (req, res) => {
+    const key = decodeURIComponent(req.url.split('?')[0].slice(1));
+    log.push(`${req.method} ${key}`);
+
+    if (req.method === 'PUT') {
+      objects.set(key, await readBody(req));
+      res.writeHead(200, { ETag: '"stub"' });
+      return res.end();
+    }
+    if (req.method === 'GET' && objects.has(key)) {
+      res.writeHead(200);
+      return res.end(objects.get(key));
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+    res.writeHead(404, { 'Content-Type': 'application/xml' });
+    res.end('<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+  });
+
+  return { ...server, objects, log };
+}
+
+/**
+ * Build LINE/PAGE blocks for one page
+ * @private
+ */
+function pageBlocks(pageNumber) {
+  return [
+    { Id: `page-${pageNumber}`, BlockType: 'PAGE', Page: pageNumber },
+    { Id: `line-${pageNumber}`, BlockType: 'LINE', Page: pageNumber, Text: `Text on page ${pageNumber}` }
+  ];
+}
+
+/**
+ * Stubbed Textract JSON API
+ * Jobs stay IN_PROGRESS for `state.inProgressPolls` polls, then return
+ * one page of blocks per GetDocumentAnalysis call via NextToken.
+ * @param {Object} s3 - Server returned by createS3Server
+ */
+async function createTextractServer(s3) {
+  const state = { inProgressPolls: 2, failJobs: false, calls: [] };
+  const jobs = new Map();
+
+  const reply = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/x-amz-json-1.1' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = await listen(async (req, res) => {
+    const operation = String(req.headers['x-amz-target'] || '').replace('Textract.', '');
+    const input = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+    state.calls.push(operation);
+
+    if (operation === 'AnalyzeDocument') {
+      return reply(res, 200, { Blocks: pageBlocks(1), DocumentMetadata: { Pages: 1 } });
+    }
+
+    if (operation === 'StartDocumentAnalysis') {
+      const { Bucket, Name } = input.DocumentLocation.S3Object;
+      const object = s3.objects.get(`${Bucket}/${Name}`);
+      if (!object) {
+        return reply(res, 400, { __type: 'InvalidS3ObjectException', message: 'Unable to get object' });
+      }
+      const doc = await PDFDocument.load(object);
+      const jobId = `job-${jobs.size + 1}`;
+      jobs.set(jobId, { pages: doc.getPageCount(), polls: 0 });
+      return reply(res, 200, { JobId: jobId });
+    }
+
+    if (operation === 'GetDocumentAnalysis') {
+      const job = jobs.get(input.JobId);
+      if (!job) {
+        return reply(res, 400, { __type: 'InvalidJobIdException', message: 'Unknown job' });
+      }
+      if (job.polls++ < state.inProgressPolls) {
+        return reply(res, 200, { JobStatus: 'IN_PROGRESS' });
+      }
+      if (state.failJobs) {
+        return reply(res, 200, { JobStatus: 'FAILED', StatusMessage: 'Unsupported document' });
+      }
+      const page = input.NextToken ? Number(input.NextToken) : 1;
+      return reply(res, 200, {
+        JobStatus: 'SUCCEEDED',
+        DocumentMetadata: { Pages: job.pages },
+        Blocks: pageBlocks(page),
+        ...(page < job.pages && { NextToken: String(page + 1) })
+      });
+    }
+
+    reply(res, 400, { __type: 'UnknownOperationException', message: operation });
+  });
+
+  return { ...server, state };
+}
+
+module.exports = { createS3Server, createTextractServer };
@@ -0,0 +1,35 @@
+const JSZip = require('jszip');
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Build a minimal DOCX package around the given body XML
+ * @param {string} bodyXml - Contents of <w:body>
+ * @param {Object} [core] - docProps/core.xml elements, e.g. { 'dc:title': 'x' }
+ * @returns {Promise<Buffer>}
+ */
+async function buildDocx(bodyXml, core = {}) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>');
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="${W}"><w:body>${bodyXml}</w:body></w:document>`);
+  zip.file('word/styles.xml', `<?xml version="1.0"?><w:styles xmlns:w="${W}">
+    <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:pPr><w:outlineLvl w:val="1"/></w:pPr></w:style>
+  </w:styles>`);
+  const coreXml = Object.entries(core).map(([k, v]) => `<${k}>${v}</${k}>`).join('');
+  zip.file('docProps/core.xml', `<?xml version="1.0"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">${coreXml}</cp:coreProperties>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Paragraph helper
+ * @param {string} text
+ * @param {string} [style]
+ */
+function p(text, style) {
+  const pPr = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  return `<w:p>${pPr}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+module.exports = { buildDocx, p };
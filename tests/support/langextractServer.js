@@ -0,0 +1,80 @@
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+
+/**
+ * Local stand-in for the LangExtract service
+ * Accepts multipart uploads on /extract and echoes back a page per
+ * form-feed separated chunk of the uploaded text. Behaviour can be
+ * switched per test via `server.behavior`.
+ */
+function createLangExtractServer() {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+  const state = {
+    behavior: 'ok',
+    delayMs: 0,
+    requests: []
+  };
+
+  app.get('/health', (req, res) => {
+    if (state.behavior === 'down') {
+      return res.status(503).json({ status: 'down' });
+    }
+    res.json({ status: 'ok' });
+  });
+
+  app.post('/extract', upload.single('document'), async (req, res) => {
+    state.requests.push({
+      fileName: req.file?.originalname,
+      mimeType: req.file?.mimetype,
+      size: req.file?.size
+    });
+
+    if (state.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, state.delayMs));
+    }
+    if (state.behavior === 'error') {
+      return res.status(500).json({ error: 'internal failure' });
+    }
+    if (state.behavior === 'bad-request') {
+      return res.status(422).json({ error: 'unsupported document' });
+    }
+    if (state.behavior === 'invalid-json') {
+      return res.type('text/plain').send('not json');
+    }
+
+    const chunks = req.file.buffer.toString('utf8').split('\f');
+    const pages = chunks.map((text, i) => ({
+      pageNumber: i + 1,
+      text,
+      lines: text.split('\n').length,
+      words: text.split(/\s+/).filter(Boolean).length
+    }));
+    res.json({
+      text: chunks.join('\n\n'),
+      pages,
+      tables: [],
+      forms: [],
+      metadata: { engine: 'langextract-stub' }
+    });
+  });
+
+  const server = http.createServer(app);
+
+  return {
+    state,
+    start() {
+      return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createLangExtractServer };
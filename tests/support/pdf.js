@@ -0,0 +1,46 @@
+/**
+ * Build a minimal PDF in memory
+ * Each entry in `pages` is the text drawn on that page, or null for a page
+ * without a text layer (what a scanned page looks like to a parser).
+ * @param {Array<string|null>} pages
+ * @param {Object} [info] - Optional document info dictionary entries
+ * @returns {Buffer}
+ */
+function buildPdf(pages, info = {}) {
+  const objects = [];
+  const add = body => objects.push(body);
+
+  add('<< /Type /Catalog /Pages 2 0 R >>');
+  add(null); // Pages tree, filled in once kids are known
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const kids = [];
+  for (const text of pages) {
+    const lines = text === null ? [] : text.split('\n');
+    const stream = lines.length
+      ? `BT /F1 12 Tf 14 TL 72 720 Td ${lines.map(l => `(${l}) '`).join(' ')} ET`
+      : '';
+    add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(objects.length);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  const infoEntries = Object.entries(info).map(([k, v]) => `/${k} (${v})`).join(' ');
+  add(`<< ${infoEntries} >>`);
+  const infoRef = objects.length;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { buildPdf };
@@ -0,0 +1,47 @@
+const ProviderInterface = require('../../src/providers/ProviderInterface');
+
+/**
+ * Capabilities of a provider that reads text in any language
+ */
+const TEXT_CAPABILITIES = { features: ['text'], languages: ['*'] };
+
+/**
+ * Fake provider returning a fixed one-page result, or throwing
+ * `output` is an Error to throw on every call, or describes the result:
+ * its text (defaults to the provider name), page confidence (defaults to
+ * 0.9), forms and tables, plus `failures`, errors thrown by the first
+ * calls before the result is returned. Calls are counted in `calls`, and
+ * each call's arguments are kept in `requests`.
+ * @param {string} name
+ * @param {Object|Error} [output]
+ * @param {string} [output.text]
+ * @param {number|null} [output.confidence]
+ * @param {Array|Object} [output.forms]
+ * @param {Array} [output.tables]
+ * @param {Array<Error>} [output.failures]
+ * @param {Object} [config] - Provider config, e.g. pricePerPage,
+ *   capabilities or timeout
+ * @returns {ProviderInterface}
+ */
+function fakeProvider(name, output = {}, config = {}) {
+  const provider = new ProviderInterface(name, config);
+  provider.calls = 0;
+  provider.requests = [];
+  provider.extract = async (documentBuffer, fileName, mimeType, options) => {
+    const failure = output instanceof Error ? output : output.failures?.[provider.calls];
+    provider.calls++;
+    provider.requests.push({ documentBuffer, fileName, mimeType, options });
+    if (failure) throw failure;
+
+    const { text = name, confidence = 0.9, forms, tables } = output;
+    return provider.normalizeResponse({
+      text,
+      pages: [{ pageNumber: 1, text, lines: 1, words: text.split(/\s+/).filter(Boolean).length, confidence }],
+      forms,
+      tables
+    });
+  };
+  return provider;
+}
+
+module.exports = { fakeProvider, TEXT_CAPABILITIES };
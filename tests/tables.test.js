@@ -0,0 +1,78 @@
+const JSZip = require('jszip');
+const { completeTable, detectHeaderRows } = require('../src/providers/tables');
+const tableExporter = require('../src/services/TableExporter');
+
+describe('table model', () => {
+  it('builds a grid from positioned cells with spans and confidence', () => {
+    const table = completeTable({
+      cells: [
+        { row: 0, column: 0, text: 'Item', header: true },
+        { row: 0, column: 1, text: 'Amount', header: true },
+        { rowIndex: 1, columnIndex: 0, content: 'Widget', confidence: 0.9 },
+        { rowIndex: 1, columnIndex: 1, content: '20.00', confidence: 0.8 },
+        { row: 2, column: 0, colSpan: 2, text: 'Paid in full' }
+      ],
+      pageNumber: 1
+    });
+
+    expect(table).toMatchObject({
+      rows: 3,
+      columns: 2,
+      cells: [['Item', 'Amount'], ['Widget', '20.00'], ['Paid in full', '']],
+      merged: [{ row: 2, column: 0, rowSpan: 1, columnSpan: 2 }],
+      headerRows: [0],
+      headerSource: 'provider',
+      pageNumber: 1
+    });
+    expect(table.cellConfidence[1]).toEqual([0.9, 0.8]);
+    expect(table.cellDetails).toHaveLength(5);
+    expect(table.cellDetails[4]).toEqual({
+      row: 2, column: 0, rowSpan: 1, columnSpan: 2, text: 'Paid in full', confidence: null, header: false
+    });
+  });
+
+  it('detects a text header above numeric columns', () => {
+    expect(detectHeaderRows([['Item', 'Qty', 'Price'], ['Product A', '1', '$25.00'], ['Product B', '2', '$30.00']]))
+      .toEqual([0]);
+    expect(detectHeaderRows([['Name', 'Role'], ['Ada', 'Engineer']])).toEqual([]);
+    expect(detectHeaderRows([['2023', '2024'], ['10', '12']])).toEqual([]);
+
+    const table = completeTable({ cells: [['Item', 'Qty'], ['Widget', '2']] });
+    expect(table).toMatchObject({ headerRows: [0], headerSource: 'detected' });
+  });
+
+  it('pads ragged grids to the widest row', () => {
+    const table = completeTable({ cells: [['a', 'b', 'c'], ['d']] });
+
+    expect(table.cells).toEqual([['a', 'b', 'c'], ['d', '', '']]);
+    expect(table.headerSource).toBe('none');
+  });
+});
+
+describe('TableExporter', () => {
+  const table = completeTable({
+    cells: [['Item', 'Note', 'Amount'], ['Widget', 'says "hi", twice', '-20.00'], ['=SUM(A1)', 'Total', '']],
+    merged: [{ row: 2, column: 1, rowSpan: 1, columnSpan: 2 }],
+    pageNumber: 2
+  });
+
+  it('writes quoted CSV and neutralizes formulas', () => {
+    expect(tableExporter.toCsv(table)).toBe(
+      'Item,Note,Amount\r\nWidget,"says ""hi"", twice",-20.00\r\n\'=SUM(A1),Total,\r\n'
+    );
+  });
+
+  it('writes an XLSX workbook with merged ranges and bold headers', async () => {
+    const { body, contentType } = await tableExporter.export([table, table], 'xlsx');
+    const zip = await JSZip.loadAsync(body);
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+    const workbook = await zip.file('xl/workbook.xml').async('string');
+
+    expect(contentType).toMatch(/spreadsheetml\.sheet$/);
+    expect(workbook).toContain('<sheet name="Table 1 (p2)" sheetId="1" r:id="rId1"/>');
+    expect(workbook).toContain('name="Table 2 (p2)"');
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Item</t></is></c>');
+    expect(sheet).toContain('<mergeCells count="1"><mergeCell ref="B3:C3"/></mergeCells>');
+    expect(sheet).toContain('says &quot;hi&quot;, twice');
+  });
+});
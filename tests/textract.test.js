@@ -0,0 +1,96 @@
+const TextractBlockParser = require('../src/providers/TextractBlockParser');
+const AWSProvider = require('../src/providers/AWSProvider');
+const invoice = require('./fixtures/textract/invoice-analyze-document.json');
+const twoPages = require('./fixtures/textract/two-page-analysis.json');
+
+describe('TextractBlockParser', () => {
+  it('rebuilds table grids including merged cells', () => {
+    const { tables } = new TextractBlockParser(invoice.Blocks).parse();
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0]).toMatchObject({
+      rows: 4,
+      columns: 3,
+      cells: [
+        ['Item', 'Qty', 'Amount'],
+        ['Widget', '2', '20.00'],
+        ['Gadget', '1', '15.00'],
+        ['Total', '', '35.00']
+      ],
+      merged: [{ row: 3, column: 0, rowSpan: 1, columnSpan: 2 }],
+      headerRows: [0],
+      confidence: 0.972,
+      pageNumber: 1
+    });
+    expect(tables[0].cellConfidence[1][2]).toBe(0.94);
+    expect(tables[0].cellConfidence[3][0]).toBe(0.885);
+  });
+
+  it('resolves key and value text through relationships', () => {
+    const { formFields } = new TextractBlockParser(invoice.Blocks).parse();
+
+    expect(formFields).toEqual([
+      {
+        key: 'Invoice No',
+        value: 'INV-001',
+        keyConfidence: 0.934,
+        valueConfidence: 0.913,
+        confidence: 0.913,
+        pageNumber: 1
+      },
+      {
+        key: 'Paid',
+        value: 'SELECTED',
+        selected: true,
+        keyConfidence: 0.901,
+        valueConfidence: 0.899,
+        confidence: 0.899,
+        pageNumber: 1
+      }
+    ]);
+  });
+
+  it('keeps page numbers and word counts from WORD blocks', () => {
+    const { pages } = new TextractBlockParser(twoPages.Blocks).parse();
+
+    expect(pages.map(p => [p.pageNumber, p.text, p.words, p.confidence])).toEqual([
+      [1, 'Date: 2024-01-15', 2, 0.975],
+      [2, 'Date: 2024-02-15', 2, 0.975]
+    ]);
+  });
+});
+
+describe('AWSProvider.normalizeTextractResponse', () => {
+  it('keeps repeated keys as separate form fields', () => {
+    const provider = new AWSProvider({});
+    const result = provider.normalizeTextractResponse(twoPages);
+
+    expect(result.forms.map(f => [f.key, f.value, f.pageNumber])).toEqual([
+      ['Date', '2024-01-15', 1],
+      ['Date', '2024-02-15', 2]
+    ]);
+    expect(result.metadata.jobStatus).toBe('SUCCEEDED');
+  });
+});
+
+describe('TextractBlockParser geometry', () => {
+  it('omits geometry unless requested', () => {
+    const { pages, tables, formFields } = new TextractBlockParser(invoice.Blocks).parse();
+
+    expect(pages[0].geometry).toBeUndefined();
+    expect(tables[0].cellGeometry).toBeUndefined();
+    expect(formFields[0].keyGeometry).toBeUndefined();
+  });
+
+  it('attaches normalized boxes to lines, words, cells and form fields', () => {
+    const parsed = new TextractBlockParser(invoice.Blocks, { includeGeometry: true }).parse();
+    const box = { left: 0.1, top: 0.1, width: 0.1, height: 0.02 };
+
+    expect(parsed.pages[0].geometry).toMatchObject({ rotation: 0, width: null });
+    expect(parsed.pages[0].geometry.lines[0]).toMatchObject({ text: 'ACME Corp Invoice', boundingBox: box });
+    expect(parsed.pages[0].geometry.words).toHaveLength(18);
+    expect(parsed.tables[0].cellGeometry[0][0].polygon).toHaveLength(4);
+    expect(parsed.tables[0].cellGeometry[3][1]).toBeNull();
+    expect(parsed.formFields[0].valueGeometry.boundingBox).toEqual(box);
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createUsageStore, UsageStore, MemoryUsageStore, FileUsageStore } = require('../src/usage');
+const pricingEngine = require('../src/services/PricingEngine');
+
+describe('FileUsageStore', () => {
+  let dir;
+  let file;
+  const stores = [];
+  const open = (settings = {}) => {
+    const store = new FileUsageStore({ path: file, refreshIntervalMs: 0, ...settings });
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+    file = path.join(dir, 'data', 'usage.jsonl');
+  });
+
+  afterEach(() => {
+    stores.splice(0).forEach(store => store.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps usage across restarts and resets', () => {
+    const first = open();
+    expect(first.get('acme')).toBeNull();
+    first.add('acme', 3, 0.045);
+    first.add('acme', 4, 0.06);
+    first.add('globex', 1);
+    first.close();
+
+    const restarted = open();
+    expect(restarted.get('acme')).toMatchObject({ pages: 7, requests: 2, totalCost: 0.105 });
+
+    restarted.reset('acme');
+    expect(restarted.getAll()).toMatchObject({
+      acme: { pages: 0, requests: 0 },
+      globex: { pages: 1, requests: 1 }
+    });
+  });
+
+  it('sees what other instances append to the same file', () => {
+    const a = open();
+    const b = open();
+
+    a.add('acme', 2);
+    expect(b.add('acme', 5)).toMatchObject({ pages: 7, requests: 2 });
+    expect(a.get('acme').pages).toBe(2);
+
+    a.refresh();
+    expect(a.get('acme').pages).toBe(7);
+  });
+
+  it('serves reads from memory and catches up on a timer', async () => {
+    const reader = open({ refreshIntervalMs: 20 });
+    const writer = open();
+    const fstat = jest.spyOn(fs, 'fstatSync');
+
+    reader.get('acme');
+    reader.getAll();
+    expect(fstat).not.toHaveBeenCalled();
+    fstat.mockRestore();
+
+    writer.add('acme', 4);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(reader.get('acme').pages).toBe(4);
+  });
+
+  it('restarts from the last snapshot and replays only newer lines', () => {
+    const first = open({ snapshotEvery: 2 });
+    first.add('acme', 1);
+    first.add('acme', 2);
+    first.add('acme', 3);
+    first.close();
+
+    const snapshot = JSON.parse(fs.readFileSync(`${file}.snapshot.json`, 'utf8'));
+    expect(snapshot.usage.acme).toMatchObject({ pages: 3, requests: 2 });
+    expect(snapshot.offset).toBeLessThan(fs.statSync(file).size);
+
+    // Lines before the snapshot are not read again
+    snapshot.usage.acme.pages = 100;
+    fs.writeFileSync(`${file}.snapshot.json`, JSON.stringify(snapshot));
+    expect(open().get('acme')).toMatchObject({ pages: 103, requests: 3 });
+  });
+
+  it('replays the whole log when the snapshot does not fit it', () => {
+    const first = open({ snapshotEvery: 1 });
+    first.add('acme', 5);
+    first.close();
+    fs.writeFileSync(file, '');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(open().get('acme')).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('taken from another log'));
+    warn.mockRestore();
+  });
+
+  it('skips a line torn by a crash without losing later events', () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{"type":"add","clientId":"acme","pages":2,"at":"2024-01-01T00:00:00Z"}\n{"type":"add","cli');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = open();
+    store.add('acme', 3);
+
+    expect(store.get('acme')).toMatchObject({ pages: 5, requests: 2 });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('skipping unreadable line'));
+    warn.mockRestore();
+  });
+
+  it('does not lose counts when several processes write at once', async () => {
+    const writer = `
+      const FileUsageStore = require(${JSON.stringify(path.resolve(__dirname, '../src/usage/FileUsageStore'))});
+      const store = new FileUsageStore({ path: process.argv[1] });
+      for (let i = 0; i < 200; i++) store.add('acme', 1);
+    `;
+    const run = () => new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', writer, file], { timeout: 20000 }, error => (error ? reject(error) : resolve()));
+    });
+
+    await Promise.all([run(), run(), run()]);
+
+    expect(open().get('acme')).toMatchObject({ pages: 600, requests: 600 });
+  }, 30000);
+});
+
+describe('usage store configuration', () => {
+  it('creates the file store by default and memory on request', () => {
+    const fileStore = createUsageStore({ path: 'uploads/test-usage.jsonl', refreshIntervalMs: 0, snapshotEvery: 10 });
+    expect(fileStore).toBeInstanceOf(FileUsageStore);
+    expect(fileStore.snapshotEvery).toBe(10);
+    fileStore.close();
+    expect(createUsageStore({ store: 'memory' })).toBeInstanceOf(MemoryUsageStore);
+  });
+
+  it('loads custom stores and validates them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-store-'));
+    try {
+      const valid = path.join(dir, 'valid.js');
+      fs.writeFileSync(valid, `
+        const { MemoryUsageStore } = require(${JSON.stringify(path.resolve(__dirname, '../src/usage'))});
+        module.exports = class SharedStore extends MemoryUsageStore {
+          constructor(settings) { super(); this.settings = settings; }
+        };
+      `);
+      const incomplete = path.join(dir, 'incomplete.js');
+      fs.writeFileSync(incomplete, `
+        const { UsageStore } = require(${JSON.stringify(path.resolve(__dirname, '../src/usage'))});
+        module.exports = class extends UsageStore { get() { return null; } };
+      `);
+
+      const store = createUsageStore({ store: valid, url: 'redis://usage' });
+      expect(store).toBeInstanceOf(UsageStore);
+      expect(store.settings.url).toBe('redis://usage');
+      expect(() => createUsageStore({ store: incomplete })).toThrow(`Usage store ${incomplete}: must implement add()`);
+      expect(() => createUsageStore({ store: path.join(dir, 'missing.js') })).toThrow('failed to load');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('PricingEngine usage', () => {
+  const originalStore = pricingEngine.store;
+
+  beforeEach(() => {
+    pricingEngine.store = new MemoryUsageStore();
+  });
+
+  afterAll(() => {
+    pricingEngine.store = originalStore;
+  });
+
+  it('prices discounts from the store', () => {
+    expect(pricingEngine.recordUsage('acme', 1500, 22.5)).toBe(1500);
+    expect(pricingEngine.getUsageStats('acme')).toMatchObject({ pages: 1500, requests: 1, totalCost: 22.5, currentDiscount: 10 });
+    expect(pricingEngine.calculateCost(10, 'aws', 'acme').discountPercent).toBe(10);
+
+    pricingEngine.resetUsage('acme');
+    pricingEngine.resetUsage('nobody');
+    expect(pricingEngine.getAllUsage()).toEqual({ acme: { pages: 0, requests: 0, totalCost: 0 } });
+  });
+});